@@ -12,6 +12,7 @@ module.exports = function (grunt) {
       all: {
         src: [
           'lib/*.js',
+          'bin/*',
           'example/*.js',
           'example/db/**/*.js'
         ]
@@ -327,19 +327,46 @@ var receiver = new PaymentReceiver({
         });
     });
   }
+}, {
+  // accept `+996 700 650-835` and `0700650835` as `996700650835` (the stored form)
+  normalizers: { '*': 'phone' },
+  // fit the `numeric(8,2)` amount column
+  amountLimits: { max: '999999.99' }
+});
+
+// report the database availability by `GET "/api/ready"`
+receiver.check('database', function (callback) {
+  db.connect(function (err, client, done) {
+    if (err) {
+      return callback(err);
+    }
+
+    client.query('SELECT 1;', function (err) {
+      done(); // release the database connection
+      callback(err);
+    });
+  });
+});
+
+// log the implementation errors (responded with [500 "Internal Server Error"])
+receiver.on('error', function (err, info) {
+  console.error('#%s failed in %dms:', info.method, info.duration, err.stack || err);
 });
 
 if (process.env.NODE_ENV !== 'test') {
   // It's usually a good practice to specify the IP address of
   //   a network interface for listening to (like VPN interface).
-  receiver.listen(3000, '127.0.0.1', function () {
-    var address = receiver.server.address();
+  var server = receiver.listen(3000, '127.0.0.1', function () {
+    var address = server.address();
 
     var host = address.address,
         port = address.port;
 
     console.log('UMAI payments receiver started and listening on %s:%s', host, port);
   });
+
+  // stop accepting requests and drain the in-flight payments on SIGTERM/SIGINT
+  receiver.closeOnSignals();
 }
 
 module.exports = receiver; // expose receiver for testing purposes
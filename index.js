@@ -8,3 +8,8 @@
 
 module.exports = require('./lib/receiver');
 
+module.exports.AdapterReceiver = require('./lib/adapter-receiver');
+module.exports.MemoryAdapter = require('./lib/memory-adapter');
+module.exports.PgAdapter = require('./lib/pg-adapter');
+module.exports.reconciliation = require('./lib/reconciliation');
+module.exports.money = require('./lib/money');
@@ -0,0 +1,342 @@
+/**
+ * UMAI Payment Receiver implementation on top of a storage adapter.
+ */
+
+'use strict';
+
+var Readable = require('stream').Readable,
+    inherits = require('util').inherits;
+
+var _ = require('lodash');
+
+var PaymentReceiver = require('./receiver');
+var STATUS = require('./status-map');
+
+/** @const {number} default number of records to fetch from the adapter at once */
+var DEFAULT_LIST_BATCH_SIZE = 1000;
+
+/**
+ * Transaction representation object.
+ * @constructor
+ * @param {Object} record – transaction storage record
+ */
+function Transaction(record) {
+  this.id = record.id; // transaction id that is sent by UMAI
+  this.requisite = record.requisite;
+
+  if (record.originalRequisite) { // the user entered one (see `options.normalizers`)
+    this.originalRequisite = record.originalRequisite;
+  }
+
+  this.amount = parseFloat(record.amount);
+  this.status = record.status;
+
+  if (record.message) { // assign message if present
+    this.message = record.message;
+  }
+
+  if (record.service) {
+    this.service = record.service;
+  }
+
+  if (record.completed) { // if transaction is completed (success/failure)
+    // issue a completion datetime as a transaction timestamp
+    this.timestamp = record.completed;
+  }
+
+  this.internal = { id: record.internalId };
+
+  if (record.cancelled) {
+    this.internal.cancelled = record.cancelled;
+  }
+}
+
+/**
+ * Readable object stream of transactions that fetches the records from the adapter by batches.
+ * @constructor
+ * @param {Object} adapter – storage adapter
+ * @param {Object} query – listing query (with the batch size as `limit`)
+ * @param {Object[]} records – the first batch of records
+ */
+function TransactionStream(adapter, query, records) {
+  Readable.call(this, { objectMode: true });
+
+  this.adapter = adapter;
+  this.query = query;
+  this.records = records; // `null` while the next batch is being fetched
+}
+
+inherits(TransactionStream, Readable);
+
+TransactionStream.prototype._read = function () {
+  var self = this,
+      records = this.records;
+
+  if (!records) { // the next batch is being fetched, it'll be pushed once fetched
+    return;
+  }
+
+  this.records = null;
+
+  records.forEach(function (record) {
+    self.push(new Transaction(record));
+  });
+
+  // either the last batch, or the adapter doesn't support limiting
+  if (records.length !== this.query.limit) {
+    return this.push(null);
+  }
+
+  var last = records[records.length - 1];
+
+  this.adapter.listTransactions(_.assign({}, this.query, {
+    after: { completed: last.completed, internalId: last.internalId }
+  }), function (err, records) {
+    if (err) {
+      return self.destroy(err);
+    }
+
+    self.records = records;
+    self._read();
+  });
+};
+
+/**
+ * UMAI Payment Receiver that keeps accounts and transactions in a storage adapter.
+ *
+ * Every adapter implements the following asynchronous methods:
+ *  * `findAccount(requisite, callback)` – calls back with the account
+ *      (`{ id, name, status }`) or `null` if it doesn't exist;
+ *  * `credit(params, callback)` – atomically inserts a successful transaction
+ *      and increases the account balance by its amount, calls back with the transaction record;
+ *      if the transaction with the same id already exists, calls back with it leaving untouched;
+ *  * `findTransaction(id, callback)` – calls back with the transaction record or `null`;
+ *  * `reverse(id, callback)` – atomically marks the transaction as "cancelled"
+ *      and decreases the account balance by its amount, calls back with the transaction record
+ *      (`null` if it doesn't exist), an already cancelled transaction is left untouched;
+ *  * `listTransactions(query, callback)` – calls back with the transaction records
+ *      completed within the `[query.begin, query.end)` datetime range (`query.end` is optional)
+ *      filtered by the optional `query.status`, `query.requisite` and `query.service`,
+ *      ordered by the completion datetime and `internalId` (`query.order` is `asc|desc`),
+ *      starting after the `query.after` position (`{ completed, internalId }`, optional)
+ *      and limited by `query.limit` (optional).
+ *
+ * Adapters may implement the `savePending`, `loadPending` and `removePending` methods
+ * as well to keep the completion worker jobs (see `CompletionWorker.MemoryStore`),
+ * in such case they are used as the default `options.completion.store`.
+ * The same way, adapters implementing the `saveDelivery`, `findDelivery` and `loadDeliveries`
+ * methods (see `Notifier.MemoryLog`) are used as the default `options.webhook.log`.
+ *
+ * Transaction records have `id`, `requisite`, `originalRequisite`, `amount`, `status`,
+ * `message`, `service`, `completed` and `cancelled` datetime fields and the storage specific
+ * `internalId`.
+ *
+ * @constructor
+ * @extends PaymentReceiver
+ * @param {Object} adapter – storage adapter
+ * @param {Object} [options] – receiver options (see `PaymentReceiver`)
+ * @param {number} [options.listBatchSize=1000] – number of records to fetch from the adapter
+ *                                                at once when streaming the transactions list
+ */
+function AdapterReceiver(adapter, options) {
+  var completion = options && options.completion,
+      webhook = options && options.webhook;
+
+  if (completion && !completion.store && typeof adapter.savePending === 'function') {
+    options = _.assign({}, options, {
+      completion: _.assign({}, (completion === true) ? null : completion, { store: adapter })
+    });
+  }
+
+  if (webhook && !webhook.log && typeof adapter.saveDelivery === 'function') {
+    options = _.assign({}, options, { webhook: _.assign({}, webhook, { log: adapter }) });
+  }
+
+  PaymentReceiver.call(this, null, options);
+
+  this.adapter = adapter;
+}
+
+inherits(AdapterReceiver, PaymentReceiver);
+
+/**
+ * Identify an active account by a given requisite.
+ * @param {Object} params – parameters that are sent by UMAI's server
+ * @param {function(err:Error, status:number?, message:string?)} callback
+ */
+AdapterReceiver.prototype.validate = function (params, callback) {
+  this.adapter.findAccount(params.requisite, function (err, account) {
+    if (err) {
+      return callback(err);
+    }
+
+    if (!account) {
+      return callback(null, STATUS.NOT_FOUND, "account doesn't exist");
+    }
+
+    if (account.status !== 'active') {
+      return callback(null, STATUS.FORBIDDEN, 'Please activate your account');
+    }
+
+    callback(null, STATUS.OK, account.name);
+  });
+};
+
+/**
+ * Credit the account by the transaction amount.
+ * @param {Object} params – transaction parameters that are sent by UMAI's server
+ * @param {function(err:Error, status:number?)} callback
+ */
+AdapterReceiver.prototype.process = function (params, callback) {
+  this.adapter.credit(params, function (err) {
+    if (err) {
+      return callback(err);
+    }
+
+    callback(null, STATUS.OK); // either processed or has already been processed
+  });
+};
+
+/**
+ * Get transaction by a given id.
+ * @param {string} id – transaction unique identifier
+ * @param {function(err:Error, status:number?, result:(Object|string)?)} callback
+ */
+AdapterReceiver.prototype.get = function (id, callback) {
+  this.adapter.findTransaction(id, function (err, record) {
+    if (err) {
+      return callback(err);
+    }
+
+    if (!record) {
+      return callback(null, STATUS.NOT_FOUND, "transaction doesn't exist");
+    }
+
+    callback(null, STATUS.OK, new Transaction(record));
+  });
+};
+
+/**
+ * Cancel the transaction reversing the account credit.
+ * @param {string} id – transaction unique identifier
+ * @param {function(err:Error, status:number?)} callback
+ */
+AdapterReceiver.prototype.cancel = function (id, callback) {
+  this.adapter.reverse(id, function (err, record) {
+    if (err) {
+      return callback(err);
+    }
+
+    if (!record) {
+      return callback(null, STATUS.NOT_FOUND, "transaction doesn't exist");
+    }
+
+    callback(null, STATUS.OK);
+  });
+};
+
+/**
+ * Encode the opaque cursor of the listing position (after a given transaction record).
+ * @param {Object} record – the last listed transaction record
+ * @returns {string}
+ */
+function encodeCursor(record) {
+  return Buffer.from(JSON.stringify([new Date(record.completed).getTime(), record.internalId]))
+    .toString('base64');
+}
+
+/**
+ * Decode the opaque listing cursor.
+ * @param {string} cursor
+ * @returns {Object?} listing position (`{ completed, internalId }`) or `null` if invalid
+ */
+function decodeCursor(cursor) {
+  var position;
+
+  try {
+    position = JSON.parse(Buffer.from(cursor, 'base64').toString());
+  }
+  catch (e) {
+    return null;
+  }
+
+  if (!Array.isArray(position) || position.length !== 2 || !isFinite(position[0]) ||
+      typeof position[0] !== 'number' || position[1] === null) {
+    return null;
+  }
+
+  return { completed: new Date(position[0]), internalId: position[1] };
+}
+
+/**
+ * List transactions for a given datetime range.
+ * Responds a page of them in the `{ items, next }` envelope if `limit` or `cursor` is given,
+ * otherwise responds all of them: a plain array if they fit into a single batch,
+ * or a stream fetching them by batches.
+ * @param {Object} query – parameters that are sent by UMAI's server
+ * @param {function(err:Error, status:number?, result:(Object[]|Object)?)} callback
+ */
+AdapterReceiver.prototype.list = function (query, callback) {
+  var paged = _.has(query, 'limit') || _.has(query, 'cursor'),
+      cursor = query.cursor;
+
+  query = _.omit(query, 'cursor');
+
+  if (cursor) {
+    query.after = decodeCursor(cursor);
+
+    if (!query.after) {
+      return callback(null, STATUS.UNPROCESSABLE_ENTITY, 'query parameter `cursor` is invalid');
+    }
+  }
+
+  var adapter = this.adapter;
+
+  if (!paged) {
+    query.limit = this.options.listBatchSize || DEFAULT_LIST_BATCH_SIZE;
+
+    return adapter.listTransactions(query, function (err, records) {
+      if (err) {
+        return callback(err);
+      }
+
+      if (records.length < query.limit) {
+        return callback(null, STATUS.OK, records.map(function (record) {
+          return new Transaction(record);
+        }));
+      }
+
+      callback(null, STATUS.OK, new TransactionStream(adapter, query, records));
+    });
+  }
+
+  var limit = query.limit;
+
+  if (limit) { // request one more record to find out whether there is the next page
+    query.limit = limit + 1;
+  }
+
+  adapter.listTransactions(query, function (err, records) {
+    if (err) {
+      return callback(err);
+    }
+
+    var next = null;
+
+    if (limit && records.length > limit) {
+      records = records.slice(0, limit);
+      next = encodeCursor(records[limit - 1]);
+    }
+
+    var items = records.map(function (record) {
+      return new Transaction(record);
+    });
+
+    callback(null, STATUS.OK, { items: items, next: next });
+  });
+};
+
+AdapterReceiver.Transaction = Transaction;
+AdapterReceiver.TransactionStream = TransactionStream;
+
+module.exports = AdapterReceiver;
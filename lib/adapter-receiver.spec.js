@@ -0,0 +1,295 @@
+'use strict';
+
+var should = require('should'),
+    sinon = require('sinon');
+
+var AdapterReceiver = require('./adapter-receiver');
+var PaymentReceiver = require('./receiver');
+
+describe('AdapterReceiver', function () {
+  var adapter,
+      receiver;
+
+  // create receiver with a stubbed adapter
+  beforeEach(function () {
+    adapter = {
+      findAccount: sinon.stub(),
+      credit: sinon.stub(),
+      findTransaction: sinon.stub(),
+      reverse: sinon.stub(),
+      listTransactions: sinon.stub()
+    };
+
+    receiver = new AdapterReceiver(adapter);
+  });
+
+  it('inherits `PaymentReceiver`', function () {
+    receiver.should.be.an.instanceOf(PaymentReceiver);
+    should.exist(receiver.server);
+  });
+
+  describe('#validate()', function () {
+    it("calls back [404 \"Not Found\"] if account doesn't exist", function (done) {
+      adapter.findAccount.yieldsAsync(null, null);
+
+      receiver.validate({ requisite: '000000000000' }, function (err, status) {
+        status.should.eql(404);
+        done(err);
+      });
+    });
+
+    it('calls back [403 "Forbidden"] if account is not active', function (done) {
+      adapter.findAccount.yieldsAsync(null, { id: 2, name: 'Andy Romashin', status: 'suspended' });
+
+      receiver.validate({ requisite: '996555362358' }, function (err, status, message) {
+        status.should.eql(403);
+        message.should.eql('Please activate your account');
+        done(err);
+      });
+    });
+
+    it('calls back [200 "OK"] with the account identity', function (done) {
+      adapter.findAccount.yieldsAsync(null, { id: 1, name: 'Dan Kerimdzhanov', status: 'active' });
+
+      receiver.validate({ requisite: '996700650835' }, function (err, status, message) {
+        status.should.eql(200);
+        message.should.eql('Dan Kerimdzhanov');
+        done(err);
+      });
+    });
+
+    it('calls back with the adapter error', function (done) {
+      adapter.findAccount.yieldsAsync(new Error('stubbed adapter error'));
+
+      receiver.validate({ requisite: '996700650835' }, function (err) {
+        err.should.have.property('message', 'stubbed adapter error');
+        done();
+      });
+    });
+  });
+
+  describe('#get()', function () {
+    it('calls back with the transaction representation', function (done) {
+      adapter.findTransaction.yieldsAsync(null, {
+        id: '5648dc5077ba42ee6b13ff6f',
+        internalId: 10004,
+        requisite: '996700650835',
+        amount: '45.95',
+        status: 'cancelled',
+        completed: new Date('2015-11-15T16:15:31.390Z'),
+        cancelled: new Date('2015-11-15T16:20:00.000Z')
+      });
+
+      receiver.get('5648dc5077ba42ee6b13ff6f', function (err, status, transaction) {
+        if (err) {
+          return done(err);
+        }
+
+        try {
+          status.should.eql(200);
+          transaction.should.eql(new AdapterReceiver.Transaction({
+            id: '5648dc5077ba42ee6b13ff6f',
+            internalId: 10004,
+            requisite: '996700650835',
+            amount: 45.95,
+            status: 'cancelled',
+            completed: new Date('2015-11-15T16:15:31.390Z'),
+            cancelled: new Date('2015-11-15T16:20:00.000Z')
+          }));
+
+          JSON.parse(JSON.stringify(transaction)).should.eql({
+            id: '5648dc5077ba42ee6b13ff6f',
+            requisite: '996700650835',
+            amount: 45.95,
+            status: 'cancelled',
+            timestamp: '2015-11-15T16:15:31.390Z',
+            internal: { id: 10004, cancelled: '2015-11-15T16:20:00.000Z' }
+          });
+        }
+        catch (e) {
+          return done(e);
+        }
+
+        done();
+      });
+    });
+
+    it("calls back [404 \"Not Found\"] if transaction doesn't exist", function (done) {
+      adapter.findTransaction.yieldsAsync(null, null);
+
+      receiver.get('5648dc5077ba42ee6b13ff6f', function (err, status) {
+        status.should.eql(404);
+        done(err);
+      });
+    });
+  });
+
+  describe('#cancel()', function () {
+    it("calls back [404 \"Not Found\"] if transaction doesn't exist", function (done) {
+      adapter.reverse.yieldsAsync(null, null);
+
+      receiver.cancel('5648dc5077ba42ee6b13ff6f', function (err, status) {
+        status.should.eql(404);
+        done(err);
+      });
+    });
+  });
+
+  describe('#list()', function () {
+    var records, begin;
+
+    // setup transaction records
+    beforeEach(function () {
+      begin = new Date('2015-11-15T00:00:00.000Z');
+
+      records = [1, 2, 3].map(function (n) {
+        return {
+          id: 'transaction-' + n,
+          internalId: n,
+          requisite: '996700650835',
+          amount: '12.45',
+          status: 'success',
+          completed: new Date(begin.getTime() + n * 1000)
+        };
+      });
+    });
+
+    it('calls back with a plain array if all the records fit into a batch', function (done) {
+      adapter.listTransactions.yieldsAsync(null, records);
+
+      receiver.list({ begin: begin }, function (err, status, list) {
+        if (err) {
+          return done(err);
+        }
+
+        try {
+          status.should.eql(200);
+          list.should.be.an.Array().with.lengthOf(3);
+          list[0].should.be.an.instanceOf(AdapterReceiver.Transaction);
+          adapter.listTransactions.firstCall.args[0].should.eql({ begin: begin, limit: 1000 });
+        }
+        catch (e) {
+          return done(e);
+        }
+
+        done();
+      });
+    });
+
+    it('calls back with a stream fetching the records by batches', function (done) {
+      receiver = new AdapterReceiver(adapter, { listBatchSize: 2 });
+
+      adapter.listTransactions
+        .onFirstCall().yieldsAsync(null, records.slice(0, 2))
+        .onSecondCall().yieldsAsync(null, records.slice(2));
+
+      receiver.list({ begin: begin }, function (err, status, list) {
+        if (err) {
+          return done(err);
+        }
+
+        var ids = [];
+
+        status.should.eql(200);
+        list.should.be.an.instanceOf(AdapterReceiver.TransactionStream);
+
+        list
+          .on('data', function (transaction) {
+            ids.push(transaction.id);
+          })
+          .on('error', done)
+          .on('end', function () {
+            try {
+              ids.should.eql(['transaction-1', 'transaction-2', 'transaction-3']);
+
+              adapter.listTransactions.calledTwice.should.be.true();
+              adapter.listTransactions.secondCall.args[0].should.have.properties({
+                limit: 2,
+                after: { completed: records[1].completed, internalId: 2 }
+              });
+            }
+            catch (e) {
+              return done(e);
+            }
+
+            done();
+          });
+      });
+    });
+
+    it('destroys the stream with an error of the next batch fetching', function (done) {
+      receiver = new AdapterReceiver(adapter, { listBatchSize: 2 });
+
+      adapter.listTransactions
+        .onFirstCall().yieldsAsync(null, records.slice(0, 2))
+        .onSecondCall().yieldsAsync(new Error('stubbed listing error'));
+
+      receiver.list({ begin: begin }, function (err, status, list) {
+        if (err) {
+          return done(err);
+        }
+
+        list
+          .on('error', function (err) {
+            err.message.should.eql('stubbed listing error');
+            done();
+          })
+          .resume();
+      });
+    });
+
+    it('calls back with a page and the `next` cursor if there are more records', function (done) {
+      adapter.listTransactions.yieldsAsync(null, records);
+
+      receiver.list({ begin: begin, limit: 2 }, function (err, status, page) {
+        if (err) {
+          return done(err);
+        }
+
+        try {
+          status.should.eql(200);
+          page.items.should.have.lengthOf(2);
+          page.next.should.be.a.String();
+
+          // requests one more record to find out whether there is the next page
+          adapter.listTransactions.firstCall.args[0].should.have.property('limit', 3);
+        }
+        catch (e) {
+          return done(e);
+        }
+
+        adapter.listTransactions.yieldsAsync(null, records.slice(2));
+
+        receiver.list({ begin: begin, limit: 2, cursor: page.next }, function (err, status, page) {
+          if (err) {
+            return done(err);
+          }
+
+          try {
+            adapter.listTransactions.secondCall.args[0].should.have.property('after').eql({
+              completed: records[1].completed,
+              internalId: 2
+            });
+
+            page.items.should.have.lengthOf(1);
+            should(page.next).be.null();
+          }
+          catch (e) {
+            return done(e);
+          }
+
+          done();
+        });
+      });
+    });
+
+    it('calls back [422 "Unprocessable Entity"] if cursor is invalid', function (done) {
+      receiver.list({ begin: begin, cursor: 'abc' }, function (err, status, message) {
+        status.should.eql(422);
+        message.should.eql('query parameter `cursor` is invalid');
+        adapter.listTransactions.called.should.be.false();
+        done(err);
+      });
+    });
+  });
+});
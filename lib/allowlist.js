@@ -0,0 +1,51 @@
+/**
+ * Client IP address allowlist.
+ */
+
+'use strict';
+
+var proxyaddr = require('proxy-addr');
+
+var STATUS = require('./status-map');
+var errors = require('./errors');
+
+/**
+ * Compile the address matching function.
+ * @param {string[]} addresses – IPv4/IPv6 addresses and CIDR ranges
+ *                               (or "loopback", "linklocal" and "uniquelocal" presets)
+ * @returns {function(address:string):boolean}
+ * @throws {TypeError} if any of the addresses is malformed
+ */
+function compile(addresses) {
+  var matches = proxyaddr.compile([].concat(addresses));
+
+  return function (address) {
+    return !!address && matches(address, 0);
+  };
+}
+
+/**
+ * Create an express.js middleware that rejects requests from the addresses
+ * that are not in the allowlist responding [403 "Forbidden"] (see `errors.send()`).
+ * The client address is resolved by express.js (`req.ip`) honoring the "trust proxy" setting,
+ * so that `X-Forwarded-For` is taken into account only for requests from the trusted proxies.
+ * @param {string[]} addresses – allowed addresses (see `compile()`)
+ * @returns {function(req:Object, res:Object, next:function)}
+ */
+function middleware(addresses) {
+  var allowed = compile(addresses);
+
+  return function checkAllowlist(req, res, next) {
+    if (!allowed(req.ip)) {
+      return errors.send(res, STATUS.FORBIDDEN, {
+        code: errors.CODES.ADDRESS_NOT_ALLOWED,
+        message: 'address `' + req.ip + '` is not allowed'
+      });
+    }
+
+    next();
+  };
+}
+
+exports.compile = compile;
+exports.middleware = middleware;
@@ -0,0 +1,58 @@
+'use strict';
+
+var should = require('should');
+
+var allowlist = require('./allowlist');
+
+describe('allowlist', function () {
+  describe('.compile()', function () {
+    var allowed;
+
+    // compile mixed IPv4/IPv6 allowlist
+    beforeEach(function () {
+      allowed = allowlist.compile([
+        '10.20.0.0/16',
+        '192.168.1.15',
+        '2001:db8::/32',
+        '::1'
+      ]);
+    });
+
+    it('matches IPv4 addresses within a CIDR range', function () {
+      allowed('10.20.0.1').should.be.true();
+      allowed('10.20.255.254').should.be.true();
+      allowed('10.21.0.1').should.be.false();
+    });
+
+    it('matches single IPv4 addresses', function () {
+      allowed('192.168.1.15').should.be.true();
+      allowed('192.168.1.16').should.be.false();
+    });
+
+    it('matches IPv4-mapped IPv6 addresses', function () {
+      allowed('::ffff:10.20.30.40').should.be.true();
+      allowed('::ffff:10.30.30.40').should.be.false();
+    });
+
+    it('matches IPv6 addresses within a CIDR range', function () {
+      allowed('2001:db8:85a3::8a2e:370:7334').should.be.true();
+      allowed('2001:db9::1').should.be.false();
+    });
+
+    it('matches single IPv6 addresses', function () {
+      allowed('::1').should.be.true();
+      allowed('::2').should.be.false();
+    });
+
+    it("doesn't match a missing or malformed address", function () {
+      allowed(undefined).should.be.false();
+      allowed('not-an-ip').should.be.false();
+    });
+
+    it('throws for a malformed range', function () {
+      should.throws(function () {
+        allowlist.compile(['10.20.0.0/33']);
+      });
+    });
+  });
+});
@@ -0,0 +1,383 @@
+/**
+ * Audit log of the API requests and responses.
+ */
+
+'use strict';
+
+var fs = require('fs');
+
+var _ = require('lodash'),
+    async = require('async');
+
+/** @const {Object} default auditor options */
+var DEFAULTS = {
+  headers: [
+    'content-type', 'user-agent', 'x-forwarded-for',
+    'x-request-id', 'x-umai-signature', 'x-umai-timestamp'
+  ],
+  mask: false,
+  maxBodyLength: 65536 // bytes
+};
+
+/** @const {string[]} paths of the audited routes */
+var PATHS = ['/api/validate', '/api/transactions'];
+
+/** @const {RegExp} response content types not to record the body of (CSV/TSV exports) */
+var EXPORT_TYPES = /^text\/(?:csv|tab-separated-values)\b/;
+
+/** @const {RegExp} string requisites (and the user entered ones) of the JSON */
+var JSON_STRING_REQUISITES = /("(?:requisite|originalRequisite)"\s*:\s*")((?:[^"\\]|\\.)*)"/g;
+
+/** @const {RegExp} number requisites of the JSON */
+var JSON_NUMBER_REQUISITES = /("(?:requisite|originalRequisite)"\s*:\s*)(\d+)/g;
+
+/** @const {Object} default file sink options */
+var FILE_DEFAULTS = {
+  maxSize: 10485760, // bytes
+  maxFiles: 5
+};
+
+/**
+ * Mask the requisite leaving its last 4 characters visible (a short one is masked entirely).
+ * @param {string} requisite
+ * @returns {string}
+ */
+function maskRequisite(requisite) {
+  requisite = String(requisite);
+
+  var visible = (requisite.length > 4) ? 4 : 0;
+
+  return new Array(requisite.length - visible + 1).join('*') +
+    requisite.slice(requisite.length - visible);
+}
+
+/**
+ * Decode the URI component falling back to the raw one if it's malformed.
+ * @param {string} component
+ * @returns {string}
+ */
+function decode(component) {
+  try {
+    return decodeURIComponent(component);
+  }
+  catch (e) { // e.g. `%E0%A4%A` of a client (not to crash while auditing)
+    return component;
+  }
+}
+
+/**
+ * Mask the requisites (and the user entered `originalRequisite` ones) within the JSON
+ * (or newline-delimited JSON) text and the query string.
+ * @param {string} text
+ * @param {function(requisite:string):string} mask
+ * @returns {string}
+ */
+function maskText(text, mask) {
+  return text
+    .replace(JSON_STRING_REQUISITES, function (match, prefix, requisite) {
+      return prefix + mask(requisite) + '"';
+    })
+    .replace(JSON_NUMBER_REQUISITES, function (match, prefix, requisite) {
+      return prefix + '"' + mask(requisite) + '"';
+    })
+    .replace(/([?&]requisite=)([^&#]*)/g, function (match, prefix, requisite) {
+      return prefix + encodeURIComponent(mask(decode(requisite)));
+    });
+}
+
+/**
+ * In-memory audit sink (the reference implementation), for tests and the short-lived processes.
+ *
+ * Every audit sink implements the asynchronous `write(record, callback)` method
+ * (a function of the same signature is accepted as a sink as well).
+ *
+ * @constructor
+ * @param {Object} [options]
+ * @param {number} [options.limit] – maximum number of the latest records to keep
+ */
+function MemorySink(options) {
+  this.limit = (options && options.limit) || Infinity;
+  this.records = [];
+}
+
+/**
+ * Write the record.
+ * @param {Object} record
+ * @param {function(err:Error?)} callback
+ */
+MemorySink.prototype.write = function (record, callback) {
+  this.records.push(record);
+
+  if (this.records.length > this.limit) {
+    this.records.shift();
+  }
+
+  process.nextTick(callback);
+};
+
+/**
+ * Audit sink appending the records as JSON lines to a file,
+ * rotating it by size: `audit.jsonl` is renamed to `audit.jsonl.1`, `audit.jsonl.1`
+ * to `audit.jsonl.2` and so on, keeping the given number of the rotated files.
+ * @constructor
+ * @param {string} path – file path
+ * @param {Object} [options]
+ * @param {number} [options.maxSize=10485760] – size to rotate the file at (bytes)
+ * @param {number} [options.maxFiles=5] – number of the rotated files to keep
+ */
+function FileSink(path, options) {
+  var self = this;
+
+  this.path = path;
+  this.options = _.assign({}, FILE_DEFAULTS, options);
+  this.size = null; // unknown until the first write
+
+  // append sequentially, so that the lines are not interleaved
+  this.queue = async.queue(function (line, callback) {
+    self.append(line, callback);
+  }, 1);
+}
+
+/**
+ * Write the record.
+ * @param {Object} record
+ * @param {function(err:Error?)} callback
+ */
+FileSink.prototype.write = function (record, callback) {
+  this.queue.push(JSON.stringify(record) + '\n', callback);
+};
+
+/**
+ * Append the line to the file, rotating it if the line doesn't fit.
+ * @param {string} line
+ * @param {function(err:Error?)} callback
+ */
+FileSink.prototype.append = function (line, callback) {
+  var self = this,
+      length = Buffer.byteLength(line);
+
+  if (this.size === null) {
+    return fs.stat(this.path, function (err, stats) {
+      if (err && err.code !== 'ENOENT') {
+        return callback(err);
+      }
+
+      self.size = stats ? stats.size : 0;
+      self.append(line, callback);
+    });
+  }
+
+  if (this.size > 0 && this.size + length > this.options.maxSize) {
+    return this.rotate(function (err) {
+      if (err) {
+        return callback(err);
+      }
+
+      self.size = 0;
+      self.append(line, callback);
+    });
+  }
+
+  fs.appendFile(this.path, line, function (err) {
+    if (!err) {
+      self.size += length;
+    }
+
+    callback(err);
+  });
+};
+
+/**
+ * Rotate the file shifting the rotated ones (the oldest one is removed).
+ * @param {function(err:Error?)} callback
+ */
+FileSink.prototype.rotate = function (callback) {
+  var path = this.path,
+      maxFiles = this.options.maxFiles;
+
+  if (!maxFiles) { // keep no rotated files
+    return fs.unlink(path, callback);
+  }
+
+  var renames = _.range(maxFiles, 0, -1).map(function (index) {
+    return [(index > 1) ? path + '.' + (index - 1) : path, path + '.' + index];
+  });
+
+  async.eachSeries(renames, function (rename, next) {
+    fs.rename(rename[0], rename[1], function (err) {
+      next((err && err.code !== 'ENOENT') ? err : null);
+    });
+  }, callback);
+};
+
+/**
+ * Auditor that records every request to `"/api/validate"` and `"/api/transactions*"`
+ * (including the rejected ones) along with the response into the sinks.
+ *
+ * Records are `{ id, timestamp, duration, request, response }` objects, where `id` is the request
+ * correlation id (see `errors.middleware()`), `request` is `{ method, url, ip, headers, body }`
+ * with the allowed headers only and the raw body, and `response` is `{ status, type, body }`
+ * with the body (up to `options.maxBodyLength` bytes, `truncated` if longer) except for the CSV/TSV
+ * exports (that may contain the unmasked requisites).
+ * The request and response bodies are recorded as they were sent, except for the masked requisites.
+ *
+ * Emits the receiver `error` event (if listened) with the `info.method` of `audit`
+ * if any sink fails.
+ *
+ * @constructor
+ * @param {PaymentReceiver} receiver
+ * @param {Object} options
+ * @param {(Object|function|Array)} options.sinks – sink or sinks to write the records to
+ * @param {string[]} [options.headers] – request headers to record (case-insensitive)
+ * @param {(boolean|function(requisite:string):string)} [options.mask=false] – mask the requisites
+ *        leaving their last 4 characters visible (`true`), or by a given function
+ * @param {number} [options.maxBodyLength=65536] – maximum length of the recorded bodies (bytes)
+ * @throws {Error} if there are no sinks
+ */
+function Auditor(receiver, options) {
+  options = _.assign({}, DEFAULTS, options);
+
+  this.receiver = receiver;
+  this.options = options;
+
+  this.sinks = [].concat(options.sinks || []).map(function (sink) {
+    return (typeof sink === 'function') ? { write: sink } : sink;
+  });
+
+  var valid = this.sinks.length && _.every(this.sinks, function (sink) {
+    return !!sink && typeof sink.write === 'function';
+  });
+
+  if (!valid) {
+    throw new Error('audit `sinks` must implement the `write(record, callback)` method');
+  }
+
+  this.headers = options.headers.map(function (header) {
+    return header.toLowerCase();
+  });
+
+  this.mask = (options.mask === true) ? maskRequisite : (options.mask || null);
+}
+
+/**
+ * Create the middleware that records the request once it's responded (or aborted).
+ * @returns {function(req:Object, res:Object, next:function)}
+ */
+Auditor.prototype.middleware = function () {
+  var self = this,
+      maxBodyLength = this.options.maxBodyLength;
+
+  return function audit(req, res, next) {
+    var started = new Date(),
+        chunks = [],
+        length = 0,
+        truncated = false,
+        recorded = false;
+
+    function capture(chunk, encoding) {
+      if (!chunk || typeof chunk === 'function') {
+        return;
+      }
+
+      chunk = Buffer.isBuffer(chunk) ? chunk :
+        Buffer.from(chunk, (typeof encoding === 'string') ? encoding : 'utf8');
+
+      if (length + chunk.length > maxBodyLength) {
+        chunk = chunk.slice(0, maxBodyLength - length);
+        truncated = true;
+      }
+
+      chunks.push(chunk);
+      length += chunk.length;
+    }
+
+    var write = res.write,
+        end = res.end;
+
+    res.write = function (chunk, encoding) {
+      capture(chunk, encoding);
+      return write.apply(this, arguments);
+    };
+
+    res.end = function (chunk, encoding) {
+      capture(chunk, encoding);
+      return end.apply(this, arguments);
+    };
+
+    function record(finished) {
+      if (recorded) {
+        return;
+      }
+
+      recorded = true;
+
+      self.record({
+        id: res.locals.requestId || null,
+        timestamp: started,
+        duration: Date.now() - started.getTime(),
+        request: {
+          method: req.method,
+          url: req.originalUrl,
+          ip: req.ip,
+          headers: _.pick(req.headers, self.headers),
+          body: req.rawBody ? req.rawBody.toString() : null
+        },
+        response: {
+          status: finished ? res.statusCode : null, // `null` if aborted
+          type: res.get('Content-Type') || null,
+          body: (chunks.length && !EXPORT_TYPES.test(res.get('Content-Type') || '')) ?
+            Buffer.concat(chunks).toString() : null,
+          truncated: truncated
+        }
+      });
+    }
+
+    res.on('finish', function () {
+      record(true);
+    });
+
+    res.on('close', function () { // emitted after `finish` unless aborted
+      record(false);
+    });
+
+    next();
+  };
+};
+
+/**
+ * Mask the record requisites (if enabled) and write it to every sink.
+ * @param {Object} record
+ * @param {function(err:Error?)} [callback] – the receiver `error` event is emitted if omitted
+ */
+Auditor.prototype.record = function (record, callback) {
+  var self = this,
+      mask = this.mask;
+
+  if (mask) {
+    record.request.url = maskText(record.request.url, mask);
+
+    ['request', 'response'].forEach(function (key) {
+      if (record[key].body) {
+        record[key].body = maskText(record[key].body, mask);
+      }
+    });
+  }
+
+  async.each(this.sinks, function (sink, next) {
+    sink.write(record, function (err) {
+      if (err && !callback && self.receiver.listeners('error').length) {
+        self.receiver.emit('error', err, { method: 'audit', params: { id: record.id } });
+      }
+
+      next(callback ? err : null);
+    });
+  }, callback || _.noop);
+};
+
+exports.DEFAULTS = DEFAULTS;
+exports.PATHS = PATHS;
+exports.maskRequisite = maskRequisite;
+exports.maskText = maskText;
+exports.MemorySink = MemorySink;
+exports.FileSink = FileSink;
+exports.Auditor = Auditor;
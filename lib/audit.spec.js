@@ -0,0 +1,369 @@
+'use strict';
+
+var fs = require('fs'),
+    os = require('os'),
+    path = require('path');
+
+var _ = require('lodash'),
+    async = require('async');
+
+var should = require('should'),
+    supertest = require('supertest');
+
+var PaymentReceiver = require('./receiver');
+var audit = require('./audit');
+
+describe('audit', function () {
+  describe('.maskRequisite()', function () {
+    it('leaves the last 4 characters visible', function () {
+      audit.maskRequisite('996700650835').should.eql('********0835');
+      audit.maskRequisite('1234').should.eql('****');
+    });
+  });
+
+  describe('.maskText()', function () {
+    it('masks the requisites of the JSON and the query string', function () {
+      audit.maskText('{"requisite":"996700650835","amount":12.50}', audit.maskRequisite)
+        .should.eql('{"requisite":"********0835","amount":12.50}');
+
+      audit.maskText('{"requisite": 996700650835}', audit.maskRequisite)
+        .should.eql('{"requisite": "********0835"}');
+
+      audit.maskText('{"requisite":"996700650835","originalRequisite":"+996 700 650-835"}',
+        audit.maskRequisite)
+        .should.eql('{"requisite":"********0835","originalRequisite":"************-835"}');
+
+      audit.maskText('/api/transactions?begin=2015&requisite=996700650835', audit.maskRequisite)
+        .should.eql('/api/transactions?begin=2015&requisite=********0835');
+    });
+
+    it('masks the malformed query string requisites as is', function () {
+      audit.maskText('/api/transactions?begin=2015&requisite=%E0%A4%A', audit.maskRequisite)
+        .should.eql('/api/transactions?begin=2015&requisite=****A4%25A');
+    });
+  });
+
+  describe('MemorySink', function () {
+    it('keeps the latest records up to the limit', function (done) {
+      var sink = new audit.MemorySink({ limit: 2 });
+
+      async.eachSeries([1, 2, 3], function (id, next) {
+        sink.write({ id: id }, next);
+      }, function (err) {
+        _.pluck(sink.records, 'id').should.eql([2, 3]);
+        done(err);
+      });
+    });
+  });
+
+  describe('FileSink', function () {
+    var directory, file;
+
+    beforeEach(function () {
+      directory = fs.mkdtempSync(path.join(os.tmpdir(), 'umai-audit-'));
+      file = path.join(directory, 'audit.jsonl');
+    });
+
+    afterEach(function () {
+      fs.readdirSync(directory).forEach(function (name) {
+        fs.unlinkSync(path.join(directory, name));
+      });
+
+      fs.rmdirSync(directory);
+    });
+
+    function read(name) {
+      return fs.readFileSync(path.join(directory, name), 'utf8')
+        .trim().split('\n').map(JSON.parse);
+    }
+
+    it('appends the records as JSON lines', function (done) {
+      var sink = new audit.FileSink(file);
+
+      async.each([1, 2, 3], function (id, next) {
+        sink.write({ id: id }, next);
+      }, function (err) {
+        if (err) {
+          return done(err);
+        }
+
+        read('audit.jsonl').should.eql([{ id: 1 }, { id: 2 }, { id: 3 }]);
+        done();
+      });
+    });
+
+    it('rotates the file by size keeping the given number of files', function (done) {
+      var sink = new audit.FileSink(file, { maxSize: 20, maxFiles: 2 });
+
+      async.eachSeries(_.range(1, 9), function (id, next) { // 9 bytes per line
+        sink.write({ id: id }, next);
+      }, function (err) {
+        if (err) {
+          return done(err);
+        }
+
+        fs.readdirSync(directory).sort()
+          .should.eql(['audit.jsonl', 'audit.jsonl.1', 'audit.jsonl.2']);
+
+        read('audit.jsonl').should.eql([{ id: 7 }, { id: 8 }]);
+        read('audit.jsonl.1').should.eql([{ id: 5 }, { id: 6 }]);
+        read('audit.jsonl.2').should.eql([{ id: 3 }, { id: 4 }]);
+        done();
+      });
+    });
+  });
+
+  describe('Auditor', function () {
+    var records, receiver, agent;
+
+    // record into a function sink to wait for the records
+    function createReceiver(options, implementation) {
+      records = [];
+
+      receiver = new PaymentReceiver(implementation || {
+        validate: function (params, callback) {
+          callback(null, PaymentReceiver.STATUS.OK, 'Jon Snow');
+        }
+      }, _.assign({
+        audit: {
+          sinks: [new audit.MemorySink(), function (record, callback) {
+            records.push(record);
+            callback();
+          }]
+        }
+      }, options));
+
+      agent = supertest(receiver.server);
+    }
+
+    // wait for the records to be written
+    function recorded(count, callback) {
+      async.until(function () {
+        return records.length >= count;
+      }, setImmediate, callback);
+    }
+
+    beforeEach(function () {
+      createReceiver();
+    });
+
+    it('throws if there are no sinks', function () {
+      (function () {
+        return new PaymentReceiver({}, { audit: { sinks: [{}] } });
+      }).should.throw('audit `sinks` must implement the `write(record, callback)` method');
+    });
+
+    it('records the request and the response', function (done) {
+      agent.post('/api/validate')
+        .set('X-Request-Id', 'req-1')
+        .set('X-UMAI-Signature', 'ab01')
+        .set('Cookie', 'session=secret')
+        .send({ requisite: '996700650835', amount: '12.50' })
+        .expect(200, function (err) {
+          if (err) {
+            return done(err);
+          }
+
+          recorded(1, function () {
+            var record = records[0];
+
+            record.should.have.properties({ id: 'req-1' });
+            record.timestamp.should.be.an.instanceOf(Date);
+            record.duration.should.be.a.Number();
+
+            record.request.should.have.properties({
+              method: 'POST',
+              url: '/api/validate',
+              body: '{"requisite":"996700650835","amount":"12.50"}'
+            });
+
+            record.request.headers.should.have.properties({
+              'x-request-id': 'req-1',
+              'x-umai-signature': 'ab01'
+            });
+
+            record.request.headers.should.not.have.property('cookie');
+
+            record.response.should.eql({
+              status: 200,
+              type: 'text/html; charset=utf-8',
+              body: 'Jon Snow',
+              truncated: false
+            });
+
+            receiver.auditor.sinks[0].records.should.have.lengthOf(1);
+            done();
+          });
+        });
+    });
+
+    it('records the rejected requests', function (done) {
+      agent.post('/api/validate')
+        .send({})
+        .expect(400, function (err, res) {
+          if (err) {
+            return done(err);
+          }
+
+          recorded(1, function () {
+            records[0].response.should.have.properties({
+              status: 400,
+              body: res.text
+            });
+
+            JSON.parse(records[0].response.body).requestId.should.eql(records[0].id);
+            done();
+          });
+        });
+    });
+
+    it('records the transactions routes only', function (done) {
+      agent.get('/api/about')
+        .expect(200, function (err) {
+          if (err) {
+            return done(err);
+          }
+
+          agent.get('/api/transactions/5648dc5077ba42ee6b13ff6f')
+            .expect(501, function (err) {
+              if (err) {
+                return done(err);
+              }
+
+              recorded(1, function () {
+                records.should.have.lengthOf(1);
+                records[0].request.url.should.eql('/api/transactions/5648dc5077ba42ee6b13ff6f');
+                done();
+              });
+            });
+        });
+    });
+
+    it('masks the requisites', function (done) {
+      createReceiver({
+        audit: { sinks: function (record, callback) {
+          records.push(record);
+          callback();
+        }, mask: true }
+      }, {
+        get: function (id, callback) {
+          callback(null, PaymentReceiver.STATUS.OK, {
+            id: id, requisite: '996700650835', amount: 12.5, status: 'success'
+          });
+        }
+      });
+
+      agent.get('/api/transactions/5648dc5077ba42ee6b13ff6f')
+        .expect(200, function (err) {
+          if (err) {
+            return done(err);
+          }
+
+          recorded(1, function () {
+            records[0].response.body.should.eql('{"id":"5648dc5077ba42ee6b13ff6f",' +
+              '"requisite":"********0835","amount":12.50,"status":"success"}');
+            done();
+          });
+        });
+    });
+
+    it('masks the original requisites', function (done) {
+      createReceiver({
+        audit: { sinks: function (record, callback) {
+          records.push(record);
+          callback();
+        }, mask: true }
+      }, {
+        get: function (id, callback) {
+          callback(null, PaymentReceiver.STATUS.OK, {
+            id: id,
+            requisite: '996700650835',
+            originalRequisite: '+996 700 650-835',
+            amount: 12.5,
+            status: 'success'
+          });
+        }
+      });
+
+      agent.get('/api/transactions/5648dc5077ba42ee6b13ff6f')
+        .expect(200, function (err) {
+          if (err) {
+            return done(err);
+          }
+
+          recorded(1, function () {
+            records[0].response.body.should.containEql(
+              '"originalRequisite":"************-835"');
+            records[0].response.body.should.not.containEql('650-835');
+            done();
+          });
+        });
+    });
+
+    it('masks the malformed query string requisites', function (done) {
+      createReceiver({
+        audit: { sinks: function (record, callback) {
+          records.push(record);
+          callback();
+        }, mask: true }
+      });
+
+      agent.get('/api/transactions?begin=2015-01-01&requisite=%E0%A4%A')
+        .expect(501, function (err) {
+          if (err) {
+            return done(err);
+          }
+
+          recorded(1, function () {
+            records[0].request.url.should.eql(
+              '/api/transactions?begin=2015-01-01&requisite=****A4%25A');
+            done();
+          });
+        });
+    });
+
+    it('truncates the long bodies', function (done) {
+      createReceiver({
+        audit: { sinks: function (record, callback) {
+          records.push(record);
+          callback();
+        }, maxBodyLength: 16 }
+      });
+
+      agent.post('/api/validate')
+        .send({})
+        .expect(400, function (err) {
+          if (err) {
+            return done(err);
+          }
+
+          recorded(1, function () {
+            records[0].response.should.have.properties({
+              body: '{"code":"MISSING',
+              truncated: true
+            });
+            done();
+          });
+        });
+    });
+
+    it('emits `error` if a sink fails', function (done) {
+      createReceiver({
+        audit: { sinks: function (record, callback) {
+          callback(new Error('disk is full'));
+        } }
+      });
+
+      receiver.once('error', function (err, info) {
+        err.message.should.eql('disk is full');
+        info.should.have.properties({ method: 'audit' });
+        should.exist(info.params.id);
+        done();
+      });
+
+      agent.post('/api/validate')
+        .send({ requisite: '996700650835' })
+        .end(_.noop);
+    });
+  });
+});
@@ -0,0 +1,357 @@
+/**
+ * Background completion of the accepted transactions.
+ */
+
+'use strict';
+
+var _ = require('lodash');
+
+var STATUS = require('./status-map');
+var TransactionState = require('./transaction-state');
+var invoke = require('./invoke');
+
+/** @const {Object} default worker options */
+var DEFAULTS = {
+  retryDelay: 1000, // first attempt delay (ms)
+  maxRetryDelay: 60000, // ms
+  factor: 2, // retry delay multiplier
+  deadline: 24 * 60 * 60 * 1000 // ms since acceptance
+};
+
+/**
+ * In-memory pending jobs store (the reference implementation).
+ * Keeps the jobs within a single process, so they don't survive restarts.
+ *
+ * Every store (usually a storage adapter) implements the following asynchronous methods:
+ *  * `savePending(job, callback)` – inserts or updates the job by its `id`;
+ *  * `loadPending(callback)` – calls back with all the saved jobs;
+ *  * `removePending(id, callback)` – removes the job.
+ *
+ * Jobs are `{ id, method, accepted, deadline, attempts, next }` objects,
+ * where `method` is `process|cancel`, and `accepted`, `deadline` and `next` are datetimes.
+ *
+ * @constructor
+ */
+function MemoryStore() {
+  this.jobs = Object.create(null);
+}
+
+/**
+ * Save the job.
+ * @param {Object} job
+ * @param {function(err:Error)} callback
+ */
+MemoryStore.prototype.savePending = function (job, callback) {
+  this.jobs[job.id] = _.clone(job);
+  process.nextTick(callback);
+};
+
+/**
+ * Load all the saved jobs.
+ * @param {function(err:Error, jobs:Object[]?)} callback
+ */
+MemoryStore.prototype.loadPending = function (callback) {
+  var jobs = _.map(this.jobs, _.clone);
+
+  process.nextTick(function () {
+    callback(null, jobs);
+  });
+};
+
+/**
+ * Remove the job.
+ * @param {string} id – transaction unique identifier
+ * @param {function(err:Error)} callback
+ */
+MemoryStore.prototype.removePending = function (id, callback) {
+  delete this.jobs[id];
+  process.nextTick(callback);
+};
+
+/**
+ * Worker that moves the accepted transactions (`STATUS.ACCEPTED` of `#process` or `#cancel`)
+ * to completion through the implementation's `#complete` method retrying with backoff,
+ * and marks them failed through `#fail` once the deadline passes (retrying with backoff as well).
+ * Either method calling back with `STATUS.NOT_IMPLEMENTED` gives the transaction up.
+ *
+ * Emits the receiver events: `tracked`, `completed`, `retrying`, `expired` and `abandoned`
+ * with an info object (`id`, `method`, `attempts` and the resulting `transaction` if completed
+ * or expired) and `error` (if listened) with the `info.method` of `complete|fail|get|store`.
+ *
+ * @constructor
+ * @param {PaymentReceiver} receiver – receiver implementing `#complete` and `#fail`
+ * @param {Object} [options]
+ * @param {Object} [options.store] – pending jobs store (in-memory one by default)
+ * @param {number} [options.retryDelay=1000] – delay before the first attempt (ms)
+ * @param {number} [options.maxRetryDelay=60000] – maximum delay between attempts (ms)
+ * @param {number} [options.factor=2] – delay multiplier of every next attempt
+ * @param {number} [options.deadline=86400000] – time to complete the transaction in (ms)
+ */
+function CompletionWorker(receiver, options) {
+  this.receiver = receiver;
+  this.options = _.assign({}, DEFAULTS, options);
+  this.store = this.options.store || new MemoryStore();
+
+  this.timers = Object.create(null); // by transaction id
+  this.started = false;
+
+  var self = this;
+
+  receiver.on('accepted', function (info) {
+    self.track(info.params.id, info.method);
+  });
+}
+
+/**
+ * Emit the receiver event.
+ * @param {string} event
+ * @param {Object} job
+ * @param {Object} [extra] – extra info properties
+ */
+CompletionWorker.prototype.emit = function (event, job, extra) {
+  this.receiver.emit(event, _.assign({
+    id: job.id,
+    method: job.method,
+    attempts: job.attempts
+  }, extra));
+};
+
+/**
+ * Emit the receiver `error` event (if listened).
+ * @param {Error} err
+ * @param {string} method – failed method (`complete|fail|get|store`)
+ * @param {Object} [job]
+ */
+CompletionWorker.prototype.error = function (err, method, job) {
+  if (this.receiver.listeners('error').length) {
+    this.receiver.emit('error', err, job ? { method: method, params: { id: job.id }, job: job } :
+      { method: method });
+  }
+};
+
+/**
+ * Load the pending jobs from the store and schedule them.
+ * @param {function(err:Error?)} [callback] – the receiver `error` event is emitted if omitted
+ */
+CompletionWorker.prototype.start = function (callback) {
+  var self = this;
+
+  callback = callback || function (err) {
+    if (err) {
+      self.error(err, 'store');
+    }
+  };
+
+  if (this.started) {
+    return process.nextTick(callback);
+  }
+
+  this.started = true;
+
+  this.store.loadPending(function (err, jobs) {
+    if (err) {
+      self.started = false;
+      return callback(err);
+    }
+
+    jobs.forEach(function (job) {
+      if (self.started && !self.timers[job.id]) {
+        self.schedule(job);
+      }
+    });
+
+    callback(null);
+  });
+};
+
+/**
+ * Cancel all the scheduled attempts (the jobs remain in the store).
+ */
+CompletionWorker.prototype.stop = function () {
+  _.forEach(this.timers, clearTimeout);
+
+  this.timers = Object.create(null);
+  this.started = false;
+};
+
+/**
+ * Start tracking an accepted transaction.
+ * @param {string} id – transaction unique identifier
+ * @param {string} method – accepted method (`process|cancel`)
+ * @param {function(err:Error?)} [callback]
+ */
+CompletionWorker.prototype.track = function (id, method, callback) {
+  var self = this,
+      now = Date.now();
+
+  callback = callback || _.noop;
+
+  if (this.timers[id]) { // is tracked already
+    return process.nextTick(callback);
+  }
+
+  var job = {
+    id: id,
+    method: method,
+    accepted: new Date(now),
+    deadline: new Date(now + this.options.deadline),
+    attempts: 0,
+    next: new Date(now + this.options.retryDelay)
+  };
+
+  this.timers[id] = true; // reserve until saved
+
+  this.store.savePending(job, function (err) {
+    if (err) {
+      delete self.timers[id];
+      self.error(err, 'store', job);
+      return callback(err);
+    }
+
+    if (self.started) {
+      self.schedule(job);
+    }
+    else { // will be scheduled on start
+      delete self.timers[id];
+    }
+
+    self.emit('tracked', job);
+    callback(null);
+  });
+};
+
+/**
+ * Schedule the next attempt of the job.
+ * @param {Object} job
+ */
+CompletionWorker.prototype.schedule = function (job) {
+  var self = this,
+      delay = Math.max(0, new Date(job.next).getTime() - Date.now());
+
+  var timer = setTimeout(function () {
+    self.attempt(job);
+  }, delay);
+
+  if (timer.unref) { // don't keep the process running for the sake of the pending jobs
+    timer.unref();
+  }
+
+  this.timers[job.id] = timer;
+};
+
+/**
+ * Remove the finished job.
+ * @param {Object} job
+ * @param {string} event – event to emit once removed
+ * @param {Object} [extra] – extra event info properties
+ */
+CompletionWorker.prototype.finish = function (job, event, extra) {
+  var self = this;
+
+  delete this.timers[job.id];
+
+  this.store.removePending(job.id, function (err) {
+    if (err) {
+      self.error(err, 'store', job);
+    }
+
+    self.emit(event, job, extra);
+  });
+};
+
+/**
+ * Schedule the job retry with the backoff (not later than the deadline).
+ * @param {Object} job
+ */
+CompletionWorker.prototype.retry = function (job) {
+  var self = this,
+      options = this.options,
+      delay = Math.min(options.retryDelay * Math.pow(options.factor, job.attempts),
+        options.maxRetryDelay),
+      next = Date.now() + delay,
+      deadline = new Date(job.deadline).getTime();
+
+  job.next = new Date((deadline > Date.now()) ? Math.min(next, deadline) : next);
+
+  this.store.savePending(job, function (err) {
+    if (err) {
+      self.error(err, 'store', job);
+    }
+
+    if (!self.started) {
+      return;
+    }
+
+    self.schedule(job);
+    self.emit('retrying', job, { next: job.next });
+  });
+};
+
+/**
+ * Attempt to complete the job (or fail it if the deadline has passed).
+ * @param {Object} job
+ */
+CompletionWorker.prototype.attempt = function (job) {
+  var self = this,
+      receiver = this.receiver;
+
+  job.attempts++; // either to complete or to fail
+
+  if (Date.now() >= new Date(job.deadline).getTime()) {
+    return invoke(receiver, 'fail', job.id, function (err, status) {
+      if (!err && status === STATUS.NOT_IMPLEMENTED) { // would never succeed
+        return self.finish(job, 'abandoned');
+      }
+
+      if (!err && status !== STATUS.OK) {
+        err = new Error('`#fail` has called back with status ' + status);
+      }
+
+      if (err) {
+        self.error(err, 'fail', job);
+        return self.retry(job);
+      }
+
+      invoke(receiver, 'get', job.id, function (err, status, transaction) {
+        if (err) {
+          self.error(err, 'get', job);
+        }
+
+        // the transaction is marked anyway, so it's finished even if it can't be retrieved
+        self.finish(job, 'expired', (!err && status === STATUS.OK) ?
+          { transaction: transaction } : null);
+      });
+    });
+  }
+
+  invoke(receiver, 'complete', job.id, function (err, status) {
+    if (err) {
+      self.error(err, 'complete', job);
+    }
+
+    if (!err && status === STATUS.NOT_IMPLEMENTED) { // would never succeed
+      return self.finish(job, 'abandoned');
+    }
+
+    if (err || status !== STATUS.OK) { // still in progress (or failed to complete)
+      return self.retry(job);
+    }
+
+    invoke(receiver, 'get', job.id, function (err, status, transaction) {
+      if (err) {
+        self.error(err, 'get', job);
+      }
+
+      if (err || status !== STATUS.OK || !TransactionState.isCompleted(transaction.status)) {
+        return self.retry(job);
+      }
+
+      self.finish(job, 'completed', { transaction: transaction });
+    });
+  });
+};
+
+CompletionWorker.DEFAULTS = DEFAULTS;
+CompletionWorker.MemoryStore = MemoryStore;
+
+module.exports = CompletionWorker;
@@ -0,0 +1,324 @@
+'use strict';
+
+var _ = require('lodash');
+
+var should = require('should'),
+    sinon = require('sinon');
+
+var PaymentReceiver = require('./receiver');
+var AdapterReceiver = require('./adapter-receiver');
+var MemoryAdapter = require('./memory-adapter');
+var CompletionWorker = require('./completion-worker');
+var STATUS = require('./status-map');
+
+describe('CompletionWorker', function () {
+  var clock, receiver, worker, transaction;
+
+  // setup the receiver stubbing `#complete`, `#fail` and `#get`
+  beforeEach(function () {
+    clock = sinon.useFakeTimers(Date.parse('2015-11-24T00:00:00.000Z'));
+
+    transaction = { id: '5648dc5077ba42ee6b13ff6f', status: 'processing' };
+
+    receiver = new PaymentReceiver({
+      complete: sinon.spy(function (id, callback) {
+        process.nextTick(function () {
+          callback(null, (transaction.status === 'success') ? STATUS.OK : STATUS.ACCEPTED);
+        });
+      }),
+
+      fail: sinon.spy(function (id, callback) {
+        transaction.status = 'failure';
+        process.nextTick(function () {
+          callback(null, STATUS.OK);
+        });
+      }),
+
+      get: function (id, callback) {
+        process.nextTick(function () {
+          callback(null, STATUS.OK, transaction);
+        });
+      }
+    });
+
+    worker = new CompletionWorker(receiver, {
+      retryDelay: 1000,
+      maxRetryDelay: 3000,
+      deadline: 10000
+    });
+  });
+
+  afterEach(function () {
+    worker.stop();
+    clock.restore();
+  });
+
+  /**
+   * Start the worker and track the accepted transaction the same way the API does.
+   * @param {function(err:Error?)} done
+   */
+  function accept(done) {
+    worker.start(function (err) {
+      if (err) {
+        return done(err);
+      }
+
+      receiver.once('tracked', function () {
+        done();
+      });
+
+      receiver.emit('accepted', { method: 'process', params: { id: transaction.id } });
+    });
+  }
+
+  it('tracks the accepted transactions and completes them', function (done) {
+    accept(function (err) {
+      if (err) {
+        return done(err);
+      }
+
+      receiver.once('completed', function (info) {
+        info.should.eql({
+          id: transaction.id,
+          method: 'process',
+          attempts: 1,
+          transaction: transaction
+        });
+
+        should(worker.store.jobs).be.empty();
+        done();
+      });
+
+      transaction.status = 'success';
+      clock.tick(1000);
+
+      receiver.complete.calledOnce.should.be.true();
+      receiver.complete.firstCall.args[0].should.eql(transaction.id);
+    });
+  });
+
+  it('retries to complete with the backoff', function (done) {
+    var delays = [];
+
+    accept(function (err) {
+      if (err) {
+        return done(err);
+      }
+
+      receiver.on('retrying', function (info) {
+        delays.push(info.next - Date.now());
+
+        if (info.attempts === 3) {
+          transaction.status = 'success';
+        }
+
+        clock.tick(info.next - Date.now());
+      });
+
+      receiver.once('completed', function (info) {
+        info.attempts.should.eql(4);
+        delays.should.eql([2000, 3000, 3000]); // limited by `maxRetryDelay`
+        done();
+      });
+
+      clock.tick(1000);
+    });
+  });
+
+  it('marks the transaction failed after the deadline', function (done) {
+    accept(function (err) {
+      if (err) {
+        return done(err);
+      }
+
+      receiver.on('retrying', function (info) {
+        clock.tick(info.next - Date.now());
+      });
+
+      receiver.once('expired', function (info) {
+        info.should.have.properties({ id: transaction.id, method: 'process' });
+        info.transaction.status.should.eql('failure');
+
+        Date.now().should.eql(Date.parse('2015-11-24T00:00:10.000Z')); // exactly at the deadline
+        receiver.fail.calledOnce.should.be.true();
+        transaction.status.should.eql('failure');
+        should(worker.store.jobs).be.empty();
+        done();
+      });
+
+      clock.tick(1000);
+    });
+  });
+
+  it('emits `error` and retries if `#complete` fails', function (done) {
+    receiver.complete = function (id, callback) {
+      callback(new Error('Stubbed Error'));
+    };
+
+    accept(function (err) {
+      if (err) {
+        return done(err);
+      }
+
+      receiver.once('error', function (err, info) {
+        err.message.should.eql('Stubbed Error');
+        info.should.have.properties({ method: 'complete', params: { id: transaction.id } });
+
+        receiver.once('retrying', function (info) {
+          info.attempts.should.eql(1);
+          done();
+        });
+      });
+
+      clock.tick(1000);
+    });
+  });
+
+  it('counts the attempts to mark the transaction failed after the deadline', function (done) {
+    var failures = 2;
+
+    receiver.fail = sinon.spy(function (id, callback) {
+      process.nextTick(function () {
+        callback(--failures < 0 ? null : new Error('Stubbed Error'), STATUS.OK);
+      });
+    });
+
+    receiver.on('error', _.noop);
+
+    accept(function (err) {
+      if (err) {
+        return done(err);
+      }
+
+      var attempts = [];
+
+      receiver.on('retrying', function (info) {
+        attempts.push(info.attempts);
+        clock.tick(info.next - Date.now());
+      });
+
+      receiver.once('expired', function (info) {
+        receiver.fail.calledThrice.should.be.true();
+        attempts.should.eql(_.range(1, attempts.length + 1)); // the failed ones as well
+        info.attempts.should.eql(attempts.length + 1);
+        done();
+      });
+
+      clock.tick(1000);
+    });
+  });
+
+  [
+    ['complete', 'processing'],
+    ['fail', 'failure']
+  ].forEach(function (test) {
+    it('abandons the transaction if `#' + test[0] + '` is not implemented', function (done) {
+      receiver[test[0]] = sinon.spy(function (id, callback) {
+        process.nextTick(function () {
+          callback(null, STATUS.NOT_IMPLEMENTED);
+        });
+      });
+
+      if (test[0] === 'fail') {
+        worker.options.deadline = 0;
+      }
+
+      accept(function (err) {
+        if (err) {
+          return done(err);
+        }
+
+        receiver.on('retrying', function () {
+          done(new Error('expected the transaction to have not been retried'));
+        });
+
+        receiver.once('abandoned', function (info) {
+          info.should.eql({ id: transaction.id, method: 'process', attempts: 1 });
+          receiver[test[0]].calledOnce.should.be.true();
+          should(worker.store.jobs).be.empty();
+          done();
+        });
+
+        clock.tick(1000);
+      });
+    });
+  });
+
+  it('emits `error` and retries if `#complete` throws', function (done) {
+    receiver.complete = function () {
+      throw new Error('Stubbed Error');
+    };
+
+    accept(function (err) {
+      if (err) {
+        return done(err);
+      }
+
+      receiver.once('error', function (err, info) {
+        err.message.should.eql('Stubbed Error');
+        info.should.have.properties({ method: 'complete', params: { id: transaction.id } });
+
+        receiver.once('retrying', function (info) {
+          info.attempts.should.eql(1);
+          done();
+        });
+      });
+
+      clock.tick(1000);
+    });
+  });
+
+  it('resumes the saved jobs on start', function (done) {
+    worker.store.savePending({
+      id: transaction.id,
+      method: 'cancel',
+      accepted: new Date(Date.now() - 5000),
+      deadline: new Date(Date.now() + 5000),
+      attempts: 2,
+      next: new Date(Date.now() + 500)
+    }, function (err) {
+      if (err) {
+        return done(err);
+      }
+
+      receiver.once('completed', function (info) {
+        info.should.have.properties({ method: 'cancel', attempts: 3 });
+        done();
+      });
+
+      worker.start(function (err) {
+        if (err) {
+          return done(err);
+        }
+
+        transaction.status = 'success';
+        clock.tick(500);
+      });
+    });
+  });
+
+  it('is enabled by `options.completion`', function () {
+    receiver = new PaymentReceiver({}, { completion: { deadline: 5000 } });
+
+    receiver.completion.should.be.an.instanceOf(CompletionWorker);
+    receiver.completion.options.deadline.should.eql(5000);
+
+    should(new PaymentReceiver().completion).be.undefined();
+  });
+
+  it('keeps the jobs in the storage adapter of `AdapterReceiver`', function (done) {
+    var adapter = new MemoryAdapter();
+
+    receiver = new AdapterReceiver(adapter, { completion: true });
+    receiver.completion.store.should.equal(adapter);
+
+    receiver.completion.track(transaction.id, 'process', function (err) {
+      if (err) {
+        return done(err);
+      }
+
+      should(adapter.pending).have.property(transaction.id);
+      done();
+    });
+  });
+});
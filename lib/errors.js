@@ -0,0 +1,201 @@
+/**
+ * Error responses of the API routes.
+ */
+
+'use strict';
+
+var crypto = require('crypto');
+
+var STATUS = require('./status-map');
+
+/** @const {Object.<string, string>} machine-readable error codes */
+var CODES = {
+  BAD_REQUEST: 'BAD_REQUEST',
+  NOT_FOUND: 'NOT_FOUND',
+  MISSING_PARAMETER: 'MISSING_PARAMETER',
+  INVALID_PARAMETER: 'INVALID_PARAMETER',
+  AMOUNT_OUT_OF_LIMITS: 'AMOUNT_OUT_OF_LIMITS',
+  RANGE_TOO_LARGE: 'RANGE_TOO_LARGE',
+  IDEMPOTENCY_CONFLICT: 'IDEMPOTENCY_CONFLICT',
+  INVALID_TRANSITION: 'INVALID_TRANSITION',
+  ADDRESS_NOT_ALLOWED: 'ADDRESS_NOT_ALLOWED',
+  INVALID_SIGNATURE: 'INVALID_SIGNATURE',
+  RATE_LIMIT_EXCEEDED: 'RATE_LIMIT_EXCEEDED',
+  CONCURRENCY_LIMIT_EXCEEDED: 'CONCURRENCY_LIMIT_EXCEEDED',
+  SERVICE_UNAVAILABLE: 'SERVICE_UNAVAILABLE',
+  INTERNAL_ERROR: 'INTERNAL_ERROR'
+};
+
+/** @const {string[]} error response formats */
+var FORMATS = ['json', 'text'];
+
+/** @const {string} request id header (reused if sent, generated otherwise) */
+var REQUEST_ID_HEADER = 'X-Request-Id';
+
+/** @const {RegExp} request id that is safe to reuse */
+var REQUEST_ID_REGEXP = /^[\w.:\-]{1,128}$/;
+
+/**
+ * Create the error of the missing parameter.
+ * @param {string} field – parameter name
+ * @param {boolean} [query=false] – whether it's the query parameter
+ * @returns {Object} `{ code, message, field }`
+ */
+function missing(field, query) {
+  return {
+    code: CODES.MISSING_PARAMETER,
+    message: 'missing ' + (query ? 'query ' : '') + 'parameter `' + field + '`',
+    field: field
+  };
+}
+
+/**
+ * Create the error of the invalid parameter.
+ * @param {string} field – parameter name
+ * @param {string} message
+ * @param {string} [code=CODES.INVALID_PARAMETER]
+ * @returns {Object} `{ code, message, field }`
+ */
+function invalid(field, message, code) {
+  return { code: code || CODES.INVALID_PARAMETER, message: message, field: field };
+}
+
+/**
+ * Create the error of a given exception (hiding its details unless it's the transition error).
+ * @param {Error} err
+ * @param {number} status – response status
+ * @returns {Object} `{ code, message, field, cause }`
+ */
+function fromException(err, status) {
+  if (status === STATUS.INTERNAL_SERVER_ERROR) {
+    return {
+      code: CODES.INTERNAL_ERROR,
+      message: 'internal server error',
+      field: null,
+      cause: err
+    };
+  }
+
+  return {
+    code: (err.name === 'TransitionError') ? CODES.INVALID_TRANSITION : CODES.INTERNAL_ERROR,
+    message: err.message,
+    field: null,
+    cause: err
+  };
+}
+
+/**
+ * Create the middleware that assigns the request id (`res.locals.requestId`) and the error
+ * response options (`res.locals.errors`) to every request.
+ * @param {Object} [options]
+ * @param {string} [options.format='json'] – `json|text`
+ * @param {boolean} [options.debug=false] – expose the internal error details
+ * @returns {function(req:Object, res:Object, next:function)}
+ * @throws {Error} if the format is unknown
+ */
+function middleware(options) {
+  options = { format: (options && options.format) || 'json', debug: !!(options && options.debug) };
+
+  if (FORMATS.indexOf(options.format) === -1) {
+    throw new Error('error format must be either `json` or `text`, got `' + options.format + '`');
+  }
+
+  return function identifyRequest(req, res, next) {
+    var id = req.get(REQUEST_ID_HEADER);
+
+    if (!id || !REQUEST_ID_REGEXP.test(id)) {
+      id = crypto.randomBytes(12).toString('hex');
+    }
+
+    res.locals.requestId = id;
+    res.locals.errors = options;
+    res.set(REQUEST_ID_HEADER, id);
+
+    next();
+  };
+}
+
+/**
+ * Respond the error: as the `{ code, message, field, requestId }` JSON envelope
+ * (with the `details` of the internal error in the debug mode), or as the plain text message
+ * in the `text` format (which is the default one outside of the receiver routes).
+ * @param {Object} res – express' response object
+ * @param {number} status – response status
+ * @param {Object} error – `{ code, message, field, cause }`
+ */
+function send(res, status, error) {
+  var options = res.locals.errors || { format: 'text' },
+      debug = options.debug && error.cause;
+
+  if (options.format === 'text') { // the exceptions are responded as is, unless internal
+    var exposed = error.cause && (debug || error.code !== CODES.INTERNAL_ERROR);
+
+    return res.status(status)
+      .send(exposed ? error.cause.toString() : error.message);
+  }
+
+  var body = {
+    code: error.code,
+    message: error.message,
+    field: error.field || null,
+    requestId: res.locals.requestId || null
+  };
+
+  if (debug) {
+    body.details = error.cause.stack || error.cause.toString();
+  }
+
+  res.status(status).json(body);
+}
+
+/**
+ * Respond [404 "Not Found"] to the request of an unknown route.
+ * @param {Object} req – express' request object
+ * @param {Object} res – express' response object
+ */
+function notFound(req, res) {
+  send(res, STATUS.NOT_FOUND, {
+    code: CODES.NOT_FOUND,
+    message: 'unknown route `' + req.method + ' ' + req.baseUrl + req.path + '`',
+    field: null
+  });
+}
+
+/**
+ * Create the error-handling middleware that responds the errors passed by the preceding
+ * middleware and routes (like the malformed request bodies or the thrown exceptions)
+ * instead of express' default HTML page with the stack trace: the client errors
+ * (`err.expose` ones of body-parser) as `BAD_REQUEST`, the others as `INTERNAL_ERROR`.
+ * @returns {function(err:Error, req:Object, res:Object, next:function)}
+ */
+function handler() {
+  return function respondError(err, req, res, next) {
+    if (res.headersSent) { // let express close the connection
+      return next(err);
+    }
+
+    var status = err.status || err.statusCode;
+
+    if (err.expose && status >= 400 && status < 500) {
+      return send(res, status, {
+        code: CODES.BAD_REQUEST,
+        message: err.message,
+        field: null,
+        cause: err
+      });
+    }
+
+    send(res, STATUS.INTERNAL_SERVER_ERROR, fromException(err, STATUS.INTERNAL_SERVER_ERROR));
+  };
+}
+
+exports.CODES = CODES;
+exports.FORMATS = FORMATS;
+exports.REQUEST_ID_HEADER = REQUEST_ID_HEADER;
+exports.missing = missing;
+exports.invalid = invalid;
+exports.fromException = fromException;
+exports.middleware = middleware;
+exports.send = send;
+exports.notFound = notFound;
+exports.handler = handler;
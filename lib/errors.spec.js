@@ -0,0 +1,140 @@
+'use strict';
+
+var express = require('express');
+
+var should = require('should'),
+    supertest = require('supertest');
+
+var errors = require('./errors');
+
+describe('errors', function () {
+  describe('.missing()', function () {
+    it('creates the error of the missing parameter', function () {
+      errors.missing('requisite').should.eql({
+        code: 'MISSING_PARAMETER',
+        message: 'missing parameter `requisite`',
+        field: 'requisite'
+      });
+
+      errors.missing('begin', true).message.should.eql('missing query parameter `begin`');
+    });
+  });
+
+  describe('.fromException()', function () {
+    it('hides the internal error details', function () {
+      var err = new Error('relation "accounts" does not exist');
+
+      errors.fromException(err, 500).should.have.properties({
+        code: 'INTERNAL_ERROR',
+        message: 'internal server error',
+        cause: err
+      });
+    });
+  });
+
+  describe('.middleware()', function () {
+    it('throws if the format is unknown', function () {
+      (function () {
+        errors.middleware({ format: 'xml' });
+      }).should.throw('error format must be either `json` or `text`, got `xml`');
+    });
+  });
+
+  describe('.send()', function () {
+    var app, err;
+
+    function createApp(options) {
+      app = express();
+
+      if (options) {
+        app.use(errors.middleware(options));
+      }
+
+      app.get('/invalid', function (req, res) {
+        errors.send(res, 422, errors.invalid('limit', 'query parameter `limit` is invalid'));
+      });
+
+      app.get('/failed', function (req, res) {
+        errors.send(res, 500, errors.fromException(err, 500));
+      });
+    }
+
+    beforeEach(function () {
+      err = new Error('connection refused');
+      createApp({});
+    });
+
+    it('responds the JSON envelope with the request id', function (done) {
+      supertest(app).get('/invalid')
+        .expect(422)
+        .expect('Content-Type', /json/)
+        .end(function (err, res) {
+          if (err) {
+            return done(err);
+          }
+
+          res.body.should.have.properties({
+            code: 'INVALID_PARAMETER',
+            message: 'query parameter `limit` is invalid',
+            field: 'limit'
+          });
+
+          res.body.requestId.should.match(/^[0-9a-f]{24}$/);
+          res.headers['x-request-id'].should.eql(res.body.requestId);
+          done();
+        });
+    });
+
+    it('reuses the request id that is sent', function (done) {
+      supertest(app).get('/invalid')
+        .set('X-Request-Id', 'edge-1f3c.42')
+        .expect('X-Request-Id', 'edge-1f3c.42')
+        .expect(function (res) {
+          res.body.requestId.should.eql('edge-1f3c.42');
+        })
+        .end(done);
+    });
+
+    it('exposes the internal error details in the debug mode only', function (done) {
+      supertest(app).get('/failed')
+        .expect(500)
+        .end(function (e, res) {
+          if (e) {
+            return done(e);
+          }
+
+          res.body.should.not.have.property('details');
+          createApp({ debug: true });
+
+          supertest(app).get('/failed')
+            .expect(500)
+            .expect(function (res) {
+              res.body.message.should.eql('internal server error');
+              res.body.details.should.startWith('Error: connection refused');
+            })
+            .end(done);
+        });
+    });
+
+    it('responds plain text in the `text` format', function (done) {
+      createApp({ format: 'text' });
+
+      supertest(app).get('/invalid')
+        .expect(422, 'query parameter `limit` is invalid', done);
+    });
+
+    it('responds plain text outside of the middleware', function (done) {
+      createApp();
+
+      supertest(app).get('/failed')
+        .expect(500, 'internal server error', function (e, res) {
+          if (e) {
+            return done(e);
+          }
+
+          should(res.headers['x-request-id']).be.undefined();
+          done();
+        });
+    });
+  });
+});
@@ -0,0 +1,197 @@
+/**
+ * Export of transactions into delimiter-separated values (CSV/TSV).
+ */
+
+'use strict';
+
+/* global Intl */
+
+var _ = require('lodash');
+
+var money = require('./money');
+
+/** @const {Object} default export options */
+var DEFAULTS = {
+  columns: ['id', 'requisite', 'service', 'amount', 'status', 'message', 'timestamp'],
+  decimals: 2,
+  decimalSeparator: '.',
+  timezone: 'UTC'
+};
+
+/** @const {Object.<string, string>} field delimiters by format */
+var DELIMITERS = {
+  csv: ',',
+  tsv: '\t'
+};
+
+/** @const {RegExp} fixed UTC offset (`Z`, `+06:00`, `-0330`) */
+var OFFSET_REGEXP = /^(?:Z|UTC|([+-])(\d{2}):?(\d{2}))$/;
+
+/** @const {RegExp} leading characters that spreadsheets take the value as a formula by */
+var FORMULA_REGEXP = /^[=+\-@\t\r]/;
+
+/**
+ * Pad a number with a leading zero.
+ * @param {number} number
+ * @returns {string}
+ */
+function pad(number) {
+  return (number < 10 ? '0' : '') + number;
+}
+
+/**
+ * Create a function that formats datetimes as `YYYY-MM-DD HH:mm:ss` in a given timezone.
+ * @param {string} timezone – fixed UTC offset (`+06:00`) or IANA timezone name (`Asia/Bishkek`)
+ * @returns {function(date:Date):string}
+ * @throws {RangeError} if timezone is unknown
+ */
+function datetimeFormatter(timezone) {
+  var offset = OFFSET_REGEXP.exec(timezone);
+
+  if (offset) {
+    var minutes = offset[1] ?
+      Number(offset[1] + '1') * (Number(offset[2]) * 60 + Number(offset[3])) : 0;
+
+    return function (date) {
+      date = new Date(date.getTime() + minutes * 60000);
+
+      return date.getUTCFullYear() + '-' + pad(date.getUTCMonth() + 1) + '-' +
+        pad(date.getUTCDate()) + ' ' + pad(date.getUTCHours()) + ':' +
+        pad(date.getUTCMinutes()) + ':' + pad(date.getUTCSeconds());
+    };
+  }
+
+  var format = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    hourCycle: 'h23',
+    year: 'numeric', month: '2-digit', day: '2-digit',
+    hour: '2-digit', minute: '2-digit', second: '2-digit'
+  });
+
+  return function (date) {
+    var parts = {};
+
+    format.formatToParts(date).forEach(function (part) {
+      parts[part.type] = part.value;
+    });
+
+    return parts.year + '-' + parts.month + '-' + parts.day + ' ' +
+      parts.hour + ':' + parts.minute + ':' + parts.second;
+  };
+}
+
+/**
+ * Transactions formatter into the rows of delimiter-separated values.
+ * @constructor
+ * @param {string} format – `csv|tsv`
+ * @param {Object} [options]
+ * @param {Array.<(string|Object)>} [options.columns] – transaction fields to export,
+ *        or `{ header, field }` objects, or `{ header, value: function(transaction) }` ones
+ * @param {number} [options.decimals=2] – number of `amount` decimal places
+ * @param {string} [options.decimalSeparator='.'] – `amount` decimal separator
+ * @param {string} [options.timezone='UTC'] – timezone to format `timestamp` in
+ *                                            (fixed UTC offset or IANA timezone name)
+ * @throws {RangeError} if timezone is unknown
+ */
+function Formatter(format, options) {
+  options = _.assign({}, DEFAULTS, options);
+
+  this.delimiter = DELIMITERS[format];
+  this.options = options;
+  this.formatDatetime = datetimeFormatter(options.timezone);
+
+  this.columns = options.columns.map(function (column) {
+    return (typeof column === 'string') ? { header: column, field: column } : column;
+  });
+}
+
+/**
+ * Escape a value for a delimiter-separated row (the strings that spreadsheets would take
+ * as formulas, like `=HYPERLINK(...)` or `+996700650835`, are prefixed with `'`).
+ * @param {*} value
+ * @returns {string}
+ */
+Formatter.prototype.escape = function (value) {
+  if (typeof value === 'string' && FORMULA_REGEXP.test(value)) {
+    value = "'" + value;
+  }
+
+  value = (value === null || typeof value === 'undefined') ? '' : String(value);
+
+  if (this.delimiter === '\t') { // TSV has no quoting, so the special characters are replaced
+    return value.replace(/[\t\r\n]+/g, ' ');
+  }
+
+  if (/[",\r\n]/.test(value)) {
+    return '"' + value.replace(/"/g, '""') + '"';
+  }
+
+  return value;
+};
+
+/**
+ * Format a row of values.
+ * @param {Array} values
+ * @returns {string}
+ */
+Formatter.prototype.row = function (values) {
+  return values.map(this.escape, this).join(this.delimiter) + '\r\n';
+};
+
+/**
+ * Format the header row.
+ * @returns {string}
+ */
+Formatter.prototype.header = function () {
+  return this.row(_.pluck(this.columns, 'header'));
+};
+
+/**
+ * Format the transaction field value.
+ * @param {Object} transaction
+ * @param {string} field
+ * @returns {*}
+ * @throws {RangeError} if the `timestamp` is not a valid datetime
+ */
+Formatter.prototype.value = function (transaction, field) {
+  var value = transaction[field];
+
+  if (value === null || typeof value === 'undefined') {
+    return value;
+  }
+
+  if (field === 'amount') {
+    return money.format(value, this.options.decimals)
+      .replace('.', this.options.decimalSeparator);
+  }
+
+  if (field === 'timestamp') {
+    var date = new Date(value);
+
+    if (isNaN(date.getTime())) {
+      throw new RangeError('transaction `' + transaction.id + '` has an invalid ' + field +
+        ' `' + value + '`');
+    }
+
+    return this.formatDatetime(date);
+  }
+
+  return value;
+};
+
+/**
+ * Format the transaction row.
+ * @param {Object} transaction
+ * @returns {string}
+ * @throws {RangeError} if any value can't be formatted (see `#value()`)
+ */
+Formatter.prototype.format = function (transaction) {
+  return this.row(this.columns.map(function (column) {
+    return column.value ? column.value(transaction) : this.value(transaction, column.field);
+  }, this));
+};
+
+exports.DEFAULTS = DEFAULTS;
+exports.DELIMITERS = DELIMITERS;
+exports.datetimeFormatter = datetimeFormatter;
+exports.Formatter = Formatter;
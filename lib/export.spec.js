@@ -0,0 +1,132 @@
+'use strict';
+
+require('should');
+
+var exportFormat = require('./export');
+
+describe('export', function () {
+  var transaction;
+
+  // setup transaction object
+  beforeEach(function () {
+    transaction = {
+      id: '5648dc5077ba42ee6b13ff6f',
+      requisite: '996700650835',
+      amount: 12.5,
+      status: 'failure',
+      message: 'Stubbed "Transaction" Error, retry',
+      timestamp: new Date('2015-11-15T20:15:31.390Z')
+    };
+  });
+
+  describe('.datetimeFormatter()', function () {
+    var date = new Date('2015-11-15T20:15:31.390Z');
+
+    it('formats datetimes in UTC', function () {
+      exportFormat.datetimeFormatter('UTC')(date).should.eql('2015-11-15 20:15:31');
+      exportFormat.datetimeFormatter('Z')(date).should.eql('2015-11-15 20:15:31');
+    });
+
+    it('formats datetimes with a fixed UTC offset', function () {
+      exportFormat.datetimeFormatter('+06:00')(date).should.eql('2015-11-16 02:15:31');
+      exportFormat.datetimeFormatter('-0330')(date).should.eql('2015-11-15 16:45:31');
+    });
+
+    it('formats datetimes in an IANA timezone', function () {
+      exportFormat.datetimeFormatter('Asia/Bishkek')(date).should.eql('2015-11-16 02:15:31');
+    });
+
+    it('throws if timezone is unknown', function () {
+      (function () {
+        exportFormat.datetimeFormatter('Mars/Olympus_Mons');
+      }).should.throw(RangeError);
+    });
+  });
+
+  describe('.Formatter', function () {
+    it('formats the header and CSV rows quoting the special characters', function () {
+      var formatter = new exportFormat.Formatter('csv');
+
+      formatter.header()
+        .should.eql('id,requisite,service,amount,status,message,timestamp\r\n');
+
+      formatter.format(transaction).should.eql(
+        '5648dc5077ba42ee6b13ff6f,996700650835,,12.50,failure,' +
+        '"Stubbed ""Transaction"" Error, retry",2015-11-15 20:15:31\r\n'
+      );
+    });
+
+    it('formats TSV rows replacing the special characters', function () {
+      var formatter = new exportFormat.Formatter('tsv', { columns: ['id', 'message'] });
+
+      transaction.message = 'Stubbed\tTransaction\r\nError';
+
+      formatter.format(transaction)
+        .should.eql('5648dc5077ba42ee6b13ff6f\tStubbed Transaction Error\r\n');
+    });
+
+    it('formats with the configured columns, decimals and timezone', function () {
+      var formatter = new exportFormat.Formatter('csv', {
+        columns: [
+          'id',
+          { header: 'Amount', field: 'amount' },
+          { header: 'Date', field: 'timestamp' },
+          { header: 'Internal', value: function (transaction) {
+            return transaction.internal && transaction.internal.id;
+          } }
+        ],
+        decimals: 3,
+        decimalSeparator: ',',
+        timezone: '+06:00'
+      });
+
+      transaction.internal = { id: 10004 };
+
+      formatter.header().should.eql('id,Amount,Date,Internal\r\n');
+      formatter.format(transaction)
+        .should.eql('5648dc5077ba42ee6b13ff6f,"12,500",2015-11-16 02:15:31,10004\r\n');
+    });
+
+    it('prefixes the values that spreadsheets would take as formulas', function () {
+      var formatter = new exportFormat.Formatter('csv', {
+        columns: ['id', 'requisite', 'message', { header: 'Balance', value: function () {
+          return -10;
+        } }]
+      });
+
+      transaction.id = '=HYPERLINK("http://evil.example","x")';
+      transaction.requisite = '+996700650835';
+      transaction.message = '@SUM(1+1)';
+
+      formatter.format(transaction).should.eql(
+        '"\'=HYPERLINK(""http://evil.example"",""x"")",\'+996700650835,\'@SUM(1+1),-10\r\n'
+      );
+
+      transaction.message = '-1';
+      new exportFormat.Formatter('tsv', { columns: ['message'] }).format(transaction)
+        .should.eql('\'-1\r\n');
+    });
+
+    it('throws if the timestamp is invalid', function () {
+      ['UTC', 'Asia/Bishkek'].forEach(function (timezone) {
+        var formatter = new exportFormat.Formatter('csv', { timezone: timezone });
+
+        transaction.timestamp = 'yesterday';
+
+        (function () {
+          formatter.format(transaction);
+        }).should.throw(RangeError, {
+          message: 'transaction `5648dc5077ba42ee6b13ff6f` has an invalid timestamp `yesterday`'
+        });
+      });
+    });
+
+    it('leaves missing values empty', function () {
+      var formatter = new exportFormat.Formatter('csv', { columns: ['id', 'timestamp'] });
+
+      delete transaction.timestamp;
+
+      formatter.format(transaction).should.eql('5648dc5077ba42ee6b13ff6f,\r\n');
+    });
+  });
+});
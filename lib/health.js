@@ -0,0 +1,179 @@
+/**
+ * Health (liveness) and readiness checks of the receiver.
+ */
+
+'use strict';
+
+var _ = require('lodash'),
+    async = require('async');
+
+var STATUS = require('./status-map');
+
+/** @const {Object} default health options */
+var DEFAULTS = {
+  timeout: 5000 // ms per check
+};
+
+/**
+ * Run the check supporting both node.js-styled callbacks and promises (async functions).
+ * @param {function} check
+ * @param {number} timeout – ms
+ * @param {function(err:Error?)} callback – called back once
+ */
+function run(check, timeout, callback) {
+  var called = false;
+
+  var timer = setTimeout(function () {
+    done(new Error('check has timed out after ' + timeout + 'ms'));
+  }, timeout);
+
+  function done(err) {
+    if (called) { // ignore repeated (or late) completions
+      return;
+    }
+
+    called = true;
+    clearTimeout(timer);
+    callback(err || null);
+  }
+
+  var result;
+
+  try {
+    result = check(done);
+  }
+  catch (err) {
+    return done(err);
+  }
+
+  if (result && typeof result.then === 'function') {
+    result.then(function () {
+      process.nextTick(done);
+    }, function (err) {
+      process.nextTick(function () {
+        done(err || new Error('check has been rejected'));
+      });
+    });
+  }
+}
+
+/**
+ * Registry of the named checks aggregated into the health and readiness reports.
+ *
+ * Every check is a `function (callback)` calling back with an error if failed,
+ * or returning a promise (being an `async` function) that rejects if failed.
+ * The readiness report runs every check, the health (liveness) one runs the `liveness` ones only,
+ * so that a failing dependency (a database, etc.) takes the instance out of rotation
+ * without it being restarted.
+ *
+ * Reports are `{ status, checks }` objects (the readiness ones have the `closing` flag as well),
+ * where `status` is `pass|fail` and `checks` are `{ status, duration, error }` by the check names
+ * (`error` is the failure message, exposed in the debug mode only).
+ *
+ * Emits the receiver `error` event (if listened) with the `info.method` of `check`
+ * (along with `info.params.name` and `info.duration`) if any check fails.
+ *
+ * @constructor
+ * @param {PaymentReceiver} receiver
+ * @param {Object} [options]
+ * @param {Object.<string, function>} [options.checks] – readiness checks by names
+ * @param {number} [options.timeout=5000] – time to fail a check after (ms)
+ * @param {boolean} [options.debug=false] – expose the failure messages
+ */
+function Health(receiver, options) {
+  this.receiver = receiver;
+  this.options = options = _.assign({}, DEFAULTS, options);
+  this.checks = Object.create(null); // `{ check, liveness }` by names
+
+  _.forEach(options.checks, function (check, name) {
+    this.register(name, check);
+  }, this);
+}
+
+/**
+ * Register the named check (replacing the one of the same name).
+ * @param {string} name
+ * @param {function(callback:function)} check
+ * @param {Object} [options]
+ * @param {boolean} [options.liveness=false] – run by the health report as well
+ * @throws {TypeError} if the check is not a function
+ */
+Health.prototype.register = function (name, check, options) {
+  if (typeof check !== 'function') {
+    throw new TypeError('check `' + name + '` must be a function');
+  }
+
+  this.checks[name] = { check: check, liveness: !!(options && options.liveness) };
+};
+
+/**
+ * Run the checks and aggregate their results into the report.
+ * @param {boolean} liveness – run the `liveness` checks only
+ * @param {function(report:Object)} callback
+ */
+Health.prototype.report = function (liveness, callback) {
+  var self = this,
+      receiver = this.receiver,
+      checks = _.pick(this.checks, function (entry) {
+        return entry.liveness || !liveness;
+      });
+
+  async.forEachOf(checks, function (entry, name, next) {
+    var started = Date.now();
+
+    run(entry.check, self.options.timeout, function (err) {
+      var result = { status: err ? 'fail' : 'pass', duration: Date.now() - started };
+
+      if (err && receiver.listeners('error').length) {
+        receiver.emit('error', err, {
+          method: 'check',
+          params: { name: name },
+          duration: result.duration
+        });
+      }
+
+      if (err && self.options.debug) {
+        result.error = err.message || String(err);
+      }
+
+      checks[name] = result;
+      next();
+    });
+  }, function () {
+    callback({
+      status: _.every(checks, { status: 'pass' }) ? 'pass' : 'fail',
+      checks: checks
+    });
+  });
+};
+
+/**
+ * Create the route handler responding the report with [200 "OK"] if every check passes,
+ * or [503 "Service Unavailable"] otherwise (or, for the readiness, if the receiver is closing).
+ * @param {boolean} liveness – respond the health report
+ * @returns {function(req:Object, res:Object)}
+ */
+Health.prototype.handler = function (liveness) {
+  var self = this,
+      receiver = this.receiver;
+
+  return function respondHealth(req, res) {
+    if (!liveness && receiver.closing) { // take out of rotation while shutting down
+      return res.status(STATUS.SERVICE_UNAVAILABLE)
+        .json({ status: 'fail', closing: true, checks: {} });
+    }
+
+    self.report(liveness, function (report) {
+      if (!liveness) {
+        report.closing = !!receiver.closing;
+      }
+
+      res.status((report.status === 'pass') ? STATUS.OK : STATUS.SERVICE_UNAVAILABLE)
+        .json(report);
+    });
+  };
+};
+
+Health.DEFAULTS = DEFAULTS;
+
+module.exports = Health;
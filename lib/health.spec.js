@@ -0,0 +1,198 @@
+'use strict';
+
+var async = require('async');
+
+var should = require('should'),
+    sinon = require('sinon'),
+    supertest = require('supertest');
+
+var PaymentReceiver = require('./receiver');
+
+describe('Health', function () {
+  var receiver, agent;
+
+  function createReceiver(options) {
+    receiver = new PaymentReceiver({}, options);
+    agent = supertest(receiver.server);
+  }
+
+  function pass(callback) {
+    setImmediate(callback);
+  }
+
+  function fail(callback) {
+    setImmediate(callback, new Error('connection refused'));
+  }
+
+  beforeEach(function () {
+    createReceiver();
+  });
+
+  it('throws if the check is not a function', function () {
+    (function () {
+      receiver.check('database', {});
+    }).should.throw('check `database` must be a function');
+  });
+
+  describe('GET "/api/health"', function () {
+    it('responds [200 "OK"] if there are no checks', function (done) {
+      agent.get('/api/health')
+        .expect(200, { status: 'pass', checks: {} }, done);
+    });
+
+    it('runs the liveness checks only', function (done) {
+      var readiness = sinon.spy(pass);
+
+      receiver
+        .check('database', readiness)
+        .check('event loop', pass, { liveness: true });
+
+      agent.get('/api/health')
+        .expect(200)
+        .expect(function (res) {
+          res.body.checks.should.have.keys('event loop');
+          readiness.called.should.be.false();
+        })
+        .end(done);
+    });
+
+    it('keeps passing while the receiver is closing', function (done) {
+      receiver.closing = true;
+      agent.get('/api/health').expect(200, done);
+    });
+  });
+
+  describe('GET "/api/ready"', function () {
+    it('responds [200 "OK"] with the latency of every check', function (done) {
+      receiver.check('database', pass);
+
+      receiver.check('cache', function () { // promise-based
+        return Promise.resolve();
+      });
+
+      agent.get('/api/ready')
+        .expect(200)
+        .expect(function (res) {
+          res.body.should.have.properties({ status: 'pass', closing: false });
+          res.body.checks.should.have.keys('database', 'cache');
+          res.body.checks.database.should.have.properties({ status: 'pass' });
+          res.body.checks.database.duration.should.be.a.Number();
+        })
+        .end(done);
+    });
+
+    it('responds [503 "Service Unavailable"] if any check fails', function (done) {
+      createReceiver({
+        health: { checks: { database: fail, cache: pass } }
+      });
+
+      var errorSpy = sinon.spy();
+
+      receiver.on('error', errorSpy);
+
+      agent.get('/api/ready')
+        .expect(503)
+        .expect(function (res) {
+          res.body.should.have.properties({ status: 'fail' });
+          res.body.checks.database.should.have.properties({ status: 'fail' });
+          res.body.checks.database.should.not.have.property('error');
+          res.body.checks.cache.should.have.properties({ status: 'pass' });
+
+          errorSpy.calledOnce.should.be.true();
+          errorSpy.firstCall.args[0].message.should.eql('connection refused');
+          errorSpy.firstCall.args[1].should.have.properties({
+            method: 'check',
+            params: { name: 'database' }
+          });
+        })
+        .end(done);
+    });
+
+    it('fails the checks that throw, reject or time out', function (done) {
+      createReceiver({ health: { timeout: 20 }, debug: true });
+
+      receiver
+        .check('throwing', function () {
+          throw new Error('not connected');
+        })
+        .check('rejecting', function () {
+          return Promise.reject(new Error('connection refused'));
+        })
+        .check('hanging', function () {});
+
+      agent.get('/api/ready')
+        .expect(503)
+        .expect(function (res) {
+          res.body.checks.should.eql({
+            throwing: {
+              status: 'fail',
+              duration: res.body.checks.throwing.duration,
+              error: 'not connected'
+            },
+            rejecting: {
+              status: 'fail',
+              duration: res.body.checks.rejecting.duration,
+              error: 'connection refused'
+            },
+            hanging: {
+              status: 'fail',
+              duration: res.body.checks.hanging.duration,
+              error: 'check has timed out after 20ms'
+            }
+          });
+        })
+        .end(done);
+    });
+
+    it('responds [503 "Service Unavailable"] while the receiver is closing', function (done) {
+      var check = sinon.spy(pass);
+
+      receiver.check('database', check);
+      receiver.closing = true;
+
+      agent.get('/api/ready')
+        .expect(503, { status: 'fail', closing: true, checks: {} }, function (err) {
+          check.called.should.be.false();
+          done(err);
+        });
+    });
+  });
+
+  describe('access', function () {
+    beforeEach(function () {
+      createReceiver({ allowlist: ['10.0.0.0/8'], trustedProxies: ['loopback'] });
+    });
+
+    it('checks the access to the endpoints by default', function (done) {
+      async.series([
+        function (next) {
+          agent.get('/api/health').set('X-Forwarded-For', '192.168.1.1').expect(403, next);
+        },
+        function (next) {
+          agent.get('/api/ready').set('X-Forwarded-For', '10.1.2.3').expect(200, next);
+        }
+      ], done);
+    });
+
+    it('skips the access checks if `publicHealth` is set', function (done) {
+      createReceiver({
+        allowlist: ['10.0.0.0/8'],
+        trustedProxies: ['loopback'],
+        signature: { secret: 'secret' },
+        publicHealth: true
+      });
+
+      async.series([
+        function (next) {
+          agent.get('/api/health').set('X-Forwarded-For', '192.168.1.1').expect(200, next);
+        },
+        function (next) {
+          agent.get('/api/ready').set('X-Forwarded-For', '192.168.1.1').expect(200, next);
+        },
+        function (next) {
+          agent.get('/api/about').set('X-Forwarded-For', '192.168.1.1').expect(403, next);
+        }
+      ], done);
+    });
+  });
+});
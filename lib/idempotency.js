@@ -0,0 +1,89 @@
+/**
+ * Transaction processing idempotency.
+ */
+
+'use strict';
+
+var crypto = require('crypto');
+
+/**
+ * Calculate the fingerprint of transaction parameters
+ * that must be the same for repeated requests of the same transaction.
+ * @param {Object} params – transaction parameters
+ * @param {string} params.requisite – user entered requisite
+ * @param {(number|string)} params.amount – transaction amount
+ * @param {string} [params.service] – service identifier
+ * @returns {string}
+ */
+function fingerprint(params) {
+  return crypto.createHash('sha1')
+    .update(JSON.stringify([
+      String(params.requisite),
+      String(Number(params.amount)), // so that `12.450`, "12.45" and 12.45 are the same
+      params.service || null
+    ]))
+    .digest('hex');
+}
+
+/**
+ * In-memory idempotency store (the reference implementation).
+ * Keeps the records within a single process forever,
+ * so consider a persistent shared store for multi-process deployments.
+ *
+ * Every store implements the following asynchronous methods:
+ *  * `reserve(id, fingerprint, callback)` – atomically records the transaction as "pending"
+ *      if it's not recorded yet calling back with `null`, otherwise calls back
+ *      with the existing record (`{ fingerprint, state }`) leaving it untouched;
+ *  * `commit(id, callback)` – marks the record as "processed";
+ *  * `release(id, callback)` – removes the record, so that the transaction can be retried.
+ *
+ * @constructor
+ */
+function MemoryStore() {
+  this.records = Object.create(null);
+}
+
+/**
+ * Record the transaction as "pending" unless it's already recorded.
+ * @param {string} id – transaction unique identifier
+ * @param {string} fingerprint – transaction parameters fingerprint
+ * @param {function(err:Error, record:Object?)} callback – calls back with the existing record
+ */
+MemoryStore.prototype.reserve = function (id, fingerprint, callback) {
+  var record = this.records[id] || null;
+
+  if (!record) {
+    this.records[id] = { fingerprint: fingerprint, state: 'pending' };
+  }
+
+  process.nextTick(function () {
+    callback(null, record && { fingerprint: record.fingerprint, state: record.state });
+  });
+};
+
+/**
+ * Mark the transaction as "processed".
+ * @param {string} id – transaction unique identifier
+ * @param {function(err:Error)} callback
+ */
+MemoryStore.prototype.commit = function (id, callback) {
+  if (this.records[id]) {
+    this.records[id].state = 'processed';
+  }
+
+  process.nextTick(callback);
+};
+
+/**
+ * Remove the transaction record.
+ * @param {string} id – transaction unique identifier
+ * @param {function(err:Error)} callback
+ */
+MemoryStore.prototype.release = function (id, callback) {
+  delete this.records[id];
+
+  process.nextTick(callback);
+};
+
+exports.fingerprint = fingerprint;
+exports.MemoryStore = MemoryStore;
@@ -0,0 +1,146 @@
+'use strict';
+
+var should = require('should');
+
+var idempotency = require('./idempotency');
+
+describe('idempotency', function () {
+  describe('.fingerprint()', function () {
+    var params;
+
+    // setup transaction params
+    beforeEach(function () {
+      params = {
+        id: '5648dc5077ba42ee6b13ff6f',
+        requisite: '996700650835',
+        amount: 12.45,
+        timestamp: new Date('2015-11-24T17:41:26.691Z')
+      };
+    });
+
+    it('is the same for the same requisite, amount and service', function () {
+      idempotency.fingerprint(params).should.eql(idempotency.fingerprint({
+        requisite: '996700650835',
+        amount: '12.450',
+        timestamp: new Date()
+      }));
+    });
+
+    it('differs for a different requisite', function () {
+      idempotency.fingerprint(params).should.not.eql(idempotency.fingerprint({
+        requisite: '996555362358',
+        amount: 12.45
+      }));
+    });
+
+    it('differs for a different amount', function () {
+      idempotency.fingerprint(params).should.not.eql(idempotency.fingerprint({
+        requisite: '996700650835',
+        amount: 12.46
+      }));
+    });
+
+    it('differs for a different service', function () {
+      idempotency.fingerprint(params).should.not.eql(idempotency.fingerprint({
+        requisite: '996700650835',
+        amount: 12.45,
+        service: 'internet'
+      }));
+    });
+  });
+
+  describe('MemoryStore', function () {
+    var store;
+
+    // create a store
+    beforeEach(function () {
+      store = new idempotency.MemoryStore();
+    });
+
+    it('reserves a new transaction calling back with `null`', function (done) {
+      store.reserve('5648dc5077ba42ee6b13ff6f', 'abc', function (err, record) {
+        if (err) {
+          return done(err);
+        }
+
+        should(record).be.null();
+        done();
+      });
+    });
+
+    it('calls back with the pending record of a reserved transaction', function (done) {
+      store.reserve('5648dc5077ba42ee6b13ff6f', 'abc', function (err) {
+        if (err) {
+          return done(err);
+        }
+
+        store.reserve('5648dc5077ba42ee6b13ff6f', 'def', function (err, record) {
+          if (err) {
+            return done(err);
+          }
+
+          try {
+            record.should.eql({ fingerprint: 'abc', state: 'pending' });
+          }
+          catch (e) {
+            return done(e);
+          }
+
+          done();
+        });
+      });
+    });
+
+    it('marks a committed transaction as "processed"', function (done) {
+      store.reserve('5648dc5077ba42ee6b13ff6f', 'abc', function (err) {
+        if (err) {
+          return done(err);
+        }
+
+        store.commit('5648dc5077ba42ee6b13ff6f', function (err) {
+          if (err) {
+            return done(err);
+          }
+
+          store.reserve('5648dc5077ba42ee6b13ff6f', 'abc', function (err, record) {
+            if (err) {
+              return done(err);
+            }
+
+            try {
+              record.should.eql({ fingerprint: 'abc', state: 'processed' });
+            }
+            catch (e) {
+              return done(e);
+            }
+
+            done();
+          });
+        });
+      });
+    });
+
+    it('forgets a released transaction', function (done) {
+      store.reserve('5648dc5077ba42ee6b13ff6f', 'abc', function (err) {
+        if (err) {
+          return done(err);
+        }
+
+        store.release('5648dc5077ba42ee6b13ff6f', function (err) {
+          if (err) {
+            return done(err);
+          }
+
+          store.reserve('5648dc5077ba42ee6b13ff6f', 'def', function (err, record) {
+            if (err) {
+              return done(err);
+            }
+
+            should(record).be.null();
+            done();
+          });
+        });
+      });
+    });
+  });
+});
@@ -0,0 +1,66 @@
+/**
+ * Implementation methods invocation.
+ */
+
+'use strict';
+
+/**
+ * Call an implementation method supporting both node.js-styled callbacks
+ * and promises (async functions) that resolve to `{ status, body }`.
+ * The exceptions thrown by the method are called back the same way as the rejections,
+ * and the duration of the call is observed by the receiver metrics (if enabled).
+ * @param {PaymentReceiver} receiver – receiver instance
+ * @param {string} method – implementation method name
+ * @param {*} arg – method argument (params, id or query)
+ * @param {function(err:Error, status:number?, body:*?)} callback
+ */
+function invoke(receiver, method, arg, callback) {
+  var called = false,
+      started = Date.now();
+
+  function done(err, status, body) {
+    if (called) { // ignore repeated completions
+      return;
+    }
+
+    called = true;
+
+    if (receiver.metrics) {
+      receiver.metrics.observe(method, Date.now() - started);
+    }
+
+    callback(err, status, body);
+  }
+
+  var result;
+
+  try {
+    result = receiver[method](arg, done);
+  }
+  catch (err) {
+    if (called) { // thrown by the callback itself (or after calling back)
+      throw err;
+    }
+
+    return process.nextTick(function () {
+      done(err);
+    });
+  }
+
+  if (result && typeof result.then === 'function') {
+    result.then(function (result) {
+      result = result || {};
+
+      // escape the promise chain, so that exceptions are not swallowed
+      process.nextTick(function () {
+        done(null, result.status, result.body);
+      });
+    }, function (err) {
+      process.nextTick(function () {
+        done(err || new Error('`#' + method + '` implementation has been rejected'));
+      });
+    });
+  }
+}
+
+module.exports = invoke;
@@ -0,0 +1,112 @@
+/**
+ * Streaming of the transaction lists.
+ */
+
+'use strict';
+
+var stream = require('stream'),
+    inherits = require('util').inherits;
+
+var Formatter = require('./export').Formatter;
+var money = require('./money');
+
+/** @const {string} newline-delimited JSON media type */
+var NDJSON = 'application/x-ndjson';
+
+/** @const {Object.<string, string>} list formats by the media type (in the order of preference) */
+var FORMATS = {
+  'application/json': 'json',
+  'application/x-ndjson': 'ndjson',
+  'text/csv': 'csv',
+  'text/tab-separated-values': 'tsv'
+};
+
+/**
+ * Check whether a given object is a readable stream.
+ * @param {*} object
+ * @returns {boolean}
+ */
+function isStream(object) {
+  return !!object && typeof object.pipe === 'function' && typeof object.on === 'function';
+}
+
+/**
+ * Transform stream that serializes the written objects into either a JSON array (`json` format),
+ * newline-delimited JSON (`ndjson` format) or delimiter-separated values (`csv|tsv` formats).
+ * @constructor
+ * @param {string} format – `json|ndjson|csv|tsv`
+ * @param {Object} [options] – export options (see `export.Formatter`)
+ */
+function Serializer(format, options) {
+  stream.Transform.call(this, { writableObjectMode: true });
+
+  this.format = format;
+  this.count = 0; // number of the serialized objects
+
+  if (format === 'csv' || format === 'tsv') {
+    this.formatter = new Formatter(format, options);
+    this.push(this.formatter.header());
+  }
+}
+
+inherits(Serializer, stream.Transform);
+
+Serializer.prototype._transform = function (object, encoding, callback) {
+  if (this.formatter) {
+    var row;
+
+    try {
+      row = this.formatter.format(object);
+    }
+    catch (err) { // fails the stream (destroying the response) instead of crashing the process
+      return callback(err);
+    }
+
+    this.count++;
+    return callback(null, row);
+  }
+
+  var json = money.stringify(object);
+
+  if (this.format === 'ndjson') {
+    json += '\n';
+  }
+  else {
+    json = (this.count ? ',' : '[') + json;
+  }
+
+  this.count++;
+
+  callback(null, json);
+};
+
+Serializer.prototype._flush = function (callback) {
+  if (this.format === 'json') {
+    this.push(this.count ? ']' : '[]');
+  }
+
+  callback();
+};
+
+/**
+ * Stream a list of objects into the response (the status and content type must be set already).
+ * The response is destroyed if the source stream fails, so that the client doesn't take
+ * a truncated list as a complete one.
+ * @param {Object} res – express' response object
+ * @param {(Object[]|stream.Readable)} list – array or readable object stream
+ * @param {Serializer} serializer
+ * @param {function(err:Error?, count:number)} callback – calls back once the response is sent
+ */
+function send(res, list, serializer, callback) {
+  var source = Array.isArray(list) ? stream.Readable.from(list) : list;
+
+  stream.pipeline(source, serializer, res, function (err) {
+    callback(err || null, serializer.count);
+  });
+}
+
+exports.NDJSON = NDJSON;
+exports.FORMATS = FORMATS;
+exports.isStream = isStream;
+exports.Serializer = Serializer;
+exports.send = send;
@@ -0,0 +1,92 @@
+'use strict';
+
+var Readable = require('stream').Readable,
+    Writable = require('stream').Writable;
+
+var should = require('should');
+
+var listStream = require('./list-stream');
+
+describe('listStream', function () {
+  /**
+   * Create a writable stream collecting the written text.
+   * @returns {stream.Writable}
+   */
+  function collector() {
+    var writable = new Writable({
+      write: function (chunk, encoding, callback) {
+        writable.text += chunk;
+        callback();
+      }
+    });
+
+    writable.text = '';
+
+    return writable;
+  }
+
+  describe('.isStream()', function () {
+    it('checks whether a given object is a readable stream', function () {
+      listStream.isStream(Readable.from([])).should.be.true();
+      listStream.isStream([]).should.be.false();
+      listStream.isStream({ items: [] }).should.be.false();
+      listStream.isStream(null).should.be.false();
+    });
+  });
+
+  describe('.send()', function () {
+    it('serializes a stream into a json array', function (done) {
+      var res = collector(),
+          list = Readable.from([{ id: 1 }, { id: 2 }]);
+
+      listStream.send(res, list, new listStream.Serializer('json'), function (err, count) {
+        if (err) {
+          return done(err);
+        }
+
+        try {
+          count.should.eql(2);
+          JSON.parse(res.text).should.eql([{ id: 1 }, { id: 2 }]);
+        }
+        catch (e) {
+          return done(e);
+        }
+
+        done();
+      });
+    });
+
+    it('serializes an empty list into an empty json array', function (done) {
+      var res = collector();
+
+      listStream.send(res, [], new listStream.Serializer('json'), function (err, count) {
+        count.should.eql(0);
+        res.text.should.eql('[]');
+        done(err);
+      });
+    });
+
+    it('serializes an array into newline-delimited json', function (done) {
+      var res = collector();
+
+      var serializer = new listStream.Serializer('ndjson');
+
+      listStream.send(res, [{ id: 1 }, { id: 2 }], serializer, function (err) {
+        res.text.should.eql('{"id":1}\n{"id":2}\n');
+        done(err);
+      });
+    });
+
+    it('calls back with the source stream error', function (done) {
+      var source = new Readable({ objectMode: true, read: function () {} });
+
+      listStream.send(collector(), source, new listStream.Serializer('json'), function (err) {
+        should(err).be.an.instanceOf(Error);
+        err.message.should.eql('stubbed streaming error');
+        done();
+      });
+
+      source.destroy(new Error('stubbed streaming error'));
+    });
+  });
+});
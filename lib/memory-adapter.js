@@ -0,0 +1,312 @@
+/**
+ * In-memory storage adapter (the reference implementation).
+ */
+
+'use strict';
+
+var _ = require('lodash');
+
+var money = require('./money');
+
+/**
+ * In-memory storage adapter for prototyping and testing purposes
+ * (see `AdapterReceiver` for the adapter contract).
+ * @constructor
+ * @param {Object} [options]
+ * @param {Object[]} [options.accounts] – initial accounts (see `#addAccount()`)
+ */
+function MemoryAdapter(options) {
+  options = options || {};
+
+  this.clear();
+
+  (options.accounts || []).forEach(this.addAccount, this);
+}
+
+/**
+ * Remove all the accounts and transactions.
+ */
+MemoryAdapter.prototype.clear = function () {
+  this.accounts = Object.create(null); // by requisite
+  this.transactions = Object.create(null); // by id
+  this.pending = Object.create(null); // completion worker jobs by transaction id
+  this.deliveries = Object.create(null); // webhook deliveries by transaction id
+
+  this.sequence = 0; // transaction internal id sequence
+  this.lastCompleted = 0; // last completion time
+};
+
+/**
+ * Add an account.
+ * @param {Object} account
+ * @param {string} account.requisite – account requisite (phone number/account id/email/etc.)
+ * @param {string} account.name – account identity (full name)
+ * @param {string} [account.status='active'] – account status (`active|suspended|deleted`)
+ * @param {number} [account.balance=0] – initial account balance
+ * @throws {Error} if the balance is malformed (see `money.toMinor()`)
+ */
+MemoryAdapter.prototype.addAccount = function (account) {
+  var balance = money.toMinor(account.balance || 0); // kept in minor units to be exact
+
+  if (isNaN(balance)) {
+    throw new Error('balance `' + account.balance + '` of account `' + account.requisite +
+      '` is malformed');
+  }
+
+  this.accounts[account.requisite] = {
+    id: _.size(this.accounts) + 1,
+    requisite: account.requisite,
+    name: account.name,
+    status: account.status || 'active',
+    balance: balance
+  };
+};
+
+/**
+ * Get the account balance.
+ * @param {string} requisite – account requisite
+ * @returns {number?} balance or `undefined` if account doesn't exist
+ */
+MemoryAdapter.prototype.getBalance = function (requisite) {
+  var account = this.accounts[requisite];
+  return account && Number(money.fromMinor(account.balance));
+};
+
+/**
+ * Get the current time, but never the same or earlier than the previously issued one,
+ * so that completed transactions are strictly ordered by the completion time.
+ * @returns {Date}
+ */
+MemoryAdapter.prototype.now = function () {
+  this.lastCompleted = Math.max(Date.now(), this.lastCompleted + 1);
+  return new Date(this.lastCompleted);
+};
+
+/**
+ * Copy the transaction record (not to expose the internal state).
+ * @param {Object} transaction
+ * @returns {Object}
+ */
+function toRecord(transaction) {
+  return _.assign(_.omit(transaction, 'minorAmount'), {
+    amount: money.fromMinor(transaction.minorAmount)
+  });
+}
+
+/**
+ * Find an account by a given requisite.
+ * @param {string} requisite
+ * @param {function(err:Error, account:Object?)} callback
+ */
+MemoryAdapter.prototype.findAccount = function (requisite, callback) {
+  var account = this.accounts[requisite];
+
+  process.nextTick(function () {
+    callback(null, account ? _.clone(account) : null);
+  });
+};
+
+/**
+ * Insert a successful transaction and credit the account.
+ * @param {Object} params – transaction parameters (the `minorAmount` prepared by the receiver
+ *        is credited if given, the `amount` is parsed the same way otherwise)
+ * @param {function(err:Error, record:Object?)} callback
+ */
+MemoryAdapter.prototype.credit = function (params, callback) {
+  var transaction = this.transactions[params.id],
+      account = this.accounts[params.requisite],
+      minorAmount = _.has(params, 'minorAmount') ? params.minorAmount :
+        money.toMinor(params.amount);
+
+  if (!transaction && !account) {
+    return process.nextTick(function () {
+      callback(new Error('account `' + params.requisite + "` doesn't exist"));
+    });
+  }
+
+  if (!transaction && isNaN(minorAmount)) {
+    return process.nextTick(function () {
+      callback(new Error('amount `' + params.amount + '` is malformed'));
+    });
+  }
+
+  if (!transaction) { // the same process tick guarantees atomicity
+    transaction = this.transactions[params.id] = {
+      id: params.id,
+      internalId: ++this.sequence,
+      accountId: account.id,
+      requisite: params.requisite,
+      originalRequisite: params.originalRequisite || null,
+      service: params.service || null,
+      minorAmount: minorAmount,
+      status: 'success',
+      initialized: new Date(),
+      completed: this.now()
+    };
+
+    account.balance += transaction.minorAmount;
+  }
+
+  var record = toRecord(transaction);
+
+  process.nextTick(function () {
+    callback(null, record);
+  });
+};
+
+/**
+ * Find a transaction by a given id.
+ * @param {string} id – transaction unique identifier
+ * @param {function(err:Error, record:Object?)} callback
+ */
+MemoryAdapter.prototype.findTransaction = function (id, callback) {
+  var transaction = this.transactions[id];
+
+  process.nextTick(function () {
+    callback(null, transaction ? toRecord(transaction) : null);
+  });
+};
+
+/**
+ * Cancel a transaction debiting the account back.
+ * @param {string} id – transaction unique identifier
+ * @param {function(err:Error, record:Object?)} callback
+ */
+MemoryAdapter.prototype.reverse = function (id, callback) {
+  var transaction = this.transactions[id];
+
+  if (transaction && transaction.status !== 'cancelled') {
+    var account = this.accounts[transaction.requisite];
+
+    if (account.balance < transaction.minorAmount) {
+      return process.nextTick(function () {
+        callback(new Error('account `' + account.requisite + '` has insufficient funds'));
+      });
+    }
+
+    account.balance -= transaction.minorAmount;
+
+    transaction.status = 'cancelled';
+    transaction.cancelled = new Date();
+  }
+
+  process.nextTick(function () {
+    callback(null, transaction ? toRecord(transaction) : null);
+  });
+};
+
+/**
+ * Compare transactions by the completion datetime and internal id.
+ * @param {Object} a
+ * @param {Object} b
+ * @returns {number}
+ */
+function compare(a, b) {
+  return (a.completed - b.completed) || (a.internalId - b.internalId);
+}
+
+/**
+ * List transactions completed within a given datetime range.
+ * @param {Object} query
+ * @param {Date} query.begin – datetime to start search from (inclusive)
+ * @param {Date} [query.end] – datetime to search till (exclusive)
+ * @param {string} [query.status] – transaction status to filter by
+ * @param {string} [query.requisite] – requisite to filter by
+ * @param {string} [query.service] – service identifier to filter by
+ * @param {string} [query.order='asc'] – order by the completion datetime (`asc|desc`)
+ * @param {Object} [query.after] – position to list after (`{ completed, internalId }`)
+ * @param {number} [query.limit] – maximum number of records
+ * @param {function(err:Error, records:Object[]?)} callback
+ */
+MemoryAdapter.prototype.listTransactions = function (query, callback) {
+  var direction = (query.order === 'desc') ? -1 : 1;
+
+  var records = _.values(this.transactions)
+    .filter(function (transaction) {
+      return transaction.completed &&
+        transaction.completed >= query.begin &&
+        (!query.end || transaction.completed < query.end) &&
+        (!query.status || transaction.status === query.status) &&
+        (!query.requisite || transaction.requisite === query.requisite) &&
+        (!query.service || transaction.service === query.service) &&
+        (!query.after || direction * compare(transaction, query.after) > 0);
+    })
+    .sort(function (a, b) {
+      return direction * compare(a, b);
+    })
+    .slice(0, query.limit || undefined)
+    .map(toRecord);
+
+  process.nextTick(function () {
+    callback(null, records);
+  });
+};
+
+/**
+ * Save the completion worker job.
+ * @param {Object} job – `{ id, method, accepted, deadline, attempts, next }`
+ * @param {function(err:Error?)} callback
+ */
+MemoryAdapter.prototype.savePending = function (job, callback) {
+  this.pending[job.id] = _.clone(job);
+  process.nextTick(callback);
+};
+
+/**
+ * Load all the completion worker jobs.
+ * @param {function(err:Error, jobs:Object[]?)} callback
+ */
+MemoryAdapter.prototype.loadPending = function (callback) {
+  var jobs = _.map(this.pending, _.clone);
+
+  process.nextTick(function () {
+    callback(null, jobs);
+  });
+};
+
+/**
+ * Remove the completion worker job.
+ * @param {string} id – transaction unique identifier
+ * @param {function(err:Error?)} callback
+ */
+MemoryAdapter.prototype.removePending = function (id, callback) {
+  delete this.pending[id];
+  process.nextTick(callback);
+};
+
+/**
+ * Save the webhook delivery.
+ * @param {Object} delivery – see `Notifier.MemoryLog`
+ * @param {function(err:Error?)} callback
+ */
+MemoryAdapter.prototype.saveDelivery = function (delivery, callback) {
+  this.deliveries[delivery.id] = _.clone(delivery);
+  process.nextTick(callback);
+};
+
+/**
+ * Find the webhook delivery by a given transaction id.
+ * @param {string} id – transaction unique identifier
+ * @param {function(err:Error, delivery:Object?)} callback
+ */
+MemoryAdapter.prototype.findDelivery = function (id, callback) {
+  var delivery = this.deliveries[id] ? _.clone(this.deliveries[id]) : null;
+
+  process.nextTick(function () {
+    callback(null, delivery);
+  });
+};
+
+/**
+ * Load the pending webhook deliveries.
+ * @param {function(err:Error, deliveries:Object[]?)} callback
+ */
+MemoryAdapter.prototype.loadDeliveries = function (callback) {
+  var deliveries = _.filter(this.deliveries, { status: 'pending' }).map(_.clone);
+
+  process.nextTick(function () {
+    callback(null, deliveries);
+  });
+};
+
+module.exports = MemoryAdapter;
@@ -0,0 +1,296 @@
+'use strict';
+
+var _ = require('lodash'),
+    should = require('should');
+
+var AdapterReceiver = require('./adapter-receiver');
+var MemoryAdapter = require('./memory-adapter');
+
+var behaviour = require('../example/spec/integration/behaviour');
+
+describe('MemoryAdapter', function () {
+  var adapter;
+
+  describe('with AdapterReceiver', function () {
+    var storage = new MemoryAdapter();
+
+    behaviour({
+      receiver: new AdapterReceiver(storage),
+
+      seed: function (accounts, callback) {
+        accounts.forEach(function (row) {
+          storage.addAccount({ requisite: row[0], name: row[1], status: row[2] });
+        });
+
+        callback();
+      },
+
+      clean: function (callback) {
+        storage.clear();
+        callback();
+      },
+
+      getAccountBalance: function (requisite, callback) {
+        var balance = storage.getBalance(requisite);
+
+        if (typeof balance === 'undefined') {
+          return callback(new Error('expected account #' + requisite + ' to exist'));
+        }
+
+        callback(null, balance);
+      }
+    });
+  });
+
+  describe('#credit()', function () {
+    var params;
+
+    // setup account and transaction params
+    beforeEach(function () {
+      adapter = new MemoryAdapter({
+        accounts: [{ requisite: '996700650835', name: 'Dan Kerimdzhanov', balance: 10 }]
+      });
+
+      params = {
+        id: '5648dc5077ba42ee6b13ff6f',
+        requisite: '996700650835',
+        amount: 0.1,
+        timestamp: new Date('2015-11-24T17:41:26.691Z')
+      };
+    });
+
+    it('increases the account balance exactly', function (done) {
+      adapter.credit(params, function (err, record) {
+        if (err) {
+          return done(err);
+        }
+
+        try {
+          record.should.have.properties({
+            id: params.id,
+            requisite: params.requisite,
+            amount: '0.10',
+            status: 'success'
+          });
+
+          adapter.getBalance('996700650835').should.eql(10.1);
+        }
+        catch (e) {
+          return done(e);
+        }
+
+        done();
+      });
+    });
+
+    it("doesn't credit the account twice for the same transaction id", function (done) {
+      adapter.credit(params, function (err) {
+        if (err) {
+          return done(err);
+        }
+
+        adapter.credit(params, function (err, record) {
+          if (err) {
+            return done(err);
+          }
+
+          try {
+            record.should.have.property('id', params.id);
+            adapter.getBalance('996700650835').should.eql(10.1);
+          }
+          catch (e) {
+            return done(e);
+          }
+
+          done();
+        });
+      });
+    });
+
+    it('credits the minor amount prepared by the receiver', function (done) {
+      params.minorAmount = 1; // takes precedence over the `amount`
+
+      adapter.credit(params, function (err, record) {
+        if (err) {
+          return done(err);
+        }
+
+        try {
+          record.amount.should.eql('0.01');
+          adapter.getBalance('996700650835').should.eql(10.01);
+        }
+        catch (e) {
+          return done(e);
+        }
+
+        done();
+      });
+    });
+
+    it('calls back with an error if the amount is malformed', function (done) {
+      params.amount = 0.001;
+
+      adapter.credit(params, function (err) {
+        should.exist(err);
+        err.message.should.eql('amount `0.001` is malformed');
+        adapter.getBalance('996700650835').should.eql(10);
+        done();
+      });
+    });
+
+    it("calls back with an error if the account doesn't exist", function (done) {
+      params.requisite = '000000000000';
+
+      adapter.credit(params, function (err) {
+        should.exist(err);
+        err.message.should.eql("account `000000000000` doesn't exist");
+        done();
+      });
+    });
+  });
+
+  describe('#reverse()', function () {
+    // setup account with a transaction
+    beforeEach(function (done) {
+      adapter = new MemoryAdapter({
+        accounts: [{ requisite: '996700650835', name: 'Dan Kerimdzhanov' }]
+      });
+
+      adapter.credit({
+        id: '5648dc5077ba42ee6b13ff6f',
+        requisite: '996700650835',
+        amount: 45.95
+      }, done);
+    });
+
+    it('cancels the transaction decreasing the account balance', function (done) {
+      adapter.reverse('5648dc5077ba42ee6b13ff6f', function (err, record) {
+        if (err) {
+          return done(err);
+        }
+
+        try {
+          record.should.have.property('status', 'cancelled');
+          record.should.have.property('cancelled').which.is.instanceOf(Date);
+          adapter.getBalance('996700650835').should.eql(0);
+        }
+        catch (e) {
+          return done(e);
+        }
+
+        done();
+      });
+    });
+
+    it("doesn't debit the account twice", function (done) {
+      adapter.reverse('5648dc5077ba42ee6b13ff6f', function (err) {
+        if (err) {
+          return done(err);
+        }
+
+        adapter.reverse('5648dc5077ba42ee6b13ff6f', function (err, record) {
+          if (err) {
+            return done(err);
+          }
+
+          try {
+            record.should.have.property('status', 'cancelled');
+            adapter.getBalance('996700650835').should.eql(0);
+          }
+          catch (e) {
+            return done(e);
+          }
+
+          done();
+        });
+      });
+    });
+
+    it("calls back with `null` if the transaction doesn't exist", function (done) {
+      adapter.reverse('564a4fe577ba42ee6b1407c8', function (err, record) {
+        should(record).be.null();
+        done(err);
+      });
+    });
+  });
+
+  describe('#listTransactions()', function () {
+    var begin;
+
+    // setup accounts with some transactions
+    beforeEach(function (done) {
+      begin = new Date();
+
+      adapter = new MemoryAdapter({
+        accounts: [
+          { requisite: '996700650835', name: 'Dan Kerimdzhanov' },
+          { requisite: '996555362358', name: 'Andy Romashin' }
+        ]
+      });
+
+      var transactions = [
+        ['5648dc5077ba42ee6b13ff6f', '996700650835', 'mobile'],
+        ['564a4fe577ba42ee6b1407c8', '996555362358', 'internet'],
+        ['564a50cb77ba42ee6b1407ca', '996700650835', 'internet']
+      ];
+
+      (function next(err) {
+        var transaction = transactions.shift();
+
+        if (err || !transaction) {
+          return done(err);
+        }
+
+        adapter.credit({
+          id: transaction[0],
+          requisite: transaction[1],
+          service: transaction[2],
+          amount: 10
+        }, next);
+      })();
+    });
+
+    function expectIds(query, ids, done) {
+      adapter.listTransactions(_.assign({ begin: begin }, query), function (err, records) {
+        if (err) {
+          return done(err);
+        }
+
+        try {
+          _.pluck(records, 'id').should.eql(ids);
+        }
+        catch (e) {
+          return done(e);
+        }
+
+        done();
+      });
+    }
+
+    it('filters by the requisite and service', function (done) {
+      expectIds({ requisite: '996700650835', service: 'internet' },
+        ['564a50cb77ba42ee6b1407ca'], done);
+    });
+
+    it('filters by the status', function (done) {
+      adapter.reverse('564a4fe577ba42ee6b1407c8', function (err) {
+        if (err) {
+          return done(err);
+        }
+
+        expectIds({ status: 'cancelled' }, ['564a4fe577ba42ee6b1407c8'], done);
+      });
+    });
+
+    it('orders in descending order', function (done) {
+      expectIds({ order: 'desc' },
+        ['564a50cb77ba42ee6b1407ca', '564a4fe577ba42ee6b1407c8', '5648dc5077ba42ee6b13ff6f'], done);
+    });
+
+    it('lists the limited number of records after a given position', function (done) {
+      var first = adapter.transactions['5648dc5077ba42ee6b13ff6f'];
+
+      expectIds({ after: first, limit: 1 }, ['564a4fe577ba42ee6b1407c8'], done);
+    });
+  });
+});
@@ -0,0 +1,276 @@
+/**
+ * Prometheus metrics of the receiver.
+ */
+
+'use strict';
+
+var _ = require('lodash');
+
+var STATUS = require('./status-map');
+var allowlist = require('./allowlist');
+var money = require('./money');
+
+/** @const {Object} default metrics options */
+var DEFAULTS = {
+  allowlist: ['loopback'],
+  prefix: 'umai_',
+  buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10] // seconds
+};
+
+/** @const {string} Prometheus text exposition format media type */
+var CONTENT_TYPE = 'text/plain; charset=utf-8; version=0.0.4';
+
+/** @const {Array.<Array>} API routes as `[name, method, path]` (relative to `/api`) */
+var ROUTES = [
+  ['validate', 'POST', /^\/validate\/?$/],
+  ['process', 'POST', /^\/transactions\/[^\/]+\/?$/],
+  ['get', 'GET', /^\/transactions\/[^\/]+\/?$/],
+  ['cancel', 'DELETE', /^\/transactions\/[^\/]+\/?$/],
+  ['list', 'GET', /^\/transactions\/?$/],
+  ['about', 'GET', /^\/about\/?$/],
+  ['health', 'GET', /^\/health\/?$/],
+  ['ready', 'GET', /^\/ready\/?$/],
+  ['metrics', 'GET', /^\/metrics\/?$/]
+];
+
+/**
+ * Resolve the route name of the request.
+ * @param {string} method – request method
+ * @param {string} path – request path relative to `/api`
+ * @returns {string} route name, or `unknown`
+ */
+function routeOf(method, path) {
+  var route = _.find(ROUTES, function (route) {
+    return route[1] === method && route[2].test(path);
+  });
+
+  return route ? route[0] : 'unknown';
+}
+
+/**
+ * Format the metric labels.
+ * @param {Object.<string, string>} labels
+ * @returns {string} `{name="value",...}`
+ */
+function formatLabels(labels) {
+  return '{' + _.map(labels, function (value, name) {
+    return name + '="' + String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')
+      .replace(/\n/g, '\\n') + '"';
+  }).join(',') + '}';
+}
+
+/**
+ * Metrics collector of the receiver lifecycle, exposed in the Prometheus text format:
+ *  * `requests_total{route,status}` – counter of the API requests by the route and response status
+ *    (including the rejected ones);
+ *  * `requests_in_flight{route}` – gauge of the requests being handled;
+ *  * `method_duration_seconds{method}` – histogram of the implementation methods durations
+ *    (every call, including the internal ones of the routes and the completion worker,
+ *    is observed by `invoke()`);
+ *  * `processed_transactions_total{service}` and `processed_amount_total{service}` – counters
+ *    of the successfully processed transactions and their amounts by the service identifiers
+ *    (not counting the idempotent replays);
+ *  * `pending_transactions` and `pending_deliveries` – gauges of the accepted transactions
+ *    tracked by the completion worker and the pending webhook deliveries (if enabled).
+ *
+ * @constructor
+ * @param {PaymentReceiver} receiver
+ * @param {Object} [options]
+ * @param {string[]} [options.allowlist=['loopback']] – addresses that are allowed to request
+ *                                                     the metrics (see `allowlist.compile()`)
+ * @param {string} [options.prefix='umai_'] – metric names prefix
+ * @param {number[]} [options.buckets] – duration histogram buckets (seconds)
+ * @throws {TypeError} if any of the allowed addresses is malformed
+ */
+function Metrics(receiver, options) {
+  this.receiver = receiver;
+  this.options = options = _.assign({}, DEFAULTS, options);
+  this.checkAllowlist = allowlist.middleware(options.allowlist);
+  this.buckets = options.buckets.slice().sort(function (a, b) {
+    return a - b;
+  });
+
+  this.requests = Object.create(null); // by `route status`
+  this.inFlight = Object.create(null); // by route
+  this.durations = Object.create(null); // by method
+  this.processed = Object.create(null); // by service
+
+  var self = this;
+
+  receiver.on('processed', function (info) {
+    if (info.status === STATUS.OK && !info.replayed) { // the replays have been counted once
+      self.count(info.params);
+    }
+  });
+}
+
+/**
+ * Observe the implementation method duration (see `invoke()`).
+ * @param {string} method
+ * @param {number} duration – milliseconds
+ */
+Metrics.prototype.observe = function (method, duration) {
+  var histogram = this.durations[method] || (this.durations[method] = {
+    counts: this.buckets.map(_.constant(0)),
+    sum: 0,
+    count: 0
+  });
+
+  var seconds = duration / 1000;
+
+  this.buckets.forEach(function (bucket, index) {
+    if (seconds <= bucket) {
+      histogram.counts[index]++;
+    }
+  });
+
+  histogram.sum += seconds;
+  histogram.count++;
+};
+
+/**
+ * Count the successfully processed transaction.
+ * @param {Object} params – transaction params (with the `service` and `minorAmount`)
+ */
+Metrics.prototype.count = function (params) {
+  var service = params.service || '',
+      totals = this.processed[service] || (this.processed[service] = { count: 0, minor: 0 });
+
+  totals.count++;
+  totals.minor += params.minorAmount || 0;
+};
+
+/**
+ * Create the middleware that counts the API requests (to mount at `/api`).
+ * @returns {function(req:Object, res:Object, next:function)}
+ */
+Metrics.prototype.middleware = function () {
+  var self = this;
+
+  return function countRequest(req, res, next) {
+    var route = routeOf(req.method, req.path),
+        counted = false;
+
+    self.inFlight[route] = (self.inFlight[route] || 0) + 1;
+
+    function done() {
+      if (counted) {
+        return;
+      }
+
+      counted = true;
+      self.inFlight[route]--;
+
+      var key = route + ' ' + res.statusCode;
+
+      self.requests[key] = (self.requests[key] || 0) + 1;
+    }
+
+    res.on('finish', done);
+    res.on('close', done);
+
+    next();
+  };
+};
+
+/**
+ * Serialize the metrics in the Prometheus text format.
+ * @returns {string}
+ */
+Metrics.prototype.serialize = function () {
+  var self = this,
+      prefix = this.options.prefix,
+      lines = [];
+
+  function metric(name, type, help, samples) {
+    lines.push('# HELP ' + prefix + name + ' ' + help);
+    lines.push('# TYPE ' + prefix + name + ' ' + type);
+
+    samples.forEach(function (sample) {
+      lines.push(prefix + (sample.name || name) +
+        (_.isEmpty(sample.labels) ? '' : formatLabels(sample.labels)) + ' ' + sample.value);
+    });
+  }
+
+  metric('requests_total', 'counter', 'Number of the API requests by route and response status.',
+    _.map(this.requests, function (value, key) {
+      key = key.split(' ');
+      return { labels: { route: key[0], status: key[1] }, value: value };
+    }));
+
+  metric('requests_in_flight', 'gauge', 'Number of the API requests being handled.',
+    _.map(this.inFlight, function (value, route) {
+      return { labels: { route: route }, value: value };
+    }));
+
+  metric('method_duration_seconds', 'histogram', 'Duration of the implementation methods.',
+    _.flatten(_.map(this.durations, function (histogram, method) {
+      return self.buckets.map(function (bucket, index) {
+        return {
+          name: 'method_duration_seconds_bucket',
+          labels: { method: method, le: String(bucket) },
+          value: histogram.counts[index]
+        };
+      }).concat([
+        {
+          name: 'method_duration_seconds_bucket',
+          labels: { method: method, le: '+Inf' },
+          value: histogram.count
+        },
+        { name: 'method_duration_seconds_sum', labels: { method: method }, value: histogram.sum },
+        {
+          name: 'method_duration_seconds_count',
+          labels: { method: method },
+          value: histogram.count
+        }
+      ]);
+    })));
+
+  metric('processed_transactions_total', 'counter',
+    'Number of the successfully processed transactions by service.',
+    _.map(this.processed, function (totals, service) {
+      return { labels: { service: service }, value: totals.count };
+    }));
+
+  metric('processed_amount_total', 'counter',
+    'Amount of the successfully processed transactions by service.',
+    _.map(this.processed, function (totals, service) {
+      return { labels: { service: service }, value: money.fromMinor(totals.minor) };
+    }));
+
+  var receiver = this.receiver;
+
+  if (receiver.completion) {
+    metric('pending_transactions', 'gauge',
+      'Number of the accepted transactions tracked by the completion worker.',
+      [{ value: _.size(receiver.completion.timers) }]);
+  }
+
+  if (receiver.notifier) {
+    metric('pending_deliveries', 'gauge', 'Number of the pending completion webhook deliveries.',
+      [{ value: _.size(receiver.notifier.timers) }]);
+  }
+
+  return lines.join('\n') + '\n';
+};
+
+/**
+ * Create the route handlers responding the metrics to the allowed addresses only
+ * (bypassing the receiver allowlist and signature verification).
+ * @returns {function[]}
+ */
+Metrics.prototype.handlers = function () {
+  var self = this;
+
+  return [this.checkAllowlist, function respondMetrics(req, res) {
+    res.status(STATUS.OK)
+      .type(CONTENT_TYPE)
+      .send(self.serialize());
+  }];
+};
+
+Metrics.DEFAULTS = DEFAULTS;
+Metrics.CONTENT_TYPE = CONTENT_TYPE;
+Metrics.routeOf = routeOf;
+
+module.exports = Metrics;
@@ -0,0 +1,335 @@
+'use strict';
+
+var _ = require('lodash'),
+    async = require('async');
+
+var should = require('should'),
+    supertest = require('supertest');
+
+var PaymentReceiver = require('./receiver');
+var Metrics = require('./metrics');
+
+describe('Metrics', function () {
+  describe('.routeOf()', function () {
+    it('resolves the route names of the API requests', function () {
+      Metrics.routeOf('POST', '/validate').should.eql('validate');
+      Metrics.routeOf('POST', '/transactions/5648dc5077ba42ee6b13ff6f').should.eql('process');
+      Metrics.routeOf('GET', '/transactions/5648dc5077ba42ee6b13ff6f').should.eql('get');
+      Metrics.routeOf('DELETE', '/transactions/5648dc5077ba42ee6b13ff6f').should.eql('cancel');
+      Metrics.routeOf('GET', '/transactions').should.eql('list');
+      Metrics.routeOf('GET', '/metrics').should.eql('metrics');
+      Metrics.routeOf('PUT', '/transactions').should.eql('unknown');
+    });
+  });
+
+  describe('#serialize()', function () {
+    var metrics;
+
+    beforeEach(function () {
+      metrics = new Metrics(new PaymentReceiver(), { buckets: [0.1, 0.01] });
+    });
+
+    it('serializes the duration histograms with the cumulative buckets', function () {
+      metrics.observe('validate', 5);
+      metrics.observe('validate', 50);
+      metrics.observe('validate', 500);
+
+      var lines = metrics.serialize().split('\n');
+
+      lines.should.containDeep([
+        '# TYPE umai_method_duration_seconds histogram',
+        'umai_method_duration_seconds_bucket{method="validate",le="0.01"} 1',
+        'umai_method_duration_seconds_bucket{method="validate",le="0.1"} 2',
+        'umai_method_duration_seconds_bucket{method="validate",le="+Inf"} 3',
+        'umai_method_duration_seconds_sum{method="validate"} 0.555',
+        'umai_method_duration_seconds_count{method="validate"} 3'
+      ]);
+    });
+
+    it('sums the amounts exactly and escapes the label values', function () {
+      metrics.count({ service: 'mobile "beeline"', minorAmount: 10 });
+      metrics.count({ service: 'mobile "beeline"', minorAmount: 20 });
+
+      metrics.serialize().split('\n').should.containDeep([
+        'umai_processed_transactions_total{service="mobile \\"beeline\\""} 2',
+        'umai_processed_amount_total{service="mobile \\"beeline\\""} 0.30'
+      ]);
+    });
+
+    it('uses a given metric names prefix', function () {
+      metrics = new Metrics(new PaymentReceiver(), { prefix: 'billing_' });
+      metrics.serialize().should.startWith('# HELP billing_requests_total ');
+    });
+  });
+
+  describe('GET "/api/metrics"', function () {
+    var receiver, agent;
+
+    function createReceiver(options) {
+      receiver = new PaymentReceiver({
+        validate: function (params, callback) {
+          callback(null, PaymentReceiver.STATUS.OK, 'Jon Snow');
+        },
+        process: function (params, callback) {
+          callback(null, PaymentReceiver.STATUS.OK);
+        },
+        get: function (id, callback) {
+          callback(null, PaymentReceiver.STATUS.OK, {
+            id: id, requisite: '996700650835', amount: 12.45, status: 'success'
+          });
+        }
+      }, _.assign({ metrics: true }, options));
+
+      agent = supertest(receiver.server);
+    }
+
+    function scrape(callback) {
+      agent.get('/api/metrics')
+        .expect(200)
+        .expect('Content-Type', Metrics.CONTENT_TYPE)
+        .end(function (err, res) {
+          callback(err, res && res.text.split('\n'));
+        });
+    }
+
+    function processTransaction(service, next) {
+      agent.post('/api/transactions/5648dc5077ba42ee6b13ff6f')
+        .send({
+          requisite: '996700650835',
+          amount: '12.45',
+          service: service,
+          timestamp: '2015-11-24T17:41:26.691Z'
+        })
+        .expect(200, next);
+    }
+
+    beforeEach(function () {
+      createReceiver();
+    });
+
+    it('is not served unless enabled', function (done) {
+      createReceiver({ metrics: false });
+      agent.get('/api/metrics').expect(404, done);
+    });
+
+    it('throws if the allowed addresses are malformed', function () {
+      (function () {
+        return new PaymentReceiver({}, { metrics: { allowlist: ['10.0.0.256'] } });
+      }).should.throw(TypeError);
+    });
+
+    it('counts the requests by the route and the response status', function (done) {
+      async.series([
+        function (next) {
+          agent.post('/api/validate').send({ requisite: '996700650835' }).expect(200, next);
+        },
+        function (next) {
+          agent.post('/api/validate').send({ requisite: '996700650835' }).expect(200, next);
+        },
+        function (next) {
+          agent.post('/api/validate').send({}).expect(400, next);
+        },
+        function (next) {
+          agent.get('/api/transactions').expect(400, next);
+        }
+      ], function (err) {
+        if (err) {
+          return done(err);
+        }
+
+        scrape(function (err, lines) {
+          if (err) {
+            return done(err);
+          }
+
+          lines.should.containDeep([
+            '# TYPE umai_requests_total counter',
+            'umai_requests_total{route="validate",status="200"} 2',
+            'umai_requests_total{route="validate",status="400"} 1',
+            'umai_requests_total{route="list",status="400"} 1',
+            'umai_requests_in_flight{route="validate"} 0',
+            'umai_requests_in_flight{route="metrics"} 1',
+            'umai_method_duration_seconds_count{method="validate"} 2'
+          ]);
+
+          done();
+        });
+      });
+    });
+
+    it('sums the processed amounts by the service', function (done) {
+      async.series([
+        processTransaction.bind(null, 'mobile'),
+        processTransaction.bind(null, 'mobile'),
+        processTransaction.bind(null, 'internet')
+      ], function (err) {
+        if (err) {
+          return done(err);
+        }
+
+        scrape(function (err, lines) {
+          if (err) {
+            return done(err);
+          }
+
+          lines.should.containDeep([
+            'umai_processed_transactions_total{service="mobile"} 2',
+            'umai_processed_transactions_total{service="internet"} 1',
+            'umai_processed_amount_total{service="mobile"} 24.90',
+            'umai_processed_amount_total{service="internet"} 12.45',
+            'umai_method_duration_seconds_count{method="process"} 3'
+          ]);
+
+          done();
+        });
+      });
+    });
+
+    it("doesn't count the replayed transactions", function (done) {
+      createReceiver({ idempotency: true });
+
+      async.series([
+        processTransaction.bind(null, 'mobile'),
+        processTransaction.bind(null, 'mobile')
+      ], function (err) {
+        if (err) {
+          return done(err);
+        }
+
+        scrape(function (err, lines) {
+          if (err) {
+            return done(err);
+          }
+
+          lines.should.containDeep([
+            'umai_processed_transactions_total{service="mobile"} 1',
+            'umai_processed_amount_total{service="mobile"} 12.45'
+          ]);
+
+          done();
+        });
+      });
+    });
+
+    it('observes the durations of every implementation method call', function (done) {
+      async.series([
+        function (next) {
+          processTransaction('mobile', next);
+        },
+        function (next) { // rejected before calling the implementation
+          agent.post('/api/transactions/5648dc5077ba42ee6b13ff6f').send({}).expect(400, next);
+        },
+        function (next) {
+          agent.get('/api/health').expect(200, next);
+        }
+      ], function (err) {
+        if (err) {
+          return done(err);
+        }
+
+        scrape(function (err, lines) {
+          if (err) {
+            return done(err);
+          }
+
+          lines.should.containDeep([
+            'umai_method_duration_seconds_count{method="validate"} 1',
+            'umai_method_duration_seconds_count{method="process"} 1',
+            'umai_method_duration_seconds_count{method="get"} 1'
+          ]);
+
+          lines.join('\n').should.not.containEql('method="check"');
+          done();
+        });
+      });
+    });
+
+    it('observes the durations of the failed methods', function (done) {
+      receiver.validate = function (params, callback) {
+        callback(new Error('connection refused'));
+      };
+
+      agent.post('/api/validate')
+        .send({ requisite: '996700650835' })
+        .expect(500, function (err) {
+          if (err) {
+            return done(err);
+          }
+
+          scrape(function (err, lines) {
+            if (err) {
+              return done(err);
+            }
+
+            lines.should.containDeep([
+              'umai_requests_total{route="validate",status="500"} 1',
+              'umai_method_duration_seconds_count{method="validate"} 1'
+            ]);
+
+            done();
+          });
+        });
+    });
+
+    it('reports the pending transactions of the completion worker', function (done) {
+      createReceiver({ completion: true });
+
+      scrape(function (err, lines) {
+        if (err) {
+          return done(err);
+        }
+
+        lines.should.containDeep(['umai_pending_transactions 0']);
+        lines.join('\n').should.not.match(/umai_pending_deliveries/);
+        done();
+      });
+    });
+
+    it('bypasses the receiver allowlist and signature verification', function (done) {
+      createReceiver({
+        allowlist: ['10.0.0.0/8'],
+        signature: { secret: 'secret' }
+      });
+
+      async.series([
+        function (next) {
+          agent.post('/api/validate').send({ requisite: '996700650835' }).expect(403, next);
+        },
+        function (next) {
+          scrape(function (err, lines) {
+            if (!err) {
+              lines.should.containDeep(['umai_requests_total{route="validate",status="403"} 1']);
+            }
+
+            next(err);
+          });
+        }
+      ], done);
+    });
+
+    it('responds [403 "Forbidden"] to the addresses that are not allowed', function (done) {
+      createReceiver({
+        trustedProxies: ['loopback'],
+        metrics: { allowlist: ['10.0.0.0/8'] }
+      });
+
+      async.series([
+        function (next) {
+          agent.get('/api/metrics')
+            .set('X-Forwarded-For', '192.168.1.1')
+            .expect(403)
+            .expect(function (res) {
+              res.body.should.have.properties({
+                code: 'ADDRESS_NOT_ALLOWED',
+                message: 'address `192.168.1.1` is not allowed'
+              });
+            })
+            .end(next);
+        },
+        function (next) {
+          agent.get('/api/metrics').set('X-Forwarded-For', '10.1.2.3').expect(200, next);
+        }
+      ], done);
+    });
+  });
+});
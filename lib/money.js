@@ -0,0 +1,163 @@
+/**
+ * Exact decimal money amounts.
+ */
+
+'use strict';
+
+var _ = require('lodash');
+
+/** @const {number} number of the amount decimal places */
+var SCALE = 2;
+
+/** @const {number} number of minor units in a major one */
+var MINOR_UNITS = Math.pow(10, SCALE);
+
+/** @const {Object} default amount limits (not limited unless the limits are given) */
+var DEFAULT_LIMITS = {
+  min: null,
+  max: null
+};
+
+/** @const {string} placeholder of the formatted amounts while serializing to JSON */
+var PLACEHOLDER = '\u0000amount:';
+
+/**
+ * Parse the decimal amount into minor units exactly (without floating point arithmetic).
+ * Accepts non-negative numbers and strings of digits with up to 2 decimal places
+ * (the extra decimal places are allowed only if they're zeros, like `"12.450"`).
+ * @param {(number|string)} value
+ * @returns {number} integer amount in minor units, or `NaN` if the amount is malformed
+ */
+function toMinor(value) {
+  if (typeof value === 'number' ? !isFinite(value) : typeof value !== 'string') {
+    return NaN;
+  }
+
+  var match = /^(\d+)(?:\.(\d+))?$/.exec(String(value).trim());
+
+  if (!match) { // non-numeric, negative, or in the exponential notation
+    return NaN;
+  }
+
+  var fraction = match[2] || '';
+
+  if (/[^0]/.test(fraction.slice(SCALE))) { // over-precise
+    return NaN;
+  }
+
+  var minor = Number(match[1]) * MINOR_UNITS +
+    Number((fraction + new Array(SCALE + 1).join('0')).slice(0, SCALE));
+
+  return (minor <= Number.MAX_SAFE_INTEGER) ? minor : NaN;
+}
+
+/**
+ * Format the amount in minor units as a decimal string (`0.00`).
+ * @param {number} minor – integer amount in minor units
+ * @returns {string}
+ */
+function fromMinor(minor) {
+  var digits = String(Math.abs(minor));
+
+  while (digits.length <= SCALE) {
+    digits = '0' + digits;
+  }
+
+  return (minor < 0 ? '-' : '') +
+    digits.slice(0, -SCALE) + '.' + digits.slice(-SCALE);
+}
+
+/**
+ * Format the amount with a fixed number of decimal places.
+ * @param {(number|string)} value
+ * @param {number} [decimals=2]
+ * @returns {string}
+ */
+function format(value, decimals) {
+  return Number(value).toFixed(typeof decimals === 'number' ? decimals : SCALE);
+}
+
+/**
+ * Serialize the value (a transaction, an array or a page of them) to JSON
+ * emitting every `amount` number in the `0.00` format (so `12.5` is emitted as `12.50`).
+ * @param {*} value
+ * @returns {string}
+ */
+function stringify(value) {
+  var amounts = [];
+
+  var json = JSON.stringify(value, function (key, value) {
+    if (key === 'amount' && (typeof value === 'number' || typeof value === 'string') &&
+        isFinite(value) && String(value).trim() !== '') {
+      amounts.push(format(value));
+      return PLACEHOLDER + (amounts.length - 1);
+    }
+
+    return value;
+  });
+
+  if (!amounts.length) {
+    return json;
+  }
+
+  return json.replace(/"\\u0000amount:(\d+)"/g, function (placeholder, index) {
+    return amounts[index];
+  });
+}
+
+/**
+ * Compile the amount limits checker.
+ * @param {Object} [options]
+ * @param {(number|string)} [options.min] – minimum amount (inclusive)
+ * @param {(number|string)} [options.max] – maximum amount (inclusive)
+ * @param {Object.<string, Object>} [options.services] – `{ min, max }` by the service identifiers
+ *                                                       (overriding the common ones)
+ * @returns {function(minor:number, service:string?):string?} checker returning the violation
+ * @throws {Error} if any limit is malformed
+ */
+function limits(options) {
+  options = _.assign({}, DEFAULT_LIMITS, options);
+
+  function compile(limits, defaults) {
+    return _.mapValues(_.pick(_.assign({}, defaults, limits), 'min', 'max'), function (value, key) {
+      if (value === null || typeof value === 'undefined') {
+        return null;
+      }
+
+      var minor = toMinor(value);
+
+      if (isNaN(minor)) {
+        throw new Error('amount limit `' + key + '` must be a decimal number, got `' + value + '`');
+      }
+
+      return minor;
+    });
+  }
+
+  var common = compile(options),
+      services = _.mapValues(options.services || {}, function (limits) {
+        return compile(limits, options);
+      });
+
+  return function check(minor, service) {
+    var limit = (service && services[service]) || common;
+
+    if (limit.min !== null && minor < limit.min) {
+      return 'must not be less than ' + fromMinor(limit.min);
+    }
+
+    if (limit.max !== null && minor > limit.max) {
+      return 'must not exceed ' + fromMinor(limit.max);
+    }
+
+    return null;
+  };
+}
+
+exports.SCALE = SCALE;
+exports.DEFAULT_LIMITS = DEFAULT_LIMITS;
+exports.toMinor = toMinor;
+exports.fromMinor = fromMinor;
+exports.format = format;
+exports.stringify = stringify;
+exports.limits = limits;
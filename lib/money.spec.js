@@ -0,0 +1,77 @@
+'use strict';
+
+var should = require('should');
+
+var money = require('./money');
+
+describe('money', function () {
+  describe('.toMinor()', function () {
+    it('parses decimal numbers and strings exactly', function () {
+      money.toMinor(12.45).should.eql(1245);
+      money.toMinor('12.45').should.eql(1245);
+      money.toMinor('0.29').should.eql(29); // 0.29 * 100 === 28.999999999999996
+      money.toMinor(' 12.5 ').should.eql(1250);
+      money.toMinor('12.450').should.eql(1245);
+      money.toMinor(100).should.eql(10000);
+    });
+
+    it('returns `NaN` for malformed amounts', function () {
+      ['abc', '', '-1', -1, '0.001', '1e3', 1e21, Infinity, null, true, '12.4.5']
+        .forEach(function (value) {
+          should(money.toMinor(value)).be.NaN();
+        });
+    });
+  });
+
+  describe('.fromMinor()', function () {
+    it('formats minor units as `0.00`', function () {
+      money.fromMinor(1245).should.eql('12.45');
+      money.fromMinor(5).should.eql('0.05');
+      money.fromMinor(0).should.eql('0.00');
+      money.fromMinor(-1250).should.eql('-12.50');
+    });
+  });
+
+  describe('.stringify()', function () {
+    it('emits the amounts in the format of `0.00`', function () {
+      money.stringify({ id: '5648dc5077ba42ee6b13ff6f', amount: 12.5, message: 'amount' })
+        .should.eql('{"id":"5648dc5077ba42ee6b13ff6f","amount":12.50,"message":"amount"}');
+
+      money.stringify({ items: [{ amount: '37.8' }, { amount: 10 }], next: null })
+        .should.eql('{"items":[{"amount":37.80},{"amount":10.00}],"next":null}');
+    });
+
+    it('leaves the other values as is', function () {
+      money.stringify({ amount: null, internal: { id: 1 } })
+        .should.eql('{"amount":null,"internal":{"id":1}}');
+    });
+  });
+
+  describe('.limits()', function () {
+    var check = money.limits({ min: '1.00', services: { topup: { min: 10, max: 500 } } });
+
+    it('checks the common limits (without the maximum by default)', function () {
+      should(check(100)).be.null();
+      should(check(100000000)).be.null();
+      check(99).should.eql('must not be less than 1.00');
+    });
+
+    it("doesn't limit the amounts by default", function () {
+      should(money.limits()(1)).be.null();
+      should(money.limits()(Number.MAX_SAFE_INTEGER)).be.null();
+    });
+
+    it('checks the service limits', function () {
+      should(check(1000, 'topup')).be.null();
+      check(999, 'topup').should.eql('must not be less than 10.00');
+      check(50001, 'topup').should.eql('must not exceed 500.00');
+      should(check(999, 'other')).be.null();
+    });
+
+    it('throws if a limit is malformed', function () {
+      (function () {
+        money.limits({ max: 'unlimited' });
+      }).should.throw('amount limit `max` must be a decimal number, got `unlimited`');
+    });
+  });
+});
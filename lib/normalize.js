@@ -0,0 +1,105 @@
+/**
+ * Requisite normalizers (to identify the accounts by the canonical requisites).
+ */
+
+'use strict';
+
+var _ = require('lodash');
+
+/** @const {string} country calling code of the local phone numbers (Kyrgyzstan) */
+var COUNTRY_CODE = '996';
+
+/**
+ * Strip the whitespace and the separators (`-`, `.`, `(` and `)`).
+ * @param {string} requisite
+ * @returns {string}
+ */
+function compact(requisite) {
+  return requisite.replace(/[\s\-.()]/g, '');
+}
+
+/**
+ * Bring the Kyrgyz phone number into E.164 format without the plus (`996700650835`)
+ * from the international (`+996 700 650-835`, `00996700650835`), national (`0700650835`)
+ * and subscriber number (`700650835`) forms. The other numbers are only compacted,
+ * and the values that aren't numbers are only trimmed.
+ * @param {string} requisite
+ * @returns {string}
+ */
+function phone(requisite) {
+  var digits = compact(requisite).replace(/^(\+|00(?=\d{11}))/, '');
+
+  if (!/^\d*$/.test(digits)) { // leave it for the validators to reject
+    return requisite.trim();
+  }
+
+  if (digits.length === 10 && digits.charAt(0) === '0') {
+    digits = digits.slice(1);
+  }
+
+  return (digits.length === 9) ? COUNTRY_CODE + digits : digits;
+}
+
+/**
+ * Trim and lower case the email address.
+ * @param {string} requisite
+ * @returns {string}
+ */
+function email(requisite) {
+  return requisite.trim().toLowerCase();
+}
+
+/** @const {Object.<string, function(requisite:string):string>} built-in normalizers */
+var NORMALIZERS = {
+  compact: compact,
+  phone: phone,
+  email: email
+};
+
+/**
+ * Create the normalizer of the requisites by the services.
+ *
+ * Every service has a pipeline of the normalizers applied in order, each one is either
+ * a built-in normalizer name (see `NORMALIZERS`), or a `function (requisite, params)`
+ * that returns the normalized requisite.
+ *
+ * @param {Object.<string, (string|function|Array)>} [pipelines] – normalizers (or the arrays
+ *        of them) by the service identifiers (`*` for any other service)
+ * @param {string} [defaultService] – identifier of the service if `params.service` is not given
+ * @returns {function(params:Object):*} returns the normalized `params.requisite`
+ *                                      (the non-string ones as is)
+ * @throws {Error} if any normalizer is unknown
+ */
+function normalizers(pipelines, defaultService) {
+  pipelines = _.mapValues(pipelines || {}, function (pipeline, service) {
+    return [].concat(pipeline).map(function (normalizer) {
+      if (typeof normalizer === 'function') {
+        return normalizer;
+      }
+
+      if (!_.has(NORMALIZERS, normalizer)) {
+        throw new Error('unknown requisite normalizer `' + normalizer +
+          '` of service `' + service + '`');
+      }
+
+      return NORMALIZERS[normalizer];
+    });
+  });
+
+  return function (params) {
+    var service = params.service || defaultService,
+        pipeline = (service && pipelines[service]) || pipelines['*'];
+
+    if (!pipeline || typeof params.requisite !== 'string') {
+      return params.requisite;
+    }
+
+    return pipeline.reduce(function (requisite, normalize) {
+      return normalize(requisite, params);
+    }, params.requisite);
+  };
+}
+
+exports.COUNTRY_CODE = COUNTRY_CODE;
+exports.NORMALIZERS = NORMALIZERS;
+exports.normalizers = normalizers;
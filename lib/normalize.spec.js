@@ -0,0 +1,186 @@
+'use strict';
+
+var async = require('async');
+
+var should = require('should'),
+    sinon = require('sinon'),
+    supertest = require('supertest');
+
+var PaymentReceiver = require('./receiver');
+var AdapterReceiver = require('./adapter-receiver');
+var MemoryAdapter = require('./memory-adapter');
+var normalize = require('./normalize');
+
+describe('normalize', function () {
+  describe('NORMALIZERS', function () {
+    it('brings the Kyrgyz phone numbers into E.164 format without the plus', function () {
+      [
+        '+996 700 650-835',
+        '996700650835',
+        '00996700650835',
+        '0 (700) 65-08-35',
+        '700650835'
+      ].forEach(function (requisite) {
+        normalize.NORMALIZERS.phone(requisite).should.eql('996700650835');
+      });
+
+      normalize.NORMALIZERS.phone('+7 916 123-45-67').should.eql('79161234567');
+      normalize.NORMALIZERS.phone(' jon@snow.kg ').should.eql('jon@snow.kg');
+    });
+
+    it('strips the whitespace and the separators', function () {
+      normalize.NORMALIZERS.compact(' 1234-5678 (LS) ').should.eql('12345678LS');
+    });
+
+    it('trims and lower cases the emails', function () {
+      normalize.NORMALIZERS.email(' Jon@Snow.KG\n').should.eql('jon@snow.kg');
+    });
+  });
+
+  describe('.normalizers()', function () {
+    var normalizeRequisite;
+
+    beforeEach(function () {
+      normalizeRequisite = normalize.normalizers({
+        mobile: 'phone',
+        internet: ['compact', function (requisite, params) {
+          return params.service + ':' + requisite.toUpperCase();
+        }],
+        '*': 'email'
+      }, 'mobile');
+    });
+
+    it('applies the pipeline of the service', function () {
+      normalizeRequisite({ requisite: '0700650835' }).should.eql('996700650835');
+      normalizeRequisite({ requisite: 'ls 0042', service: 'internet' })
+        .should.eql('internet:LS0042');
+      normalizeRequisite({ requisite: 'Jon@Snow.KG', service: 'wallet' }).should.eql('jon@snow.kg');
+    });
+
+    it('leaves the requisites as is if there is no pipeline', function () {
+      normalize.normalizers({ mobile: 'phone' })({ requisite: ' 0700650835 ', service: 'gas' })
+        .should.eql(' 0700650835 ');
+
+      should(normalizeRequisite({ requisite: 996700650835 })).eql(996700650835);
+    });
+
+    it('throws if the normalizer is unknown', function () {
+      (function () {
+        normalize.normalizers({ mobile: ['compact', 'msisdn'] });
+      }).should.throw('unknown requisite normalizer `msisdn` of service `mobile`');
+    });
+  });
+
+  describe('requisite normalization', function () {
+    var receiver, agent, validateStub, listStub;
+
+    beforeEach(function () {
+      receiver = new PaymentReceiver({
+        validate: (validateStub = sinon.stub().yieldsAsync(null, 200)),
+        list: (listStub = sinon.stub().yieldsAsync(null, 200, []))
+      }, {
+        normalizers: { '*': 'phone' },
+        requisites: { '*': 'phone' }
+      });
+
+      agent = supertest(receiver.server);
+    });
+
+    it('passes both the normalized and the original requisites', function (done) {
+      agent.post('/api/validate')
+        .send({ requisite: '+996 700 650-835', originalRequisite: '996555362358' })
+        .expect(200)
+        .expect(function () {
+          validateStub.firstCall.args[0].should.have.properties({
+            requisite: '996700650835',
+            originalRequisite: '+996 700 650-835'
+          });
+        })
+        .end(done);
+    });
+
+    it('validates the normalized requisite', function (done) {
+      async.series([
+        function (next) {
+          agent.post('/api/validate').send({ requisite: '0 (700) 65-08-35' }).expect(200, next);
+        },
+        function (next) {
+          agent.post('/api/validate')
+            .send({ requisite: '0700-65' })
+            .expect(422)
+            .expect(function (res) {
+              res.body.should.have.properties({
+                message: 'parameter `requisite` must be a valid phone number',
+                field: 'requisite'
+              });
+            })
+            .end(next);
+        },
+        function (next) {
+          agent.post('/api/validate')
+            .send({ requisite: ' - ' })
+            .expect(400)
+            .expect(function (res) {
+              res.body.should.have.properties({ code: 'MISSING_PARAMETER', field: 'requisite' });
+            })
+            .end(next);
+        }
+      ], done);
+    });
+
+    it('filters the transactions list by the normalized requisite', function (done) {
+      agent.get('/api/transactions')
+        .query({ begin: '2015-11-24T00:00:00.000Z', requisite: '0700650835' })
+        .expect(200)
+        .expect(function () {
+          listStub.firstCall.args[0].requisite.should.eql('996700650835');
+          listStub.firstCall.args[0].should.not.have.property('originalRequisite');
+        })
+        .end(done);
+    });
+
+    it('echoes both requisites of the transactions kept by the adapters', function (done) {
+      var adapter = new MemoryAdapter({
+        accounts: [{ requisite: '996700650835', name: 'Dan Kerimdzhanov' }]
+      });
+
+      agent = supertest(new AdapterReceiver(adapter, { normalizers: { '*': 'phone' } }).server);
+
+      async.series([
+        function (next) {
+          agent.post('/api/transactions/5648dc5077ba42ee6b13ff6f')
+            .send({
+              requisite: '0700 650 835',
+              amount: 12.45,
+              timestamp: '2015-11-24T17:41:26.691Z'
+            })
+            .expect(200)
+            .expect(function (res) {
+              res.body.should.have.properties({
+                requisite: '996700650835',
+                originalRequisite: '0700 650 835'
+              });
+            })
+            .end(next);
+        },
+        function (next) {
+          agent.get('/api/transactions/5648dc5077ba42ee6b13ff6f')
+            .expect(200)
+            .expect(function (res) {
+              res.body.should.have.properties({
+                requisite: '996700650835',
+                originalRequisite: '0700 650 835'
+              });
+            })
+            .end(next);
+        }
+      ], done);
+    });
+
+    it('throws if the normalizer is unknown', function () {
+      (function () {
+        return new PaymentReceiver({}, { normalizers: { mobile: 'msisdn' } });
+      }).should.throw('unknown requisite normalizer `msisdn` of service `mobile`');
+    });
+  });
+});
@@ -0,0 +1,423 @@
+/**
+ * Outbound completion webhooks of the asynchronous transactions.
+ */
+
+'use strict';
+
+var http = require('http'),
+    https = require('https'),
+    parseUrl = require('url').parse;
+
+var _ = require('lodash');
+
+var signature = require('./signature');
+var money = require('./money');
+var TransactionState = require('./transaction-state');
+
+/** @const {Object} default notifier options */
+var DEFAULTS = {
+  algorithm: signature.DEFAULTS.algorithm,
+  header: signature.DEFAULTS.header,
+  timestampHeader: signature.DEFAULTS.timestampHeader,
+  timeout: 10000, // ms
+  retryDelay: 1000, // ms
+  maxRetryDelay: 60000, // ms
+  factor: 2, // retry delay multiplier
+  maxAttempts: 10
+};
+
+/** @const {Object} delivery statuses */
+var DELIVERY = {
+  PENDING: 'pending',
+  DELIVERED: 'delivered',
+  FAILED: 'failed'
+};
+
+/**
+ * In-memory delivery log (the reference implementation).
+ * Keeps the deliveries within a single process, so they don't survive restarts.
+ *
+ * Every delivery log (usually a storage adapter) implements the following asynchronous methods:
+ *  * `saveDelivery(delivery, callback)` – inserts or updates the delivery by its `id`;
+ *  * `findDelivery(id, callback)` – calls back with the delivery or `null` if it doesn't exist;
+ *  * `loadDeliveries(callback)` – calls back with the `pending` deliveries.
+ *
+ * Deliveries are `{ id, url, body, status, attempts, next, response, error, created, delivered }`
+ * objects, where `id` is the transaction id, `body` is the JSON to deliver, `status` is
+ * `pending|delivered|failed`, `response` and `error` are the last response status code
+ * and error message, and `next`, `created` and `delivered` are datetimes.
+ *
+ * @constructor
+ */
+function MemoryLog() {
+  this.deliveries = Object.create(null);
+}
+
+/**
+ * Save the delivery.
+ * @param {Object} delivery
+ * @param {function(err:Error)} callback
+ */
+MemoryLog.prototype.saveDelivery = function (delivery, callback) {
+  this.deliveries[delivery.id] = _.clone(delivery);
+  process.nextTick(callback);
+};
+
+/**
+ * Find the delivery by a given transaction id.
+ * @param {string} id – transaction unique identifier
+ * @param {function(err:Error, delivery:Object?)} callback
+ */
+MemoryLog.prototype.findDelivery = function (id, callback) {
+  var delivery = this.deliveries[id] ? _.clone(this.deliveries[id]) : null;
+
+  process.nextTick(function () {
+    callback(null, delivery);
+  });
+};
+
+/**
+ * Load the pending deliveries.
+ * @param {function(err:Error, deliveries:Object[]?)} callback
+ */
+MemoryLog.prototype.loadDeliveries = function (callback) {
+  var deliveries = _.filter(this.deliveries, { status: DELIVERY.PENDING }).map(_.clone);
+
+  process.nextTick(function () {
+    callback(null, deliveries);
+  });
+};
+
+/**
+ * POST the JSON body to a given url.
+ * @param {string} url
+ * @param {string} body – JSON body
+ * @param {Object} options – `{ headers, timeout }`
+ * @param {function(err:Error, statusCode:number?)} callback – called back exactly once,
+ *        with an error if the request fails or the response is aborted
+ */
+function post(url, body, options, callback) {
+  var location = parseUrl(url),
+      transport = (location.protocol === 'https:') ? https : http,
+      responded = false;
+
+  callback = _.once(callback); // the request may both error and close
+
+  var req = transport.request({
+    method: 'POST',
+    protocol: location.protocol,
+    hostname: location.hostname,
+    port: location.port,
+    path: location.path,
+    auth: location.auth,
+    headers: _.assign({
+      'Content-Type': 'application/json; charset=utf-8',
+      'Content-Length': Buffer.byteLength(body)
+    }, options.headers)
+  });
+
+  req.setTimeout(options.timeout, function () {
+    req.destroy(new Error('webhook request has timed out after ' + options.timeout + 'ms'));
+  });
+
+  req.on('error', callback);
+
+  req.on('close', function () { // destroyed without an error otherwise
+    if (!responded) {
+      callback(new Error('webhook request has been closed without a response'));
+    }
+  });
+
+  req.on('response', function (res) {
+    responded = true;
+
+    res.resume(); // the response body is ignored
+    res.on('end', function () {
+      callback(null, res.statusCode);
+    });
+
+    res.on('aborted', function () {
+      callback(new Error('webhook response has been aborted'));
+    });
+
+    res.on('close', function () { // closed before the end otherwise
+      callback(res.complete ? null : new Error('webhook response has been aborted'),
+        res.statusCode);
+    });
+  });
+
+  req.end(body);
+}
+
+/**
+ * Notifier that POSTs the completed transactions (as responded by `#get`) to the callback url,
+ * so that UMAI's server doesn't have to poll the accepted ones.
+ *
+ * Notifies of the transactions that are completed or expired by the completion worker
+ * (see `CompletionWorker`), call `#notify()` to notify of the ones completed by other means.
+ * Every request is signed the same way as UMAI's requests (see `signature.sign()`)
+ * if `options.secret` is set, it's retried with backoff until responded with a 2xx status.
+ *
+ * Emits the receiver events: `notified` and `undelivered` (once gave up retrying)
+ * with an info object (`id`, `url`, `attempts`, `response` status code and `error` message)
+ * and `error` (if listened) with the `info.method` of `store` if the delivery log fails.
+ *
+ * @constructor
+ * @param {PaymentReceiver} receiver
+ * @param {Object} options
+ * @param {string} options.url – callback url to POST the transactions to
+ * @param {string} [options.secret] – shared secret to sign the requests with
+ * @param {string} [options.algorithm='sha256'] – HMAC digest algorithm
+ * @param {string} [options.header='X-UMAI-Signature'] – signature header name
+ * @param {string} [options.timestampHeader='X-UMAI-Timestamp'] – timestamp header name
+ * @param {number} [options.timeout=10000] – request timeout (ms)
+ * @param {number} [options.retryDelay=1000] – delay before the first retry (ms)
+ * @param {number} [options.maxRetryDelay=60000] – maximum delay between retries (ms)
+ * @param {number} [options.factor=2] – delay multiplier of every next retry
+ * @param {number} [options.maxAttempts=10] – number of attempts to give up after
+ * @param {Object} [options.log] – delivery log (in-memory one by default)
+ * @throws {Error} if the callback url is not an http(s) one
+ */
+function Notifier(receiver, options) {
+  this.receiver = receiver;
+  this.options = options = _.assign({}, DEFAULTS, options);
+  this.log = options.log || new MemoryLog();
+
+  if (!/^https?:\/\/[^\/]/i.test(options.url || '')) {
+    throw new Error('webhook `url` must be an http(s) url');
+  }
+
+  this.timers = Object.create(null); // by transaction id
+  this.started = false;
+
+  var self = this;
+
+  function completed(info) {
+    if (info.transaction) {
+      self.notify(info.transaction);
+    }
+  }
+
+  receiver.on('completed', completed);
+  receiver.on('expired', completed);
+}
+
+/**
+ * Emit the receiver event.
+ * @param {string} event
+ * @param {Object} delivery
+ */
+Notifier.prototype.emit = function (event, delivery) {
+  this.receiver.emit(event, {
+    id: delivery.id,
+    url: delivery.url,
+    attempts: delivery.attempts,
+    response: delivery.response,
+    error: delivery.error
+  });
+};
+
+/**
+ * Emit the receiver `error` event (if listened).
+ * @param {Error} err
+ * @param {string} method – failed method (`store`)
+ * @param {Object} [delivery]
+ */
+Notifier.prototype.error = function (err, method, delivery) {
+  if (this.receiver.listeners('error').length) {
+    this.receiver.emit('error', err, delivery ?
+      { method: method, params: { id: delivery.id }, delivery: delivery } : { method: method });
+  }
+};
+
+/**
+ * Load the pending deliveries from the log and resume them.
+ * @param {function(err:Error?)} [callback] – the receiver `error` event is emitted if omitted
+ */
+Notifier.prototype.start = function (callback) {
+  var self = this;
+
+  callback = callback || function (err) {
+    if (err) {
+      self.error(err, 'store');
+    }
+  };
+
+  if (this.started) {
+    return process.nextTick(callback);
+  }
+
+  this.started = true;
+
+  this.log.loadDeliveries(function (err, deliveries) {
+    if (err) {
+      self.started = false;
+      return callback(err);
+    }
+
+    deliveries.forEach(function (delivery) {
+      if (self.started && !self.timers[delivery.id]) {
+        self.schedule(delivery);
+      }
+    });
+
+    callback(null);
+  });
+};
+
+/**
+ * Cancel all the scheduled deliveries (the pending ones remain in the log).
+ */
+Notifier.prototype.stop = function () {
+  _.forEach(this.timers, clearTimeout);
+
+  this.timers = Object.create(null);
+  this.started = false;
+};
+
+/**
+ * Notify of the completed transaction (the others are ignored).
+ * The delivery is attempted immediately, even if the notifier isn't started.
+ * @param {Object} transaction – transaction object as responded by `#get`
+ * @param {function(err:Error?)} [callback] – calls back once the delivery is logged
+ */
+Notifier.prototype.notify = function (transaction, callback) {
+  var self = this,
+      now = new Date();
+
+  callback = callback || _.noop;
+
+  if (!transaction || !TransactionState.isCompleted(transaction.status)) {
+    return process.nextTick(callback);
+  }
+
+  if (this.timers[transaction.id]) { // cancel the previous delivery in favour of the latest one
+    clearTimeout(this.timers[transaction.id]);
+  }
+
+  var delivery = {
+    id: transaction.id,
+    url: this.options.url,
+    body: money.stringify(transaction),
+    status: DELIVERY.PENDING,
+    attempts: 0,
+    next: now,
+    response: null,
+    error: null,
+    created: now,
+    delivered: null
+  };
+
+  this.timers[transaction.id] = true; // reserve until saved
+
+  this.log.saveDelivery(delivery, function (err) {
+    if (err) {
+      delete self.timers[transaction.id];
+      self.error(err, 'store', delivery);
+      return callback(err);
+    }
+
+    self.schedule(delivery);
+    callback(null);
+  });
+};
+
+/**
+ * Schedule the delivery attempt.
+ * @param {Object} delivery
+ */
+Notifier.prototype.schedule = function (delivery) {
+  var self = this,
+      delay = Math.max(0, new Date(delivery.next).getTime() - Date.now());
+
+  var timer = setTimeout(function () {
+    self.deliver(delivery);
+  }, delay);
+
+  if (timer.unref) { // don't keep the process running for the sake of the pending deliveries
+    timer.unref();
+  }
+
+  this.timers[delivery.id] = timer;
+};
+
+/**
+ * Compose the request headers (signing the request if the secret is set).
+ * @param {Object} delivery
+ * @returns {Object}
+ */
+Notifier.prototype.headers = function (delivery) {
+  var options = this.options,
+      headers = {};
+
+  if (options.secret) {
+    var timestamp = Math.floor(Date.now() / 1000);
+
+    headers[options.timestampHeader] = String(timestamp);
+    headers[options.header] = signature.sign(options.secret, {
+      timestamp: timestamp,
+      method: 'POST',
+      url: parseUrl(delivery.url).path,
+      body: delivery.body
+    }, options.algorithm);
+  }
+
+  return headers;
+};
+
+/**
+ * Attempt to deliver, logging the result and scheduling the retry if not delivered.
+ * @param {Object} delivery
+ */
+Notifier.prototype.deliver = function (delivery) {
+  var self = this,
+      options = this.options,
+      timer = this.timers[delivery.id];
+
+  delivery.attempts++;
+
+  post(delivery.url, delivery.body, {
+    headers: this.headers(delivery),
+    timeout: options.timeout
+  }, function (err, statusCode) {
+    if (self.timers[delivery.id] !== timer) { // superseded by another delivery (or stopped)
+      return;
+    }
+
+    delivery.response = statusCode || null;
+    delivery.error = err ? err.message :
+      (statusCode >= 200 && statusCode < 300) ? null : 'responded with status ' + statusCode;
+
+    if (!delivery.error) {
+      delivery.status = DELIVERY.DELIVERED;
+      delivery.delivered = new Date();
+    }
+    else if (delivery.attempts >= options.maxAttempts) {
+      delivery.status = DELIVERY.FAILED;
+    }
+    else {
+      delivery.next = new Date(Date.now() + Math.min(options.maxRetryDelay,
+        options.retryDelay * Math.pow(options.factor, delivery.attempts - 1)));
+    }
+
+    self.log.saveDelivery(delivery, function (err) {
+      if (err) {
+        self.error(err, 'store', delivery);
+      }
+
+      if (delivery.status === DELIVERY.PENDING) {
+        return self.schedule(delivery);
+      }
+
+      delete self.timers[delivery.id];
+
+      self.emit((delivery.status === DELIVERY.DELIVERED) ? 'notified' : 'undelivered', delivery);
+    });
+  });
+};
+
+Notifier.DEFAULTS = DEFAULTS;
+Notifier.DELIVERY = DELIVERY;
+Notifier.MemoryLog = MemoryLog;
+
+module.exports = Notifier;
@@ -0,0 +1,238 @@
+'use strict';
+
+var http = require('http');
+
+var should = require('should');
+
+var PaymentReceiver = require('./receiver');
+var AdapterReceiver = require('./adapter-receiver');
+var MemoryAdapter = require('./memory-adapter');
+var Notifier = require('./notifier');
+var signature = require('./signature');
+
+describe('Notifier', function () {
+  var server, url, requests, responses, receiver, notifier, transaction;
+
+  // setup a local http server standing in for UMAI's callback endpoint
+  beforeEach(function (done) {
+    requests = [];
+    responses = [];
+
+    server = http.createServer(function (req, res) {
+      var body = '';
+
+      req.setEncoding('utf8');
+      req.on('data', function (chunk) {
+        body += chunk;
+      });
+
+      req.on('end', function () {
+        requests.push({ url: req.url, headers: req.headers, body: body });
+
+        var status = responses.length ? responses.shift() : 204;
+
+        if (status === 'abort') { // respond the headers only
+          res.writeHead(200, { 'Content-Length': 10 });
+          res.write('{');
+          return setTimeout(function () {
+            res.destroy();
+          }, 10);
+        }
+
+        if (status) { // hold the response otherwise
+          res.statusCode = status;
+          res.end();
+        }
+      });
+    });
+
+    server.listen(0, '127.0.0.1', function () {
+      url = 'http://127.0.0.1:' + server.address().port + '/umai/callback?source=receiver';
+      done();
+    });
+
+    transaction = {
+      id: '5648dc5077ba42ee6b13ff6f',
+      requisite: '996700650835',
+      amount: 12.45,
+      status: 'success',
+      timestamp: new Date('2015-11-24T00:00:00.000Z')
+    };
+
+    receiver = new PaymentReceiver();
+  });
+
+  afterEach(function (done) {
+    if (notifier) {
+      notifier.stop();
+    }
+
+    server.close(done);
+  });
+
+  it('throws if the url is not an http(s) one', function () {
+    (function () {
+      notifier = new Notifier(receiver, { url: 'ftp://example.com' });
+    }).should.throw('webhook `url` must be an http(s) url');
+
+    notifier = null;
+  });
+
+  it('POSTs the completed transaction signing the request', function (done) {
+    notifier = new Notifier(receiver, { url: url, secret: 'EsZuAmZUL4H5P8mUsjNxFGdHN6QJyDxU' });
+
+    receiver.once('notified', function (info) {
+      info.should.eql({ id: transaction.id, url: url, attempts: 1, response: 204, error: null });
+
+      requests.should.have.lengthOf(1);
+
+      var request = requests[0];
+
+      JSON.parse(request.body).should.eql(JSON.parse(JSON.stringify(transaction)));
+      request.headers['content-type'].should.eql('application/json; charset=utf-8');
+
+      signature.verify(['EsZuAmZUL4H5P8mUsjNxFGdHN6QJyDxU'], {
+        timestamp: request.headers['x-umai-timestamp'],
+        method: 'POST',
+        url: '/umai/callback?source=receiver',
+        body: request.body
+      }, request.headers['x-umai-signature']).should.be.true();
+
+      notifier.log.findDelivery(transaction.id, function (err, delivery) {
+        if (err) {
+          return done(err);
+        }
+
+        delivery.should.have.properties({ status: 'delivered', attempts: 1, response: 204 });
+        delivery.delivered.should.be.an.instanceOf(Date);
+        done();
+      });
+    });
+
+    notifier.notify(transaction);
+  });
+
+  it('notifies of the transactions completed by the completion worker', function (done) {
+    notifier = new Notifier(receiver, { url: url });
+
+    receiver.once('notified', function (info) {
+      info.id.should.eql(transaction.id);
+      requests[0].headers.should.not.have.property('x-umai-signature');
+      done();
+    });
+
+    receiver.emit('completed', { id: transaction.id, method: 'process', transaction: transaction });
+  });
+
+  it('ignores the transactions that are not completed', function (done) {
+    notifier = new Notifier(receiver, { url: url });
+    transaction.status = 'processing';
+
+    notifier.notify(transaction, function (err) {
+      if (err) {
+        return done(err);
+      }
+
+      notifier.log.findDelivery(transaction.id, function (err, delivery) {
+        should(delivery).be.null();
+        done(err);
+      });
+    });
+  });
+
+  it('retries with backoff until responded with a 2xx status', function (done) {
+    notifier = new Notifier(receiver, { url: url, retryDelay: 10 });
+    responses = [500, 503];
+
+    receiver.once('notified', function (info) {
+      info.should.have.properties({ attempts: 3, response: 204 });
+      requests.should.have.lengthOf(3);
+      done();
+    });
+
+    notifier.notify(transaction);
+  });
+
+  it('gives up after the maximum number of attempts', function (done) {
+    notifier = new Notifier(receiver, { url: url, retryDelay: 10, maxAttempts: 2 });
+    responses = [500, 500];
+
+    receiver.once('undelivered', function (info) {
+      info.should.have.properties({
+        attempts: 2,
+        response: 500,
+        error: 'responded with status 500'
+      });
+
+      notifier.log.findDelivery(transaction.id, function (err, delivery) {
+        delivery.status.should.eql('failed');
+        done(err);
+      });
+    });
+
+    notifier.notify(transaction);
+  });
+
+  it('retries if the request fails', function (done) {
+    notifier = new Notifier(receiver, { url: url, retryDelay: 10, timeout: 50 });
+
+    responses = [null];
+
+    receiver.once('notified', function (info) {
+      info.should.have.properties({ attempts: 2, error: null });
+      done();
+    });
+
+    notifier.notify(transaction);
+  });
+
+  it('retries if the response is aborted', function (done) {
+    notifier = new Notifier(receiver, { url: url, retryDelay: 10, maxAttempts: 1 });
+
+    var undelivered = 0;
+
+    responses = ['abort'];
+
+    receiver.on('undelivered', function (info) {
+      undelivered++;
+      info.should.have.properties({ attempts: 1, error: 'webhook response has been aborted' });
+
+      setTimeout(function () { // the response may not call back once again
+        undelivered.should.eql(1);
+        done();
+      }, 50);
+    });
+
+    notifier.notify(transaction);
+  });
+
+  it('resumes the pending deliveries on start', function (done) {
+    var adapter = new MemoryAdapter();
+
+    receiver = new AdapterReceiver(adapter, { webhook: { url: url, manual: true } });
+    notifier = receiver.notifier;
+    notifier.log.should.equal(adapter);
+
+    adapter.saveDelivery({
+      id: transaction.id,
+      url: url,
+      body: JSON.stringify(transaction),
+      status: 'pending',
+      attempts: 1,
+      next: new Date(),
+      created: new Date()
+    }, function (err) {
+      if (err) {
+        return done(err);
+      }
+
+      receiver.once('notified', function (info) {
+        info.attempts.should.eql(2);
+        adapter.deliveries[transaction.id].status.should.eql('delivered');
+        done();
+      });
+
+      notifier.start();
+    });
+  });
+});
@@ -0,0 +1,727 @@
+/**
+ * PostgreSQL storage adapter.
+ */
+
+'use strict';
+
+var _ = require('lodash');
+
+/** @const {Object} default table names */
+var TABLES = {
+  accounts: 'accounts',
+  transactions: 'transactions',
+  pending: 'pending_completions',
+  deliveries: 'webhook_deliveries'
+};
+
+/** @const {Object} default enum type names */
+var TYPES = {
+  accountStatus: 'account_status',
+  transactionStatus: 'transaction_status'
+};
+
+/** @const {Object.<string, Object>} default column names by the record field names */
+var COLUMNS = {
+  accounts: {
+    id: 'id',
+    requisite: 'requisite',
+    name: 'full_name',
+    status: 'status',
+    balance: 'balance',
+    created: 'created_at'
+  },
+  transactions: {
+    internalId: 'id',
+    id: 'external_id',
+    accountId: 'account_id',
+    requisite: 'requisite',
+    originalRequisite: null, // isn't stored unless configured
+    amount: 'amount',
+    status: 'status',
+    message: 'message',
+    initialized: 'initialized',
+    completed: 'completed',
+    cancelled: 'cancelled',
+    service: null // isn't stored unless configured
+  },
+  pending: {
+    id: 'transaction_id',
+    method: 'method',
+    accepted: 'accepted_at',
+    deadline: 'deadline',
+    attempts: 'attempts',
+    next: 'next_attempt_at'
+  },
+  deliveries: {
+    id: 'transaction_id',
+    url: 'url',
+    body: 'body',
+    status: 'status',
+    attempts: 'attempts',
+    next: 'next_attempt_at',
+    response: 'response_status',
+    error: 'error',
+    created: 'created_at',
+    delivered: 'delivered_at'
+  }
+};
+
+/** @const {string} PostgreSQL "unique_violation" error code */
+var UNIQUE_VIOLATION = '23505';
+
+/**
+ * Quote the SQL identifier.
+ * @param {string} name
+ * @returns {string}
+ */
+function quote(name) {
+  return '"' + String(name).replace(/"/g, '""') + '"';
+}
+
+/**
+ * PostgreSQL storage adapter (see `AdapterReceiver` for the adapter contract).
+ * Requires the `pg` module to be installed.
+ * @constructor
+ * @param {Object} [options]
+ * @param {(string|Object)} [options.connection] – connection string or `pg` client config
+ * @param {Object} [options.pool] – connection pool settings (`max`, `idleTimeoutMillis`, etc.)
+ * @param {Object} [options.pgPool] – existing `pg.Pool` instance to use instead of creating one
+ * @param {Object} [options.tables] – table names (see `TABLES`)
+ * @param {Object} [options.types] – enum type names (`accountStatus` and `transactionStatus`)
+ * @param {Object} [options.columns] – column names by the record field names
+ *                                     by the table keys (see `COLUMNS`)
+ */
+function PgAdapter(options) {
+  options = options || {};
+
+  if (options.pgPool) {
+    this.pool = options.pgPool;
+  }
+  else {
+    var config = (typeof options.connection === 'string') ?
+      { connectionString: options.connection } : options.connection;
+
+    var pg = require('pg');
+    this.pool = new pg.Pool(_.assign({}, config, options.pool));
+  }
+
+  this.tables = _.assign({}, TABLES, options.tables);
+  this.types = _.assign({}, TYPES, options.types);
+
+  var columns = options.columns || {};
+
+  this.columns = {
+    accounts: _.assign({}, COLUMNS.accounts, columns.accounts),
+    transactions: _.assign({}, COLUMNS.transactions, columns.transactions),
+    pending: _.assign({}, COLUMNS.pending, columns.pending),
+    deliveries: _.assign({}, COLUMNS.deliveries, columns.deliveries)
+  };
+}
+
+/**
+ * Compose the quoted (and aliased by the record field names) column list.
+ * @param {string} table – table key (`accounts`, `transactions`, `pending` or `deliveries`)
+ * @param {string[]} fields – record field names
+ * @returns {string}
+ */
+PgAdapter.prototype.select = function (table, fields) {
+  var columns = this.columns[table];
+
+  return fields
+    .filter(function (field) {
+      return columns[field]; // skip the fields that are not stored
+    })
+    .map(function (field) {
+      return quote(columns[field]) + ' AS ' + quote(field);
+    })
+    .join(', ');
+};
+
+/**
+ * Get the quoted table name or column name of a given table.
+ * @param {string} table – table key (`accounts`, `transactions`, `pending` or `deliveries`)
+ * @param {string} [field] – record field name
+ * @returns {string}
+ */
+PgAdapter.prototype.name = function (table, field) {
+  return quote(field ? this.columns[table][field] : this.tables[table]);
+};
+
+/**
+ * Perform a query using a pooled connection.
+ * @param {string} text – SQL query
+ * @param {Array} values – query parameters
+ * @param {function(err:Error, result:Object?)} callback
+ */
+PgAdapter.prototype.query = function (text, values, callback) {
+  this.pool.query(text, values, callback);
+};
+
+/**
+ * Perform a database transaction, committing it if `work` calls back successfully,
+ * and rolling it back otherwise.
+ * @param {function(client:Object, done:function(err:Error?, result:*?))} work
+ * @param {function(err:Error, result:*?)} callback
+ */
+PgAdapter.prototype.transaction = function (work, callback) {
+  this.pool.connect(function (err, client, release) {
+    if (err) {
+      return callback(err);
+    }
+
+    client.query('BEGIN;', function (err) {
+      if (err) {
+        release(err);
+        return callback(err);
+      }
+
+      work(client, function (err, result) {
+        if (err) {
+          return client.query('ROLLBACK;', function (rollbackErr) {
+            release(rollbackErr); // destroys the connection on rollback failure
+            callback(err);
+          });
+        }
+
+        client.query('COMMIT;', function (err) {
+          release(err);
+          callback(err || null, result);
+        });
+      });
+    });
+  });
+};
+
+/** @const {string[]} transaction record fields */
+var TRANSACTION_FIELDS = [
+  'id', 'internalId', 'requisite', 'originalRequisite', 'amount', 'status',
+  'message', 'service', 'initialized', 'completed', 'cancelled'
+];
+
+/**
+ * Normalize the transaction row into the record.
+ * @param {Object} row – transaction row selected with `TRANSACTION_FIELDS` aliases
+ * @returns {Object}
+ */
+function toRecord(row) {
+  row.internalId = parseInt(row.internalId, 10); // bigserial comes as a string
+  return row;
+}
+
+/**
+ * Find an account by a given requisite.
+ * @param {string} requisite
+ * @param {function(err:Error, account:Object?)} callback
+ */
+PgAdapter.prototype.findAccount = function (requisite, callback) {
+  this.query(
+    'SELECT ' + this.select('accounts', ['id', 'name', 'status']) + '\n' +
+    '  FROM ' + this.name('accounts') + ' WHERE ' + this.name('accounts', 'requisite') + ' = $1;',
+    [requisite],
+    function (err, result) {
+      if (err) {
+        return callback(err);
+      }
+
+      callback(null, result.rows[0] || null);
+    });
+};
+
+/**
+ * Insert a successful transaction and credit the account.
+ * @param {Object} params – transaction parameters
+ * @param {function(err:Error, record:Object?)} callback
+ */
+PgAdapter.prototype.credit = function (params, callback) {
+  var self = this;
+
+  this.transaction(function (client, done) {
+    client.query(
+      'SELECT ' + self.name('accounts', 'id') + ' AS "id"\n' +
+      '  FROM ' + self.name('accounts') +
+      ' WHERE ' + self.name('accounts', 'requisite') + ' = $1\n' +
+      'FOR UPDATE;', // lock the account balance
+      [params.requisite],
+      function (err, result) {
+        if (err) {
+          return done(err);
+        }
+
+        var account = result.rows[0];
+
+        if (!account) {
+          return done(new Error('account `' + params.requisite + "` doesn't exist"));
+        }
+
+        var fields = ['id', 'accountId', 'requisite', 'amount', 'status', 'completed'],
+            values = [params.id, account.id, params.requisite, params.amount];
+
+        ['originalRequisite', 'service'].forEach(function (field) {
+          if (self.columns.transactions[field]) {
+            fields.push(field);
+            values.push(params[field] || null);
+          }
+        });
+
+        var optional = values.slice(4).map(function (value, n) {
+          return ', $' + (n + 5);
+        });
+
+        // insert the transaction record marking it "successfully completed" immediately
+        client.query(
+          'INSERT INTO ' + self.name('transactions') + '\n' +
+          '  (' + fields.map(self.name.bind(self, 'transactions')).join(', ') + ')\n' +
+          'VALUES ($1, $2, $3, $4::numeric, \'success\', NOW()' + optional.join('') + ')\n' +
+          'RETURNING ' + self.select('transactions', TRANSACTION_FIELDS) + ';',
+          values,
+          function (err, result) {
+            if (err) {
+              return done(err);
+            }
+
+            var record = toRecord(result.rows[0]);
+
+            // update the account balance
+            client.query(
+              'UPDATE ' + self.name('accounts') + '\n' +
+              '  SET ' + self.name('accounts', 'balance') + ' = ' +
+                '(' + self.name('accounts', 'balance') + ' + $1::numeric)\n' +
+              'WHERE ' + self.name('accounts', 'id') + ' = $2;',
+              [params.amount, account.id],
+              function (err) {
+                done(err, record);
+              });
+          });
+      });
+  }, function (err, record) {
+    if (err && err.code === UNIQUE_VIOLATION) { // has already been processed
+      return self.findTransaction(params.id, callback);
+    }
+
+    callback(err, record);
+  });
+};
+
+/**
+ * Find a transaction by a given id.
+ * @param {string} id – transaction unique identifier
+ * @param {function(err:Error, record:Object?)} callback
+ */
+PgAdapter.prototype.findTransaction = function (id, callback) {
+  this.query(
+    'SELECT ' + this.select('transactions', TRANSACTION_FIELDS) + '\n' +
+    '  FROM ' + this.name('transactions') +
+    ' WHERE ' + this.name('transactions', 'id') + ' = $1;',
+    [id],
+    function (err, result) {
+      if (err) {
+        return callback(err);
+      }
+
+      callback(null, result.rows[0] ? toRecord(result.rows[0]) : null);
+    });
+};
+
+/**
+ * Cancel a transaction debiting the account back.
+ * @param {string} id – transaction unique identifier
+ * @param {function(err:Error, record:Object?)} callback
+ */
+PgAdapter.prototype.reverse = function (id, callback) {
+  var self = this;
+
+  this.transaction(function (client, done) {
+    client.query(
+      'SELECT ' + self.select('transactions', TRANSACTION_FIELDS.concat('accountId')) + '\n' +
+      '  FROM ' + self.name('transactions') +
+      ' WHERE ' + self.name('transactions', 'id') + ' = $1\n' +
+      'FOR UPDATE;', // lock the transaction
+      [id],
+      function (err, result) {
+        if (err) {
+          return done(err);
+        }
+
+        var transaction = result.rows[0];
+
+        if (!transaction) {
+          return done(null, null);
+        }
+
+        transaction = toRecord(_.omit(transaction, 'accountId'));
+
+        if (transaction.status === 'cancelled') { // has already been cancelled
+          return done(null, transaction);
+        }
+
+        // update the account balance
+        client.query(
+          'UPDATE ' + self.name('accounts') + '\n' +
+          '  SET ' + self.name('accounts', 'balance') + ' = ' +
+            '(' + self.name('accounts', 'balance') + ' - $1::numeric)\n' +
+          'WHERE ' + self.name('accounts', 'id') + ' = $2;',
+          [transaction.amount, result.rows[0].accountId],
+          function (err) {
+            if (err) {
+              return done(err);
+            }
+
+            client.query(
+              'UPDATE ' + self.name('transactions') + '\n' +
+              '  SET ' + self.name('transactions', 'status') + ' = \'cancelled\', ' +
+                self.name('transactions', 'cancelled') + ' = NOW()\n' +
+              'WHERE ' + self.name('transactions', 'internalId') + ' = $1\n' +
+              'RETURNING ' + self.select('transactions', TRANSACTION_FIELDS) + ';',
+              [transaction.internalId],
+              function (err, result) {
+                done(err, result && toRecord(result.rows[0]));
+              });
+          });
+      });
+  }, callback);
+};
+
+/**
+ * List transactions completed within a given datetime range.
+ * @param {Object} query
+ * @param {Date} query.begin – datetime to start search from (inclusive)
+ * @param {Date} [query.end] – datetime to search till (exclusive)
+ * @param {string} [query.status] – transaction status to filter by
+ * @param {string} [query.requisite] – requisite to filter by
+ * @param {string} [query.service] – service identifier to filter by
+ *                                   (requires the `service` column to be configured)
+ * @param {string} [query.order='asc'] – order by the completion datetime (`asc|desc`)
+ * @param {Object} [query.after] – position to list after (`{ completed, internalId }`)
+ * @param {number} [query.limit] – maximum number of records
+ * @param {function(err:Error, records:Object[]?)} callback
+ */
+PgAdapter.prototype.listTransactions = function (query, callback) {
+  if (query.service && !this.columns.transactions.service) {
+    return process.nextTick(function () {
+      callback(new Error('transactions `service` column is not configured'));
+    });
+  }
+
+  // JavaScript dates are precise to milliseconds, so are the listing positions
+  var completed = 'date_trunc(\'milliseconds\', ' + this.name('transactions', 'completed') + ')',
+      internalId = this.name('transactions', 'internalId'),
+      direction = (query.order === 'desc') ? 'DESC' : 'ASC',
+      values = [],
+      conditions = [];
+
+  function param(value) {
+    values.push(value);
+    return '$' + values.length;
+  }
+
+  conditions.push(completed + ' >= ' + param(query.begin));
+
+  if (query.end) {
+    conditions.push(completed + ' < ' + param(query.end));
+  }
+
+  ['status', 'requisite', 'service'].forEach(function (field) {
+    if (query[field]) {
+      conditions.push(this.name('transactions', field) + ' = ' + param(query[field]));
+    }
+  }, this);
+
+  if (query.after) {
+    var operator = (direction === 'DESC') ? ' < ' : ' > ',
+        after = param(query.after.completed);
+
+    conditions.push('(' + completed + operator + after + ' OR (' +
+      completed + ' = ' + after + ' AND ' + internalId + operator +
+      param(query.after.internalId) + '))');
+  }
+
+  this.query(
+    'SELECT ' + this.select('transactions', TRANSACTION_FIELDS) + '\n' +
+    '  FROM ' + this.name('transactions') + '\n' +
+    ' WHERE ' + conditions.join(' AND ') + '\n' +
+    'ORDER BY ' + completed + ' ' + direction + ', ' + internalId + ' ' + direction +
+    (query.limit ? '\nLIMIT ' + param(query.limit) : '') + ';',
+    values,
+    function (err, result) {
+      if (err) {
+        return callback(err);
+      }
+
+      callback(null, result.rows.map(toRecord));
+    });
+};
+
+/** @const {string[]} completion worker job fields */
+var PENDING_FIELDS = ['id', 'method', 'accepted', 'deadline', 'attempts', 'next'];
+
+/**
+ * Save the completion worker job (inserting or updating it by the transaction id).
+ * @param {Object} job – `{ id, method, accepted, deadline, attempts, next }`
+ * @param {function(err:Error?)} callback
+ */
+PgAdapter.prototype.savePending = function (job, callback) {
+  var self = this;
+
+  function column(field) {
+    return self.name('pending', field);
+  }
+
+  this.query(
+    'INSERT INTO ' + this.name('pending') +
+    ' (' + PENDING_FIELDS.map(column).join(', ') + ')\n' +
+    '     VALUES ($1, $2, $3, $4, $5, $6)\n' +
+    'ON CONFLICT (' + column('id') + ') DO UPDATE\n' +
+    '        SET ' + column('attempts') + ' = EXCLUDED.' + column('attempts') + ', ' +
+    column('next') + ' = EXCLUDED.' + column('next') + ';',
+    [job.id, job.method, job.accepted, job.deadline, job.attempts, job.next],
+    function (err) {
+      callback(err || null);
+    });
+};
+
+/**
+ * Load all the completion worker jobs.
+ * @param {function(err:Error, jobs:Object[]?)} callback
+ */
+PgAdapter.prototype.loadPending = function (callback) {
+  this.query(
+    'SELECT ' + this.select('pending', PENDING_FIELDS) + '\n' +
+    '  FROM ' + this.name('pending') + '\n' +
+    ' ORDER BY ' + this.name('pending', 'next') + ';',
+    [],
+    function (err, result) {
+      if (err) {
+        return callback(err);
+      }
+
+      callback(null, result.rows);
+    });
+};
+
+/**
+ * Remove the completion worker job.
+ * @param {string} id – transaction unique identifier
+ * @param {function(err:Error?)} callback
+ */
+PgAdapter.prototype.removePending = function (id, callback) {
+  this.query(
+    'DELETE FROM ' + this.name('pending') +
+    ' WHERE ' + this.name('pending', 'id') + ' = $1;',
+    [id],
+    function (err) {
+      callback(err || null);
+    });
+};
+
+/** @const {string[]} webhook delivery fields */
+var DELIVERY_FIELDS = [
+  'id', 'url', 'body', 'status', 'attempts', 'next', 'response', 'error', 'created', 'delivered'
+];
+
+/**
+ * Save the webhook delivery (inserting or updating it by the transaction id).
+ * @param {Object} delivery – see `Notifier.MemoryLog`
+ * @param {function(err:Error?)} callback
+ */
+PgAdapter.prototype.saveDelivery = function (delivery, callback) {
+  var self = this;
+
+  function column(field) {
+    return self.name('deliveries', field);
+  }
+
+  this.query(
+    'INSERT INTO ' + this.name('deliveries') +
+    ' (' + DELIVERY_FIELDS.map(column).join(', ') + ')\n' +
+    '     VALUES (' + DELIVERY_FIELDS.map(function (field, i) {
+      return '$' + (i + 1);
+    }).join(', ') + ')\n' +
+    'ON CONFLICT (' + column('id') + ') DO UPDATE\n' +
+    '        SET ' + _.without(DELIVERY_FIELDS, 'id').map(function (field) {
+      return column(field) + ' = EXCLUDED.' + column(field);
+    }).join(', ') + ';',
+    DELIVERY_FIELDS.map(function (field) {
+      return delivery[field];
+    }),
+    function (err) {
+      callback(err || null);
+    });
+};
+
+/**
+ * Find the webhook delivery by a given transaction id.
+ * @param {string} id – transaction unique identifier
+ * @param {function(err:Error, delivery:Object?)} callback
+ */
+PgAdapter.prototype.findDelivery = function (id, callback) {
+  this.query(
+    'SELECT ' + this.select('deliveries', DELIVERY_FIELDS) + '\n' +
+    '  FROM ' + this.name('deliveries') +
+    ' WHERE ' + this.name('deliveries', 'id') + ' = $1;',
+    [id],
+    function (err, result) {
+      if (err) {
+        return callback(err);
+      }
+
+      callback(null, result.rows[0] || null);
+    });
+};
+
+/**
+ * Load the pending webhook deliveries.
+ * @param {function(err:Error, deliveries:Object[]?)} callback
+ */
+PgAdapter.prototype.loadDeliveries = function (callback) {
+  this.query(
+    'SELECT ' + this.select('deliveries', DELIVERY_FIELDS) + '\n' +
+    '  FROM ' + this.name('deliveries') +
+    ' WHERE ' + this.name('deliveries', 'status') + ' = $1\n' +
+    ' ORDER BY ' + this.name('deliveries', 'next') + ';',
+    ['pending'],
+    function (err, result) {
+      if (err) {
+        return callback(err);
+      }
+
+      callback(null, result.rows);
+    });
+};
+
+/**
+ * Compose the schema migration SQL (equivalent to the example project migrations).
+ * @returns {{up: string, down: string}}
+ */
+PgAdapter.prototype.schema = function () {
+  var self = this;
+
+  function column(table, field) {
+    return self.name(table, field);
+  }
+
+  var accounts = column.bind(null, 'accounts'),
+      transactions = column.bind(null, 'transactions'),
+      pending = column.bind(null, 'pending'),
+      deliveries = column.bind(null, 'deliveries');
+
+  var up = [
+    'BEGIN;',
+    '',
+    'CREATE TYPE ' + quote(this.types.accountStatus) +
+      ' AS ENUM (\'active\', \'suspended\', \'deleted\');',
+    '',
+    'CREATE TABLE ' + this.name('accounts') + ' (',
+    '  ' + accounts('id') + ' serial PRIMARY KEY,',
+    '  ' + accounts('requisite') + ' varchar(32) NOT NULL,',
+    '  ' + accounts('name') + ' varchar(255) NOT NULL,',
+    '  ' + accounts('status') + ' ' + quote(this.types.accountStatus) +
+      ' NOT NULL DEFAULT \'active\',',
+    '  ' + accounts('balance') + ' numeric(12,2) DEFAULT 0.00 CHECK (' +
+      accounts('balance') + ' >= 0.00),',
+    '  ' + accounts('created') + ' timestamp DEFAULT NOW()',
+    ');',
+    '',
+    'CREATE UNIQUE INDEX ' + quote(this.tables.accounts + '_requisite_idx') +
+      ' ON ' + this.name('accounts') + ' (' + accounts('requisite') + ');',
+    '',
+    'CREATE TYPE ' + quote(this.types.transactionStatus) + ' AS ENUM ' +
+      '(\'initialized\', \'pending\', \'processing\', \'success\', \'failure\', \'cancelled\');',
+    '',
+    'CREATE TABLE ' + this.name('transactions') + ' (',
+    '  ' + transactions('internalId') + ' bigserial PRIMARY KEY,',
+    '  ' + transactions('id') + ' varchar(24) NOT NULL,',
+    '  ' + transactions('accountId') + ' integer NOT NULL REFERENCES ' +
+      this.name('accounts') + ' (' + accounts('id') + '),',
+    '  ' + transactions('requisite') + ' varchar(32) NOT NULL,',
+    (this.columns.transactions.originalRequisite ?
+      '  ' + transactions('originalRequisite') + ' varchar(255),' : null),
+    '  ' + transactions('amount') + ' numeric(8,2) NOT NULL CHECK (' +
+      transactions('amount') + ' > 0.00),',
+    '  ' + transactions('status') + ' ' + quote(this.types.transactionStatus) +
+      ' NOT NULL DEFAULT \'initialized\',',
+    '  ' + transactions('message') + ' varchar(255),',
+    (this.columns.transactions.service ?
+      '  ' + transactions('service') + ' varchar(255),' : null),
+    '  ' + transactions('initialized') + ' timestamp NOT NULL DEFAULT NOW(),',
+    '  ' + transactions('completed') + ' timestamp,',
+    '  ' + transactions('cancelled') + ' timestamp',
+    ');',
+    '',
+    'CREATE UNIQUE INDEX ' + quote(this.tables.transactions + '_external_id_idx') +
+      ' ON ' + this.name('transactions') + ' (' + transactions('id') + ');',
+    '',
+    'CREATE INDEX ' + quote(this.tables.transactions + '_completed_idx') +
+      ' ON ' + this.name('transactions') + ' (' + transactions('completed') + ');',
+    '',
+    'CREATE TABLE ' + this.name('pending') + ' (',
+    '  ' + pending('id') + ' varchar(24) PRIMARY KEY,',
+    '  ' + pending('method') + ' varchar(16) NOT NULL,',
+    '  ' + pending('accepted') + ' timestamp NOT NULL,',
+    '  ' + pending('deadline') + ' timestamp NOT NULL,',
+    '  ' + pending('attempts') + ' integer NOT NULL DEFAULT 0,',
+    '  ' + pending('next') + ' timestamp NOT NULL',
+    ');',
+    '',
+    'CREATE TABLE ' + this.name('deliveries') + ' (',
+    '  ' + deliveries('id') + ' varchar(24) PRIMARY KEY,',
+    '  ' + deliveries('url') + ' varchar(2048) NOT NULL,',
+    '  ' + deliveries('body') + ' text NOT NULL,',
+    '  ' + deliveries('status') + ' varchar(16) NOT NULL,',
+    '  ' + deliveries('attempts') + ' integer NOT NULL DEFAULT 0,',
+    '  ' + deliveries('next') + ' timestamp NOT NULL,',
+    '  ' + deliveries('response') + ' integer,',
+    '  ' + deliveries('error') + ' varchar(255),',
+    '  ' + deliveries('created') + ' timestamp NOT NULL DEFAULT NOW(),',
+    '  ' + deliveries('delivered') + ' timestamp',
+    ');',
+    '',
+    'CREATE INDEX ' + quote(this.tables.deliveries + '_status_idx') +
+      ' ON ' + this.name('deliveries') + ' (' + deliveries('status') + ');',
+    '',
+    'COMMIT;'
+  ];
+
+  var down = [
+    'DROP TABLE IF EXISTS ' + this.name('deliveries') + ';',
+    'DROP TABLE IF EXISTS ' + this.name('pending') + ';',
+    'DROP TABLE IF EXISTS ' + this.name('transactions') + ';',
+    'DROP TYPE IF EXISTS ' + quote(this.types.transactionStatus) + ';',
+    'DROP TABLE IF EXISTS ' + this.name('accounts') + ';',
+    'DROP TYPE IF EXISTS ' + quote(this.types.accountStatus) + ';'
+  ];
+
+  return {
+    up: up.filter(function (line) { return line !== null; }).join('\n'),
+    down: down.join('\n')
+  };
+};
+
+/**
+ * Create the database schema.
+ * @param {function(err:Error?)} callback
+ */
+PgAdapter.prototype.migrate = function (callback) {
+  this.query(this.schema().up, [], callback);
+};
+
+/**
+ * Drop the database schema.
+ * @param {function(err:Error?)} callback
+ */
+PgAdapter.prototype.rollback = function (callback) {
+  this.query(this.schema().down, [], callback);
+};
+
+/**
+ * Close all the pooled connections.
+ * @param {function(err:Error?)} [callback]
+ */
+PgAdapter.prototype.end = function (callback) {
+  this.pool.end(callback);
+};
+
+PgAdapter.TABLES = TABLES;
+PgAdapter.TYPES = TYPES;
+PgAdapter.COLUMNS = COLUMNS;
+
+module.exports = PgAdapter;
@@ -0,0 +1,228 @@
+/**
+ * Rate and concurrency limits of the API requests.
+ */
+
+'use strict';
+
+var _ = require('lodash');
+
+var STATUS = require('./status-map');
+var errors = require('./errors');
+var Metrics = require('./metrics');
+
+/** @const {Object} default limiter options */
+var DEFAULTS = {
+  capacity: 60, // requests per client and route burst
+  rate: 10, // requests per second (per client and route)
+  maxConcurrent: Infinity // in-flight implementation calls
+};
+
+/** @const {string[]} limited routes (the ones calling the implementation methods) */
+var ROUTES = ['validate', 'process', 'get', 'cancel', 'list'];
+
+/** @const {number} interval to prune the full buckets at (ms) */
+var PRUNE_INTERVAL = 60000;
+
+/**
+ * In-memory token buckets store (the reference implementation).
+ * Keeps the buckets within a single process (the full ones are pruned),
+ * so consider a shared store for multi-process deployments.
+ *
+ * Every store implements the asynchronous `take(key, limit, callback)` method that atomically
+ * takes a token from the `key` bucket of the `limit` (`{ capacity, rate }`) calling back with
+ * `{ allowed, remaining, retryAfter }`, where `retryAfter` is the time till the next token (ms).
+ *
+ * @constructor
+ */
+function MemoryStore() {
+  this.buckets = Object.create(null); // `{ tokens, updated, limit }` by keys
+  this.pruned = Date.now();
+}
+
+/**
+ * Take a token from the bucket.
+ * @param {string} key – bucket key
+ * @param {Object} limit – `{ capacity, rate }`
+ * @param {function(err:Error, result:Object?)} callback – calls back with
+ *                                                         `{ allowed, remaining, retryAfter }`
+ */
+MemoryStore.prototype.take = function (key, limit, callback) {
+  var now = Date.now();
+
+  if (now - this.pruned >= PRUNE_INTERVAL) {
+    this.prune(now);
+  }
+
+  var bucket = this.buckets[key] || { tokens: limit.capacity, updated: now },
+      tokens = Math.min(limit.capacity, bucket.tokens + (now - bucket.updated) / 1000 * limit.rate),
+      allowed = tokens >= 1;
+
+  this.buckets[key] = bucket = {
+    tokens: allowed ? tokens - 1 : tokens,
+    updated: now,
+    limit: limit
+  };
+
+  var result = {
+    allowed: allowed,
+    remaining: Math.floor(bucket.tokens),
+    retryAfter: allowed ? 0 : Math.ceil((1 - tokens) / limit.rate * 1000)
+  };
+
+  process.nextTick(function () {
+    callback(null, result);
+  });
+};
+
+/**
+ * Remove the buckets that are full by now (the same as the missing ones).
+ * @param {number} now – timestamp
+ */
+MemoryStore.prototype.prune = function (now) {
+  _.forEach(this.buckets, function (bucket, key) {
+    var limit = bucket.limit;
+
+    if (bucket.tokens + (now - bucket.updated) / 1000 * limit.rate >= limit.capacity) {
+      delete this.buckets[key];
+    }
+  }, this);
+
+  this.pruned = now;
+};
+
+/**
+ * Validate the token bucket limit.
+ * @param {Object} limit – `{ capacity, rate }`
+ * @param {string} route
+ * @throws {Error} if the capacity or the rate is not a positive number
+ */
+function checkLimit(limit, route) {
+  var valid = _.every(['capacity', 'rate'], function (key) {
+    return typeof limit[key] === 'number' && limit[key] > 0;
+  });
+
+  if (!valid) {
+    throw new Error('rate limit `capacity` and `rate` of route `' + route +
+      '` must be positive numbers');
+  }
+}
+
+/**
+ * Limiter of the requests to the implementation routes (`validate`, `process`, `get`, `cancel`
+ * and `list`) responding [429 "Too Many Requests"] along with the `Retry-After` header (seconds):
+ *  * by a token bucket per client address (see `req.ip`) and route, `RATE_LIMIT_EXCEEDED`;
+ *  * by the number of the requests being handled (the in-flight implementation calls),
+ *    `CONCURRENCY_LIMIT_EXCEEDED`.
+ *
+ * The requests are let through if the store fails (emitting the receiver `error` event,
+ * if listened, with the `info.method` of `rateLimit`).
+ *
+ * @constructor
+ * @param {PaymentReceiver} receiver
+ * @param {Object} [options]
+ * @param {number} [options.capacity=60] – maximum burst of the requests per client and route
+ * @param {number} [options.rate=10] – requests per second per client and route
+ * @param {Object.<string, (Object|boolean)>} [options.routes] – `{ capacity, rate }` by the routes
+ *        overriding the common ones (`false` to not limit the route rate)
+ * @param {number} [options.maxConcurrent=Infinity] – maximum number of the requests being handled
+ * @param {Object} [options.store] – token buckets store (`MemoryStore` by default)
+ * @throws {Error} if the limits are malformed
+ */
+function RateLimiter(receiver, options) {
+  options = _.assign({}, DEFAULTS, options);
+
+  this.receiver = receiver;
+  this.store = options.store || new MemoryStore();
+  this.maxConcurrent = options.maxConcurrent;
+  this.concurrent = 0;
+
+  var common = _.pick(options, 'capacity', 'rate');
+
+  this.limits = _.zipObject(ROUTES, ROUTES.map(function (route) {
+    var limit = options.routes && options.routes[route];
+
+    if (limit === false) {
+      return null;
+    }
+
+    limit = _.assign({}, common, limit);
+    checkLimit(limit, route);
+
+    return limit;
+  }));
+
+  if (typeof this.maxConcurrent !== 'number' || this.maxConcurrent < 1) {
+    throw new Error('`maxConcurrent` must be a positive number, got `' + this.maxConcurrent + '`');
+  }
+}
+
+/**
+ * Create the middleware limiting the requests (to mount at `/api`).
+ * @returns {function(req:Object, res:Object, next:function)}
+ */
+RateLimiter.prototype.middleware = function () {
+  var self = this,
+      receiver = this.receiver;
+
+  function reject(res, code, message, retryAfter) {
+    res.set('Retry-After', String(Math.max(1, Math.ceil(retryAfter / 1000))));
+
+    errors.send(res, STATUS.TOO_MANY_REQUESTS, { code: code, message: message });
+  }
+
+  return function limitRequest(req, res, next) {
+    var route = Metrics.routeOf(req.method, req.path);
+
+    if (ROUTES.indexOf(route) === -1) {
+      return next();
+    }
+
+    function proceed() {
+      if (self.concurrent >= self.maxConcurrent) {
+        return reject(res, errors.CODES.CONCURRENCY_LIMIT_EXCEEDED,
+          'too many concurrent requests', 1000);
+      }
+
+      self.concurrent++;
+
+      var done = _.once(function () {
+        self.concurrent--;
+      });
+
+      res.on('finish', done);
+      res.on('close', done);
+
+      next();
+    }
+
+    var limit = self.limits[route];
+
+    if (!limit) {
+      return proceed();
+    }
+
+    var key = route + ' ' + req.ip;
+
+    self.store.take(key, limit, function (err, result) {
+      if (err) { // let through rather than reject the payments
+        if (receiver.listeners('error').length) {
+          receiver.emit('error', err, { method: 'rateLimit', params: { key: key } });
+        }
+
+        return proceed();
+      }
+
+      if (!result.allowed) {
+        return reject(res, errors.CODES.RATE_LIMIT_EXCEEDED,
+          'rate limit of route `' + route + '` is exceeded', result.retryAfter);
+      }
+
+      proceed();
+    });
+  };
+};
+
+exports.DEFAULTS = DEFAULTS;
+exports.ROUTES = ROUTES;
+exports.MemoryStore = MemoryStore;
+exports.RateLimiter = RateLimiter;
@@ -0,0 +1,245 @@
+'use strict';
+
+var _ = require('lodash'),
+    async = require('async');
+
+var should = require('should'),
+    sinon = require('sinon'),
+    supertest = require('supertest');
+
+var PaymentReceiver = require('./receiver');
+var rateLimit = require('./rate-limit');
+
+describe('rateLimit', function () {
+  describe('MemoryStore', function () {
+    var store, clock;
+
+    var limit = { capacity: 2, rate: 4 };
+
+    beforeEach(function () {
+      clock = sinon.useFakeTimers(Date.parse('2015-11-24T17:41:26.691Z'));
+      store = new rateLimit.MemoryStore();
+    });
+
+    afterEach(function () {
+      clock.restore();
+    });
+
+    function take(count, callback) {
+      async.timesSeries(count, function (n, next) {
+        store.take('validate 10.1.2.3', limit, next);
+      }, callback);
+    }
+
+    it('takes the tokens up to the capacity', function (done) {
+      take(3, function (err, results) {
+        results.should.eql([
+          { allowed: true, remaining: 1, retryAfter: 0 },
+          { allowed: true, remaining: 0, retryAfter: 0 },
+          { allowed: false, remaining: 0, retryAfter: 250 }
+        ]);
+
+        done(err);
+      });
+    });
+
+    it('refills the tokens at the rate', function (done) {
+      take(2, function (err) {
+        if (err) {
+          return done(err);
+        }
+
+        clock.tick(125); // a half of the token
+
+        take(1, function (err, results) {
+          results[0].should.eql({ allowed: false, remaining: 0, retryAfter: 125 });
+          clock.tick(125);
+
+          take(1, function (err, results) {
+            results[0].should.have.properties({ allowed: true });
+            done(err);
+          });
+        });
+      });
+    });
+
+    it('prunes the full buckets', function (done) {
+      take(1, function (err) {
+        if (err) {
+          return done(err);
+        }
+
+        clock.tick(60000);
+
+        store.take('list 10.1.2.3', limit, function (err) {
+          _.keys(store.buckets).should.eql(['list 10.1.2.3']);
+          done(err);
+        });
+      });
+    });
+  });
+
+  describe('RateLimiter', function () {
+    var receiver, agent, validations;
+
+    // hold the validations if `validations` are collected
+    function createReceiver(options, collect) {
+      validations = collect ? [] : null;
+
+      receiver = new PaymentReceiver({
+        validate: function (params, callback) {
+          if (!validations) {
+            return callback(null, PaymentReceiver.STATUS.OK);
+          }
+
+          validations.push(callback);
+        },
+        get: function (id, callback) {
+          callback(null, PaymentReceiver.STATUS.OK, {
+            id: id, requisite: '996700650835', amount: 12.45, status: 'success'
+          });
+        }
+      }, _.assign({ trustedProxies: ['loopback'] }, options));
+
+      agent = supertest(receiver.server);
+    }
+
+    function validate(address) {
+      return agent.post('/api/validate')
+        .set('X-Forwarded-For', address || '10.1.2.3')
+        .send({ requisite: '996700650835' });
+    }
+
+    function getTransaction(address) {
+      return agent.get('/api/transactions/5648dc5077ba42ee6b13ff6f')
+        .set('X-Forwarded-For', address || '10.1.2.3');
+    }
+
+    it('throws if the limits are malformed', function () {
+      (function () {
+        return new PaymentReceiver({}, { rateLimit: { routes: { list: { rate: 0 } } } });
+      }).should.throw(
+        'rate limit `capacity` and `rate` of route `list` must be positive numbers');
+
+      (function () {
+        return new PaymentReceiver({}, { rateLimit: { maxConcurrent: 0 } });
+      }).should.throw('`maxConcurrent` must be a positive number, got `0`');
+    });
+
+    it('responds [429 "Too Many Requests"] once the rate is exceeded', function (done) {
+      createReceiver({ rateLimit: { capacity: 2, rate: 0.5 } });
+
+      async.series([
+        function (next) {
+          getTransaction().expect(200, next);
+        },
+        function (next) {
+          getTransaction().expect(200, next);
+        },
+        function (next) {
+          getTransaction()
+            .expect(429)
+            .expect('Retry-After', '2')
+            .expect(function (res) {
+              res.body.should.have.properties({
+                code: 'RATE_LIMIT_EXCEEDED',
+                message: 'rate limit of route `get` is exceeded'
+              });
+            })
+            .end(next);
+        },
+        function (next) { // by the client address
+          getTransaction('10.1.2.4').expect(200, next);
+        }
+      ], done);
+    });
+
+    it('limits the routes by their own limits', function (done) {
+      createReceiver({
+        rateLimit: { capacity: 1, rate: 1, routes: { get: { capacity: 3 }, validate: false } }
+      });
+
+      async.series([
+        function (next) {
+          async.times(3, function (n, next) {
+            getTransaction().expect(200, next);
+          }, next);
+        },
+        function (next) {
+          getTransaction().expect(429, next);
+        },
+        function (next) {
+          async.times(3, function (n, next) {
+            validate().expect(200, next);
+          }, next);
+        },
+        function (next) { // the other routes are not limited
+          agent.get('/api/about').set('X-Forwarded-For', '10.1.2.3').expect(200, next);
+        }
+      ], done);
+    });
+
+    it('responds [429 "Too Many Requests"] once the concurrency is exceeded', function (done) {
+      createReceiver({ rateLimit: { maxConcurrent: 2 } }, true);
+
+      var requests = [validate(), validate()];
+
+      async.each(requests, function (request, next) {
+        request.expect(200, next);
+      }, done);
+
+      async.until(function () {
+        return validations.length === 2;
+      }, setImmediate, function () {
+        validate('10.1.2.4')
+          .expect(429)
+          .expect('Retry-After', '1')
+          .expect(function (res) {
+            res.body.should.have.properties({
+              code: 'CONCURRENCY_LIMIT_EXCEEDED',
+              message: 'too many concurrent requests'
+            });
+
+            receiver.limiter.concurrent.should.eql(2);
+
+            validations.forEach(function (callback) {
+              callback(null, 200);
+            });
+          })
+          .end(function (err) {
+            if (err) {
+              done(err);
+            }
+          });
+      });
+    });
+
+    it('lets the requests through if the store fails', function (done) {
+      createReceiver({
+        rateLimit: {
+          store: {
+            take: sinon.stub().yieldsAsync(new Error('connection refused'))
+          }
+        }
+      });
+
+      var errorSpy = sinon.spy();
+
+      receiver.on('error', errorSpy);
+
+      getTransaction().expect(200, function (err) {
+        if (err) {
+          return done(err);
+        }
+
+        errorSpy.calledOnce.should.be.true();
+        errorSpy.firstCall.args[1].should.eql({
+          method: 'rateLimit',
+          params: { key: 'get 10.1.2.3' }
+        });
+
+        done();
+      });
+    });
+  });
+});
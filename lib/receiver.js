@@ -7,12 +7,37 @@
 var EventEmitter = require('events').EventEmitter,
     inherits = require('util').inherits;
 
-var _ = require('lodash');
+var _ = require('lodash'),
+    async = require('async');
 
 var express = require('express');
 var bodyParser = require('body-parser');
 
 var STATUS = require('./status-map');
+var signature = require('./signature');
+var allowlist = require('./allowlist');
+var idempotency = require('./idempotency');
+var TransactionState = require('./transaction-state');
+var listStream = require('./list-stream');
+var invoke = require('./invoke');
+var exportFormat = require('./export');
+var CompletionWorker = require('./completion-worker');
+var Notifier = require('./notifier');
+var money = require('./money');
+var errors = require('./errors');
+var audit = require('./audit');
+var Metrics = require('./metrics');
+var Health = require('./health');
+var rateLimit = require('./rate-limit');
+var services = require('./services');
+var schema = require('./schema');
+var normalize = require('./normalize');
+
+/** @const {number} default maximum of the `limit` query parameter */
+var DEFAULT_MAX_LIST_LIMIT = 1000;
+
+/** @const {number} default time to wait for the in-flight processing on `#close()` (ms) */
+var CLOSE_TIMEOUT = 30000;
 
 /**
  * Send response status code and body if given.
@@ -25,17 +50,104 @@ function respond(res, status, body) {
     return res.sendStatus(status);
   }
 
+  if (typeof body === 'object' && !Buffer.isBuffer(body)) { // emit amounts as `0.00`
+    return res.status(status).type('json').send(money.stringify(body));
+  }
+
   res.status(status).send(body);
 }
 
 /**
  * UMAI Payment Receiver base class to extend.
+ *
+ * Every implementation method either calls back node.js-style with `(err, status, body)`
+ * or returns a promise (is an `async` function) resolving to `{ status, body }`.
+ *
  * @constructor
  * @param {Object.<string, function>} [implementation] – instance implementation methods
+ * @param {Object} [options] – receiver options
+ * @param {Object} [options.signature] – HMAC request signature verification options
+ *                                       (see `signature.middleware()`), disabled by default
+ * @param {string[]} [options.allowlist] – IPv4/IPv6 addresses and CIDR ranges
+ *                                         that are allowed to request the API
+ * @param {(string[]|boolean)} [options.trustedProxies] – proxies to trust `X-Forwarded-For` of
+ *                                                      (see express' "trust proxy" setting)
+ * @param {boolean} [options.publicAbout=false] – skip access checks for `GET "/api/about"`
+ * @param {Object} [options.health] – health and readiness checks options (see `Health`)
+ * @param {boolean} [options.publicHealth=false] – skip access checks
+ *                                               for `GET "/api/health"` and `GET "/api/ready"`
+ * @param {(Object|boolean)} [options.idempotency] – idempotency store to guard transactions
+ *                                                   processing with (`true` for in-memory one)
+ * @param {number} [options.maxListRange] – maximum datetime range to list transactions for (ms)
+ * @param {number} [options.maxListLimit=1000] – maximum page size to list transactions by
+ * @param {Object} [options.export] – CSV/TSV export options (see `export.Formatter`)
+ * @param {(Object|boolean)} [options.completion] – completion worker options to complete
+ *                                                  the accepted transactions with
+ *                                                  (see `CompletionWorker`, `true` for defaults)
+ * @param {Object} [options.webhook] – completion webhook options (see `Notifier`), requires
+ *        the `completion` unless `manual` (notified through `notifier.notify()` only)
+ * @param {Object} [options.amountLimits] – transaction amount `min` and `max` (common ones
+ *                                          and by the `services` identifiers, see `money.limits()`)
+ * @param {Object.<string, Object>} [options.services] – service implementations (objects
+ *        of the implementation methods or receivers) by the identifiers to dispatch to
+ *        by `params.service` instead of the instance ones (see `services.dispatcher()`)
+ * @param {string} [options.defaultService] – identifier of the service to dispatch to
+ *                                            if `params.service` is not given
+ * @param {Object.<string, (string|RegExp|Object|function)>} [options.requisites] – requisite
+ *        validators by the service identifiers (see `schema.requisites()`)
+ * @param {Object.<string, (string|function|Array)>} [options.normalizers] – requisite
+ *        normalizers by the service identifiers (see `normalize.normalizers()`)
+ * @param {(RegExp|string)} [options.idPattern] – transaction id format (see `schema.ID_PATTERN`)
+ * @param {string} [options.basePath='/'] – path to serve the API routes under
+ *                                        (see `#router()`)
+ * @param {string} [options.errorFormat='json'] – format of the error responses: `json`
+ *        (`{ code, message, field, requestId }` envelope) or `text` (plain text message)
+ * @param {boolean} [options.debug=false] – expose the internal error details in the responses
+ * @param {Object} [options.audit] – audit log options (see `audit.Auditor`)
+ * @param {Object} [options.rateLimit] – rate and concurrency limits (see `rateLimit.RateLimiter`)
+ * @param {(Object|boolean)} [options.metrics] – metrics options to serve them at
+ *        `GET "/api/metrics"` with (see `Metrics`, `true` for defaults)
+ * @throws {RangeError} if `options.export.timezone` is unknown
+ * @throws {Error} if `options.amountLimits` are malformed
+ * @throws {Error} if `options.services` are empty or `options.defaultService` is unknown
+ * @throws {Error} if `options.requisites` formats are unknown
+ * @throws {Error} if `options.normalizers` are unknown
+ * @throws {Error} if `options.webhook` is enabled without `options.completion` (unless `manual`)
+ * @throws {Error} if `options.basePath` doesn't start with `/`
+ * @throws {Error} if `options.errorFormat` is unknown
+ * @throws {Error} if `options.audit.sinks` are missing
+ * @throws {TypeError} if `options.metrics.allowlist` addresses are malformed
+ * @throws {Error} if `options.rateLimit` limits are malformed
  */
-function PaymentReceiver(implementation) {
+function PaymentReceiver(implementation, options) {
   if (typeof this === 'undefined') {
-    return new PaymentReceiver(implementation);
+    return new PaymentReceiver(implementation, options);
+  }
+
+  EventEmitter.call(this);
+
+  this.options = options = _.assign({}, options);
+
+  if (options.idempotency === true) {
+    options.idempotency = new idempotency.MemoryStore();
+  }
+
+  if (options.export) { // fail fast on the unknown timezone
+    exportFormat.datetimeFormatter(options.export.timezone || exportFormat.DEFAULTS.timezone);
+  }
+
+  // describe the route parameters (fail fast on the unknown requisite formats), see `#prepare()`
+  this.schemas = schema.routes({
+    idPattern: options.idPattern,
+    maxListLimit: options.maxListLimit || DEFAULT_MAX_LIST_LIMIT
+  });
+  this.checkRequisite = schema.requisites(options.requisites, options.defaultService);
+  this.checkAmountLimits = money.limits(options.amountLimits);
+  this.normalizeRequisite = normalize.normalizers(options.normalizers, options.defaultService);
+
+  if (options.services) { // dispatch to the service implementations
+    implementation = _.assign({}, implementation,
+      services.dispatcher(options.services, options.defaultService));
   }
 
   for (var key in implementation) {
@@ -44,165 +156,527 @@ function PaymentReceiver(implementation) {
     }
   }
 
-  // initialize the express.js app
+  if (options.completion) { // track the accepted transactions (started on `#listen()`)
+    this.completion = new CompletionWorker(this, (options.completion === true) ? {} :
+      options.completion);
+  }
+
+  if (options.webhook) { // notify of the completed transactions (resumed on `#listen()`)
+    if (!options.completion && !options.webhook.manual) { // nothing would be notified of
+      throw new Error('webhook requires `completion` to notify of the completed transactions ' +
+        '(pass `webhook.manual: true` to notify through `receiver.notifier.notify()` only)');
+    }
+
+    this.notifier = new Notifier(this, options.webhook);
+  }
+
+  if (options.audit) { // record the requests and responses
+    this.auditor = new audit.Auditor(this, options.audit);
+  }
+
+  // aggregate the checks registered by the implementation (see `#check()`)
+  this.health = new Health(this, _.assign({ debug: options.debug }, options.health));
+  this.closing = false; // fails the readiness check while shutting down (see `#close()`)
+  this.processing = 0; // number of the in-flight `process|cancel` requests
+
+  if (options.rateLimit) { // limit the requests per client and the in-flight ones
+    this.limiter = new rateLimit.RateLimiter(this, options.rateLimit);
+  }
+
+  if (options.metrics) { // collect the requests and implementation methods metrics
+    this.metrics = new Metrics(this, (options.metrics === true) ? {} : options.metrics);
+  }
+
+  if (options.basePath && options.basePath.charAt(0) !== '/') {
+    throw new Error('`basePath` must start with `/`, got `' + options.basePath + '`');
+  }
+
+  // initialize the routes (the middleware is scoped to them, so that they're mountable)
+  var router = (this.routes = express.Router());
+
+  // initialize the express.js app serving the routes under the base path
   var server = (this.server = express());
 
-  // parse application/json request bodies
-  server.use(bodyParser.json());
+  if (options.trustedProxies) { // resolve client address through `X-Forwarded-For`
+    server.set('trust proxy', options.trustedProxies);
+  }
+
+  server.use(this.router());
 
-  server.get('/api/about', function (req, res) {
+  // identify requests and respond errors in the configured format
+  router.use('/api', errors.middleware({ format: options.errorFormat, debug: options.debug }));
+
+  if (this.metrics) { // count the requests including the rejected ones
+    router.use('/api', this.metrics.middleware());
+  }
+
+  if (this.auditor) { // including the rejected requests
+    router.use(audit.PATHS, this.auditor.middleware());
+  }
+
+  if (this.metrics) { // restricted by its own allowlist
+    router.get('/api/metrics', this.metrics.handlers());
+  }
+
+  function about(req, res) {
     res.json({ version: require('./../package.json').version });
-  });
+  }
+
+  if (options.publicAbout) { // keep accessible for health probes
+    router.get('/api/about', about);
+  }
+
+  var health = this.health;
+
+  function routeHealth() {
+    router.get('/api/health', health.handler(true));
+    router.get('/api/ready', health.handler(false));
+  }
+
+  if (options.publicHealth) { // keep accessible for load balancer probes
+    routeHealth();
+  }
+
+  if (options.allowlist) { // reject requests from unknown addresses
+    router.use('/api', allowlist.middleware(options.allowlist));
+  }
+
+  if (this.limiter) { // respond [429 "Too Many Requests"] before parsing the bodies
+    router.use('/api', this.limiter.middleware());
+  }
+
+  // parse application/json request bodies (keeping the raw one for signature verification)
+  router.use('/api', bodyParser.json({
+    verify: function (req, res, buf) {
+      req.rawBody = buf;
+    }
+  }));
+
+  if (options.signature) { // reject requests that are not signed by UMAI
+    router.use('/api', signature.middleware(options.signature));
+  }
+
+  if (!options.publicAbout) {
+    router.get('/api/about', about);
+  }
+
+  if (!options.publicHealth) {
+    routeHealth();
+  }
 
   var self = this;
 
+  // track the in-flight transactions processing to drain on `#close()`
+  router.use('/api', function trackProcessing(req, res, next) {
+    var processing = (req.method === 'POST' || req.method === 'DELETE') &&
+      /^\/transactions\/[^\/]+\/?$/.test(req.path);
+
+    if (self.closing) { // don't keep the connections alive while shutting down
+      res.set('Connection', 'close');
+
+      if (processing) {
+        return errors.send(res, STATUS.SERVICE_UNAVAILABLE, {
+          code: errors.CODES.SERVICE_UNAVAILABLE,
+          message: 'receiver is shutting down'
+        });
+      }
+    }
+
+    if (!processing) {
+      return next();
+    }
+
+    var done = _.once(function () {
+      self.processing--;
+
+      if (self.closing && !self.processing) {
+        self.emit('drained');
+      }
+    });
+
+    self.processing++;
+
+    res.on('finish', done);
+    res.on('close', done);
+
+    next();
+  });
+
+  /**
+   * Emit the route completion event and respond the resulting status and body.
+   * @param {Object} res – express' response object
+   * @param {string} event – lifecycle event name
+   * @param {Object} info – event info (`params`, `status`, `body` and `started` time)
+   */
+  function complete(res, event, info) {
+    info.duration = Date.now() - info.started;
+    delete info.started;
+
+    self.emit(event, info);
+
+    if (!res.headersSent) { // unless the body has been streamed
+      respond(res, info.status, info.body);
+    }
+  }
+
+  /**
+   * Emit the `error` event (if listened) and respond [500 "Internal Server Error"]
+   * (or another given status) hiding the internal error details unless in the debug mode.
+   * @param {Object} res – express' response object
+   * @param {Error} err – implementation error
+   * @param {Object} info – event info (`method`, `params`, optional `status` and `started` time)
+   */
+  function fail(res, err, info) {
+    info.status = info.status || STATUS.INTERNAL_SERVER_ERROR;
+    info.duration = Date.now() - info.started;
+    delete info.started;
+
+    // an unhandled `error` event throws, so emit it only when listened
+    if (self.listeners('error').length) {
+      self.emit('error', err, info);
+    }
+
+    if (res.headersSent) { // streaming has failed, the response is destroyed already
+      return;
+    }
+
+    errors.send(res, info.status, errors.fromException(err, info.status));
+  }
+
+  /**
+   * Get the transaction through `#get` implementation ensuring its status is valid.
+   * @param {string} id – transaction unique identifier
+   * @param {function(err:Error, status:number?, transaction:Object?)} callback
+   */
+  function retrieve(id, callback) {
+    invoke(self, 'get', id, function (err, status, transaction) {
+      if (!err && status === STATUS.OK) {
+        var state = transaction && transaction.status;
+
+        if (!TransactionState.isValid(state)) {
+          err = new Error('transaction `' + id + '` has an invalid status `' + state + '`');
+        }
+      }
+
+      callback(err, status, transaction);
+    });
+  }
+
+  /**
+   * Prepare the request parameters (see `#prepare()`) responding the failure if any.
+   * @param {Object} res – express' response object
+   * @param {string} route – route name (see `schema.routes()`)
+   * @param {Object} params – request params (or query)
+   * @returns {boolean} whether the params are valid (responded otherwise)
+   */
+  function conform(res, route, params) {
+    var failure = self.prepare(route, params);
+
+    if (failure) {
+      errors.send(res, failure.status, failure.error);
+    }
+
+    return !failure;
+  }
+
   // -- #validate -- //
-  server.post('/api/validate', function (req, res) {
-    var params = _.merge({}, req.body);
+  router.post('/api/validate', function (req, res) {
+    var started = Date.now(),
+        params = _.merge({}, req.body);
 
-    if (!params.requisite) {
-      return res.status(STATUS.BAD_REQUEST)
-        .send('missing parameter `requisite`');
+    if (!conform(res, 'validate', params)) {
+      return;
     }
 
-    self.validate(req.body, function (err, status, body) {
+    invoke(self, 'validate', params, function (err, status, body) {
       if (err) {
-        return res.status(STATUS.INTERNAL_SERVER_ERROR)
-          .send(err.toString());
+        return fail(res, err, { method: 'validate', params: params, started: started });
       }
 
-      respond(res, status, body);
+      complete(res, 'validated', { params: params, status: status, body: body, started: started });
     });
   });
 
   // -- #process -- //
-  server.post('/api/transactions/:id', function (req, res) {
-    var params = _.merge({}, req.body, req.params);
+  router.post('/api/transactions/:id', function (req, res) {
+    var started = Date.now(),
+        params = _.merge({}, req.body, req.params);
 
-    if (!params.amount) {
-      return res.status(STATUS.BAD_REQUEST)
-        .send('missing parameter `amount`');
+    if (!conform(res, 'process', params)) {
+      return;
     }
 
-    if (!params.timestamp) {
-      return res.status(STATUS.BAD_REQUEST)
-        .send('missing parameter `timestamp`');
+    var store = options.idempotency,
+        fingerprint = store && idempotency.fingerprint(params);
+
+    /**
+     * Settle the transaction reserved in the idempotency store:
+     *   commit it if processed (or accepted), otherwise release it,
+     *   so that the transaction can be retried with the same id.
+     * @param {boolean} processed – whether the transaction is processed
+     * @param {function(err:Error?)} callback
+     */
+    function settle(processed, callback) {
+      if (!store) {
+        return callback(null);
+      }
+
+      store[processed ? 'commit' : 'release'](params.id, callback);
     }
 
-    params.timestamp = new Date(params.timestamp);
+    function processTransaction() {
+      // Passing through the validation again, to give
+      //   guaranteed params validity and values normalization.
+      invoke(self, 'validate', params, function (err, status, body) {
+        if (status !== STATUS.OK || err) { // validation failed
+          return settle(false, function (settleErr) {
+            if (err || settleErr) {
+              return fail(res, err || settleErr, {
+                method: (err ? 'validate' : 'release'), params: params, started: started
+              });
+            }
+
+            complete(res, 'processed', {
+              params: params, status: status, body: body, started: started
+            });
+          });
+        }
+
+        invoke(self, 'process', params, function (err, status, body) {
+          var processed = !err && (status === STATUS.OK || status === STATUS.ACCEPTED);
+
+          settle(processed, function (settleErr) {
+            if (err || settleErr) {
+              return fail(res, err || settleErr, {
+                method: (err ? 'process' : (processed ? 'commit' : 'release')),
+                params: params,
+                started: started
+              });
+            }
+
+            if (status === STATUS.OK) {
+              retrieve(params.id, function (err, status, body) {
+                if (err) {
+                  return fail(res, err, { method: 'get', params: params, started: started });
+                }
 
-    if (isNaN(params.timestamp.getTime())) {
-      return res.status(STATUS.UNPROCESSABLE_ENTITY)
-        .send('parameter `timestamp` is not a valid ISO datetime');
+                complete(res, 'processed', {
+                  params: params, status: status, body: body, started: started
+                });
+              });
+            }
+            else if (status === STATUS.ACCEPTED) { // completes asynchronously
+              complete(res, 'accepted', {
+                method: 'process', params: params, status: status, body: body, started: started
+              });
+            }
+            else {
+              complete(res, 'processed', {
+                params: params, status: status, body: body, started: started
+              });
+            }
+          });
+        });
+      });
+    }
+
+    if (!store) {
+      return processTransaction();
     }
 
-    // Passing through the validation again, to give
-    //   guaranteed params validity and values normalization.
-    self.validate(params, function (err, status, body) {
+    store.reserve(params.id, fingerprint, function (err, record) {
       if (err) {
-        return res.status(STATUS.INTERNAL_SERVER_ERROR)
-          .send(err.toString());
+        return fail(res, err, { method: 'reserve', params: params, started: started });
       }
 
-      if (status !== STATUS.OK) { // validation failed
-        return respond(res, status, body);
+      if (!record) { // received for the first time
+        return processTransaction();
       }
 
-      self.process(params, function (err, status, body) {
-        if (err) {
-          return res.status(STATUS.INTERNAL_SERVER_ERROR)
-            .send(err.toString());
-        }
+      if (record.fingerprint !== fingerprint) {
+        return errors.send(res, STATUS.CONFLICT, errors.invalid('id',
+          'transaction `' + params.id + '` has been received with different parameters',
+          errors.CODES.IDEMPOTENCY_CONFLICT));
+      }
 
-        if (status === STATUS.OK) {
-          self.get(params.id, function (err, status, body) {
-            if (err) {
-              return res.status(STATUS.INTERNAL_SERVER_ERROR)
-                .send(err.toString());
-            }
+      if (record.state === 'pending') { // the same transaction is still being processed
+        return res.sendStatus(STATUS.ACCEPTED);
+      }
 
-            respond(res, status, body);
-          });
-        }
-        else {
-          respond(res, status, body);
+      // already processed, respond the transaction as is
+      retrieve(params.id, function (err, status, body) {
+        if (err) {
+          return fail(res, err, { method: 'get', params: params, started: started });
         }
+
+        complete(res, 'processed', {
+          params: params, status: status, body: body, started: started, replayed: true
+        });
       });
     });
   });
 
   // -- #get -- //
-  server.get('/api/transactions/:id', function (req, res) {
-    self.get(req.params.id, function (err, status, transaction) {
+  router.get('/api/transactions/:id', function (req, res) {
+    var started = Date.now(),
+        params = { id: req.params.id };
+
+    if (!conform(res, 'get', params)) {
+      return;
+    }
+
+    retrieve(params.id, function (err, status, transaction) {
       if (err) {
-        return res.status(STATUS.INTERNAL_SERVER_ERROR)
-          .send(err.toString());
+        return fail(res, err, { method: 'get', params: params, started: started });
       }
 
-      res.status(status).send(transaction);
+      complete(res, 'retrieved', {
+        params: params, status: status, body: transaction, started: started
+      });
     });
   });
 
   // -- #cancel -- //
-  server.delete('/api/transactions/:id', function (req, res) {
-    var id = req.params.id;
+  router.delete('/api/transactions/:id', function (req, res) {
+    var started = Date.now(),
+        params = { id: req.params.id };
+
+    if (!conform(res, 'cancel', params)) {
+      return;
+    }
 
-    self.cancel(id, function (err, status, body) {
+    // ensure the transaction exists and can be cancelled
+    retrieve(params.id, function (err, status, transaction) {
       if (err) {
-        return res.status(STATUS.INTERNAL_SERVER_ERROR)
-          .send(err.toString());
+        return fail(res, err, { method: 'get', params: params, started: started });
       }
 
-      if (status === STATUS.OK) {
-        self.get(id, function (err, status, body) {
-          if (err) {
-            return res.status(STATUS.INTERNAL_SERVER_ERROR)
-              .send(err.toString());
-          }
-
-          res.status(status).send(body);
+      if (status !== STATUS.OK || transaction.status === TransactionState.STATUS.CANCELLED) {
+        // respond the transaction as is if it doesn't exist or is already cancelled
+        return complete(res, 'cancelled', {
+          params: params, status: status, body: transaction, started: started
         });
       }
-      else {
-        respond(res, status, body);
+
+      if (!TransactionState.isCancellable(transaction.status)) {
+        return fail(res, new TransactionState.TransitionError(
+          transaction.status, TransactionState.STATUS.CANCELLED, params.id
+        ), { method: 'cancel', params: params, status: STATUS.CONFLICT, started: started });
       }
+
+      var previous = transaction.status;
+
+      invoke(self, 'cancel', params.id, function (err, status, body) {
+        if (err) {
+          return fail(res, err, { method: 'cancel', params: params, started: started });
+        }
+
+        if (status === STATUS.OK) {
+          retrieve(params.id, function (err, status, body) {
+            if (!err && status === STATUS.OK &&
+                !TransactionState.canTransition(previous, body.status)) {
+              err = new TransactionState.TransitionError(previous, body.status, params.id);
+            }
+
+            if (err) {
+              return fail(res, err, { method: 'get', params: params, started: started });
+            }
+
+            complete(res, 'cancelled', {
+              params: params, status: status, body: body, started: started
+            });
+          });
+        }
+        else if (status === STATUS.ACCEPTED) { // completes asynchronously
+          complete(res, 'accepted', {
+            method: 'cancel', params: params, status: status, body: body, started: started
+          });
+        }
+        else {
+          complete(res, 'cancelled', {
+            params: params, status: status, body: body, started: started
+          });
+        }
+      });
     });
   });
 
   // -- #list -- //
-  server.get('/api/transactions', function (req, res) {
-    var query = _.merge({}, req.query);
+  router.get('/api/transactions', function (req, res) {
+    var started = Date.now(),
+        query = _.merge({}, req.query);
 
-    if (!query.begin) {
-      return res.status(STATUS.BAD_REQUEST)
-        .send('missing query parameter `begin`');
+    if (!conform(res, 'list', query)) {
+      return;
     }
 
     query.begin = new Date(query.begin);
 
-    if (isNaN(query.begin.getTime())) {
-      return res.status(STATUS.UNPROCESSABLE_ENTITY)
-        .send('query parameter `begin` is not a valid ISO datetime');
-    }
-
     if (query.end) {
       query.end = new Date(query.end);
 
-      if (isNaN(query.end.getTime())) {
-        return res.status(STATUS.UNPROCESSABLE_ENTITY)
-          .send('query parameter `end` is not a valid ISO datetime');
+      if (query.end < query.begin) {
+        return errors.send(res, STATUS.UNPROCESSABLE_ENTITY,
+          errors.invalid('end', 'query parameter `end` must not be earlier than `begin`'));
       }
     }
 
-    self.list(query, function (err, status, list) {
+    // the range till latest is limited as well
+    if (options.maxListRange && (query.end || started) - query.begin > options.maxListRange) {
+      return errors.send(res, STATUS.UNPROCESSABLE_ENTITY, errors.invalid(null,
+        'datetime range must not exceed ' + options.maxListRange + 'ms',
+        errors.CODES.RANGE_TOO_LARGE));
+    }
+
+    invoke(self, 'list', query, function (err, status, list) {
       if (err) {
-        return res.status(STATUS.INTERNAL_SERVER_ERROR)
-          .send(err.toString());
+        return fail(res, err, { method: 'list', params: query, started: started });
+      }
+
+      var type = req.accepts(_.keys(listStream.FORMATS)) || 'application/json',
+          format = listStream.FORMATS[type],
+          items = list;
+
+      if (format !== 'json' && list && list.items) { // the page envelope
+        items = list.items;
+
+        if (list.next) {
+          res.set('X-Next-Cursor', list.next);
+        }
+      }
+
+      if (status !== STATUS.OK ||
+          !(listStream.isStream(items) || (format !== 'json' && _.isArray(items)))) {
+        return complete(res, 'listed', {
+          params: query, status: status, body: list, started: started
+        });
+      }
+
+      if (format === 'csv' || format === 'tsv') { // export for spreadsheets
+        res.attachment('transactions.' + format);
       }
 
-      res.status(status).send(list);
+      res.status(status)
+        .type(type + '; charset=utf-8');
+
+      var serializer = new listStream.Serializer(format, options.export);
+
+      listStream.send(res, items, serializer, function (err, count) {
+        if (err) {
+          return fail(res, err, { method: 'list', params: query, started: started });
+        }
+
+        complete(res, 'listed', {
+          params: query, status: status, body: list, count: count, started: started
+        });
+      });
     });
   });
+
+  // respond the unknown routes and the errors passed by the middleware (the malformed bodies,
+  // the thrown exceptions, etc.) the same way as the others instead of express' HTML pages
+  router.use('/api', errors.notFound);
+  router.use('/api', errors.handler());
 }
 
 inherits(PaymentReceiver, EventEmitter);
@@ -210,11 +684,38 @@ inherits(PaymentReceiver, EventEmitter);
 /** @const {Object.<string, number>} */
 PaymentReceiver.STATUS = STATUS;
 
+/** @const {Object} transaction state machine (statuses and transitions) */
+PaymentReceiver.TransactionState = TransactionState;
+
+/** @type {function} in-memory idempotency store constructor */
+PaymentReceiver.MemoryIdempotencyStore = idempotency.MemoryStore;
+PaymentReceiver.CompletionWorker = CompletionWorker;
+PaymentReceiver.Notifier = Notifier;
+PaymentReceiver.Metrics = Metrics;
+PaymentReceiver.Health = Health;
+
+/** @const {Object} error responses (see `errors.CODES`) */
+PaymentReceiver.errors = errors;
+
+/** @const {Object} audit log (auditor and sinks) */
+PaymentReceiver.audit = audit;
+
+/** @const {Object} request schemas and requisite validators */
+PaymentReceiver.schema = schema;
+
+/** @const {Object} requisite normalizers */
+PaymentReceiver.normalize = normalize;
+
+/** @const {Object} rate limits (limiter and stores) */
+PaymentReceiver.rateLimit = rateLimit;
+
 /**
  * Validate payment requisites (identify account by a given requisite).
  * @abstract
  * @param {Object} params – parameters that are sent by UMAI's server
  * @param {string} params.requisite – user entered requisite (phone number/account id/email/etc.)
+ *                                    normalized by `options.normalizers`
+ * @param {string} params.originalRequisite – user entered requisite as is
  * @param {string} [params.service] – service identifier (for processing or complex systems)
  * @param {function(err:Error, status:number?, message:string?)} callback
  */
@@ -228,6 +729,8 @@ PaymentReceiver.prototype.validate = function (params, callback) {
  * @param {Object} params – transaction parameters that are sent by UMAI's server
  * @param {string} params.id – transaction unique identifier
  * @param {string} params.requisite – user entered requisite (phone number/account id/email/etc.)
+ *                                    normalized by `options.normalizers`
+ * @param {string} params.originalRequisite – user entered requisite as is
  * @param {number} params.amount – transaction amount,
  *                              the floating point number in the format of `0.00`
  * @param {Date} params.timestamp – transaction initialization datetime
@@ -260,21 +763,301 @@ PaymentReceiver.prototype.cancel = function (id, callback) {
 
 /**
  * List transactions for a given datetime range.
+ * Calls back with either a plain array of transactions, a readable object stream of them
+ * (for large lists, that are streamed out without buffering), or a page of them
+ * in the `{ items, next }` envelope where `next` is the cursor of the next page (if any).
  * @abstract
  * @param {Object} params – parameters that are sent by UMAI's server
  * @param {Date} params.begin – datetime to start search from
  * @param {Date} params.end – datetime to search till
- * @param {function(err:Error, status:number?, result:Object[]?)} callback
+ * @param {number} [params.limit] – maximum number of transactions to list (page size)
+ * @param {string} [params.cursor] – opaque cursor of the page to list (responded as `next`)
+ * @param {string} [params.status] – transaction status to filter by
+ * @param {string} [params.requisite] – requisite to filter by
+ * @param {string} [params.service] – service identifier to filter by
+ * @param {string} [params.order] – order by the completion datetime (`asc|desc`)
+ * @param {function(err:Error, status:number?, result:(Object[]|stream.Readable|Object)?)} callback
  */
 PaymentReceiver.prototype.list = function (params, callback) {
   callback(null, STATUS.NOT_IMPLEMENTED);
 };
 
 /**
- * Delegate of `express.listen()`.
+ * Complete the accepted transaction (called by the completion worker until it's completed).
+ * Calls back with `STATUS.OK` once the transaction is completed (has one of the completion
+ * statuses), or with `STATUS.ACCEPTED` if it still needs more time.
+ * @abstract
+ * @param {string} id – transaction unique identifier
+ * @param {function(err:Error, status:number?)} callback
+ */
+PaymentReceiver.prototype.complete = function (id, callback) {
+  callback(null, STATUS.NOT_IMPLEMENTED);
+};
+
+/**
+ * Mark the accepted transaction `failure` (called by the completion worker after the deadline).
+ * @abstract
+ * @param {string} id – transaction unique identifier
+ * @param {function(err:Error, status:number?)} callback
+ */
+PaymentReceiver.prototype.fail = function (id, callback) {
+  callback(null, STATUS.NOT_IMPLEMENTED);
+};
+
+/**
+ * Prepare the request parameters for the implementation, the same way for the API routes
+ * and the reconciliation repairs (see `reconciliation.reconcile()`): normalize the requisite
+ * (keeping the given one as `originalRequisite`), validate them against the route schema
+ * (and the requisite validators), then parse the `amount` exactly assigning it along with
+ * the `minorAmount` and check its limits.
+ * @param {string} route – route name (see `schema.routes()`)
+ * @param {Object} params – request params (or the list query, the numeric `limit` is coerced),
+ *        prepared in place
+ * @returns {Object?} failure `{ status, error }` to respond (see `errors.send()`): either
+ *                    [400 "Bad Request"] if any required parameter is missing,
+ *                    or [422 "Unprocessable Entity"] if any is invalid; `null` if ready
+ */
+PaymentReceiver.prototype.prepare = function (route, params) {
+  var query = (route === 'list'),
+      transaction = (route === 'validate' || route === 'process');
+
+  if (transaction) { // the one sent by the client is overridden
+    params.originalRequisite = params.requisite;
+  }
+
+  if (_.has(params, 'requisite')) { // the list is filtered by the normalized one as well
+    params.requisite = this.normalizeRequisite(params);
+  }
+
+  if (query && typeof params.limit === 'string' && /^\d+$/.test(params.limit)) {
+    params.limit = Number(params.limit);
+  }
+
+  var invalid = schema.validate(this.schemas[route], params, { query: query }) ||
+        (transaction ? this.checkRequisite(params) : null);
+
+  if (invalid && invalid.keyword === 'required') {
+    return { status: STATUS.BAD_REQUEST, error: errors.missing(invalid.field, query) };
+  }
+
+  if (invalid) {
+    return {
+      status: STATUS.UNPROCESSABLE_ENTITY,
+      error: errors.invalid(invalid.field, invalid.message)
+    };
+  }
+
+  if (transaction && _.has(params, 'amount')) { // the number of minor units is exact
+    var minor = money.toMinor(params.amount),
+        violation = this.checkAmountLimits(minor, params.service);
+
+    if (violation) {
+      return {
+        status: STATUS.UNPROCESSABLE_ENTITY,
+        error: errors.invalid('amount', 'parameter `amount` ' + violation,
+          errors.CODES.AMOUNT_OUT_OF_LIMITS)
+      };
+    }
+
+    params.amount = Number(money.fromMinor(minor));
+    params.minorAmount = minor;
+  }
+
+  if (route === 'process') {
+    params.timestamp = new Date(params.timestamp);
+  }
+
+  return null;
+};
+
+/**
+ * Register the named check of a dependency (a database, etc.) to report by `GET "/api/ready"`
+ * (and by `GET "/api/health"` if it's the `liveness` one), see `Health`.
+ * @param {string} name
+ * @param {function(callback:function)} check – calls back with an error (or rejects) if failed
+ * @param {Object} [options]
+ * @param {boolean} [options.liveness=false] – report by `GET "/api/health"` as well
+ * @returns {PaymentReceiver} this
+ * @throws {TypeError} if the check is not a function
+ */
+PaymentReceiver.prototype.check = function (name, check, options) {
+  this.health.register(name, check, options);
+  return this;
+};
+
+/**
+ * Create an express.js router serving the API routes under the base path,
+ * to mount into an existing express.js app (along with its own routes and middleware).
+ * The middleware of the receiver (allowlist, body parsing and signature verification)
+ * applies to the API routes only. The "trust proxy" setting is the one of the app it's mounted to.
+ * @param {string} [basePath=options.basePath] – path to serve the API routes under
+ * @returns {function} express.js router
+ */
+PaymentReceiver.prototype.router = function (basePath) {
+  return express.Router()
+    .use(basePath || this.options.basePath || '/', this.routes);
+};
+
+/**
+ * Delegate of `express.listen()`
+ * (starts the completion worker and the webhook notifier, if enabled, as well).
+ * @returns {http.Server} the listening server (kept as `httpServer` to close on `#close()`)
  */
 PaymentReceiver.prototype.listen = function () {
-  this.server.listen.apply(this.server, arguments);
+  if (this.completion) {
+    this.completion.start();
+  }
+
+  if (this.notifier) {
+    this.notifier.start();
+  }
+
+  var httpServer = (this.httpServer = this.server.listen.apply(this.server, arguments));
+
+  if (typeof httpServer.closeAllConnections !== 'function') { // node.js < 18.2
+    var sockets = (this.sockets = []); // to close after the `#close()` timeout
+
+    httpServer.on('connection', function (socket) {
+      sockets.push(socket);
+
+      socket.once('close', function () {
+        sockets.splice(sockets.indexOf(socket), 1);
+      });
+    });
+  }
+
+  return httpServer;
+};
+
+/**
+ * Shut down gracefully: fail the readiness check and reject the new `process|cancel` requests
+ * with [503 "Service Unavailable"], stop accepting connections (if listening), wait for
+ * the in-flight `process|cancel` requests to be responded (closing the remaining connections
+ * after the timeout), then stop the completion worker and the webhook notifier (if enabled).
+ * Emits `closing` once started, `drained` once the in-flight requests are responded,
+ * and `closed` once closed (with the `info` object containing the `duration` in milliseconds,
+ * the number of the `processing` requests that haven't been responded and the `timedOut` flag).
+ * Repeated calls wait for the same closing.
+ * @param {Object} [options]
+ * @param {number} [options.timeout=30000] – time to wait for the in-flight requests for (ms)
+ * @param {function(err:Error?, info:Object?)} [callback]
+ */
+PaymentReceiver.prototype.close = function (options, callback) {
+  if (typeof options === 'function') {
+    callback = options;
+    options = null;
+  }
+
+  options = _.assign({ timeout: CLOSE_TIMEOUT }, options);
+  callback = callback || _.noop;
+
+  if (this.closing) {
+    return this.once('closed', function (info) {
+      callback(null, info);
+    });
+  }
+
+  var self = this,
+      started = Date.now(),
+      httpServer = this.httpServer,
+      timedOut = false;
+
+  this.closing = true;
+  this.emit('closing', { processing: this.processing });
+
+  async.parallel([
+    function (next) { // stop accepting connections
+      if (!httpServer || !httpServer.listening) {
+        return next();
+      }
+
+      httpServer.close(next);
+
+      if (httpServer.closeIdleConnections) { // don't wait for the idle keep-alive ones
+        httpServer.closeIdleConnections();
+      }
+    },
+    function (next) { // drain the in-flight processing
+      if (!self.processing) {
+        return next();
+      }
+
+      var timer = setTimeout(function () {
+        timedOut = true;
+        self.removeListener('drained', drained);
+
+        if (httpServer && httpServer.closeAllConnections) {
+          httpServer.closeAllConnections();
+        }
+        else if (self.sockets) {
+          self.sockets.slice().forEach(function (socket) {
+            socket.destroy();
+          });
+        }
+
+        next();
+      }, options.timeout);
+
+      function drained() {
+        clearTimeout(timer);
+        next();
+      }
+
+      self.once('drained', drained);
+    }
+  ], function (err) {
+    if (self.completion) {
+      self.completion.stop();
+    }
+
+    if (self.notifier) {
+      self.notifier.stop();
+    }
+
+    var info = { duration: Date.now() - started, processing: self.processing, timedOut: timedOut };
+
+    self.emit('closed', info);
+    callback(err || null, info);
+  });
+};
+
+/**
+ * Close the receiver on the termination signals (see `#close()`) and exit the process then
+ * (with the code `1` if the in-flight requests haven't been drained, `0` otherwise).
+ * The listeners are removed once a signal is received, so that a repeated one terminates
+ * the process immediately.
+ * @param {Object} [options]
+ * @param {string[]} [options.signals=['SIGTERM', 'SIGINT']]
+ * @param {number} [options.timeout] – see `#close()`
+ * @param {boolean} [options.exit=true] – exit the process once closed
+ * @returns {function} to remove the signal listeners
+ */
+PaymentReceiver.prototype.closeOnSignals = function (options) {
+  options = _.assign({ signals: ['SIGTERM', 'SIGINT'], exit: true }, options);
+
+  var self = this;
+
+  function remove() {
+    options.signals.forEach(function (signal) {
+      process.removeListener(signal, onSignal);
+    });
+  }
+
+  function onSignal() {
+    remove();
+
+    self.close(_.pick(options, 'timeout'), function (err, info) {
+      if (options.exit) {
+        process.exit((err || info.timedOut) ? 1 : 0);
+      }
+    });
+  }
+
+  options.signals.forEach(function (signal) {
+    process.on(signal, onSignal);
+  });
+
+  return remove;
 };
 
 module.exports = PaymentReceiver;
@@ -1,14 +1,28 @@
 'use strict';
 
-var inherits = require('util').inherits;
+var Readable = require('stream').Readable,
+    inherits = require('util').inherits;
+
+var _ = require('lodash'),
+    async = require('async'),
+    express = require('express');
 
 var should = require('should'),
     sinon = require('sinon'),
     supertest = require('supertest');
 
 var PaymentReceiver = require('./receiver');
+var signature = require('./signature');
 
 describe('PaymentReceiverAPI', function () {
+  // assert the error response envelope
+  function errorBody(code, message, field) {
+    return function (res) {
+      res.body.should.have.properties({ code: code, message: message, field: field || null });
+      res.body.requestId.should.be.a.String();
+    };
+  }
+
   describe('constructor', function () {
     it('supports node.js-styled inheritance', function () {
       function TestReceiver () {
@@ -48,6 +62,292 @@ describe('PaymentReceiverAPI', function () {
         throw new Error('expected `receiver#validate` to have been called');
       }
     });
+
+    it('throws if the base path is relative', function () {
+      (function () {
+        return new PaymentReceiver({}, { basePath: 'umai' });
+      }).should.throw('`basePath` must start with `/`, got `umai`');
+    });
+
+    it('throws if the webhook is enabled without the completion worker', function () {
+      (function () {
+        return new PaymentReceiver({}, { webhook: { url: 'http://127.0.0.1:1/umai' } });
+      }).should.throw(/^webhook requires `completion`/);
+
+      new PaymentReceiver({}, { webhook: { url: 'http://127.0.0.1:1/umai', manual: true } })
+        .should.have.property('notifier');
+    });
+  });
+
+  describe('#router()', function () {
+    var app, receiver;
+
+    beforeEach(function () {
+      receiver = new PaymentReceiver({
+        validate: function (params, callback) {
+          callback(null, PaymentReceiver.STATUS.OK, 'Jon Snow');
+        }
+      }, { allowlist: ['10.0.0.0/8'] });
+
+      app = express();
+      app.set('trust proxy', true);
+      app.get('/status', function (req, res) {
+        res.send('OK');
+      });
+    });
+
+    function validate(agent, path) {
+      return agent.post(path)
+        .set('X-Forwarded-For', '10.1.2.3')
+        .send({ requisite: '996700650835' });
+    }
+
+    it('mounts the routes under a given base path', function (done) {
+      app.use(receiver.router('/umai'));
+
+      var agent = supertest(app);
+
+      async.series([
+        function (next) {
+          validate(agent, '/umai/api/validate').expect(200, 'Jon Snow', next);
+        },
+        function (next) {
+          validate(agent, '/api/validate').expect(404, next);
+        }
+      ], done);
+    });
+
+    it('mounts the routes under the `basePath` option', function (done) {
+      receiver = new PaymentReceiver({}, { basePath: '/umai' });
+
+      async.series([
+        function (next) {
+          supertest(receiver.server).get('/umai/api/about').expect(200, next);
+        },
+        function (next) {
+          supertest(receiver.server).get('/api/about').expect(404, next);
+        }
+      ], done);
+    });
+
+    it('coexists with the other routes of the app', function (done) {
+      app.use(receiver.router());
+      app.use(function (req, res) {
+        res.status(418).end();
+      });
+
+      var agent = supertest(app);
+
+      async.series([
+        function (next) { // the allowlist is applied to the API routes only
+          agent.get('/status').set('X-Forwarded-For', '192.168.1.1').expect(200, 'OK', next);
+        },
+        function (next) {
+          validate(agent, '/api/validate').expect(200, next);
+        },
+        function (next) {
+          agent.post('/api/validate').set('X-Forwarded-For', '192.168.1.1').expect(403, next);
+        },
+        function (next) { // unknown routes are passed through
+          agent.get('/unknown').expect(418, next);
+        }
+      ], done);
+    });
+
+    it('keeps the routes mountable into several apps', function (done) {
+      var other = express();
+
+      other.set('trust proxy', true);
+      other.use('/v1', receiver.router());
+      app.use(receiver.router('/umai'));
+
+      async.series([
+        function (next) {
+          validate(supertest(app), '/umai/api/validate').expect(200, next);
+        },
+        function (next) {
+          validate(supertest(other), '/v1/api/validate').expect(200, next);
+        }
+      ], done);
+    });
+  });
+
+  describe('#close()', function () {
+    var receiver, server, processing;
+
+    var params = {
+      requisite: '996700650835',
+      amount: 12.45,
+      timestamp: '2015-11-24T17:41:26.691Z'
+    };
+
+    beforeEach(function (done) {
+      processing = [];
+
+      receiver = new PaymentReceiver({
+        validate: sinon.stub().yieldsAsync(null, 200),
+        process: function (params, callback) {
+          processing.push(callback);
+        },
+        get: function (id, callback) {
+          callback(null, 200, {
+            id: id, requisite: '996700650835', amount: 12.45, status: 'success'
+          });
+        }
+      });
+
+      server = receiver.listen(0, '127.0.0.1', done);
+    });
+
+    afterEach(function (done) {
+      if (!server.listening) {
+        return done();
+      }
+
+      server.close(done);
+
+      if (typeof server.closeAllConnections === 'function') { // node.js >= 18.2
+        server.closeAllConnections();
+      }
+    });
+
+    // start processing, call back once `#process` is called (and once responded)
+    function startProcessing(callback, responded) {
+      var count = processing.length;
+
+      supertest(server).post('/api/transactions/5648dc5077ba42ee6b13ff6f')
+        .send(params)
+        .end(responded || _.noop);
+
+      async.until(function () {
+        return processing.length > count;
+      }, setImmediate, callback);
+    }
+
+    it('returns the listening server from `#listen()`', function () {
+      server.should.be.an.instanceOf(require('http').Server);
+      server.listening.should.be.true();
+      receiver.httpServer.should.equal(server);
+    });
+
+    it('stops accepting connections', function (done) {
+      var closing = sinon.spy();
+
+      receiver.on('closing', closing);
+
+      receiver.close(function (err, info) {
+        if (err) {
+          return done(err);
+        }
+
+        server.listening.should.be.false();
+        closing.calledOnce.should.be.true();
+        info.should.have.properties({ processing: 0, timedOut: false });
+        done();
+      });
+
+      receiver.closing.should.be.true();
+    });
+
+    it('waits for the in-flight processing to be responded', function (done) {
+      var response;
+
+      startProcessing(function () {
+        receiver.close(function (err, info) {
+          if (err) {
+            return done(err);
+          }
+
+          info.should.have.properties({ processing: 0, timedOut: false });
+          info.duration.should.be.aboveOrEqual(20);
+          server.listening.should.be.false();
+
+          async.until(function () { // the client may handle the response after the server is closed
+            return !!response;
+          }, setImmediate, function () {
+            response.should.have.properties({ status: 200 });
+            response.headers.connection.should.eql('close');
+            done();
+          });
+        });
+
+        setTimeout(function () {
+          receiver.processing.should.eql(1);
+          processing[0](null, 200); // complete the processing
+        }, 20);
+      }, function (err, res) {
+        response = res || err;
+      });
+    });
+
+    it('closes the connections after the timeout', function (done) {
+      startProcessing(function () {
+        receiver.close({ timeout: 20 }, function (err, info) {
+          if (err) {
+            return done(err);
+          }
+
+          info.should.have.properties({ processing: 1, timedOut: true });
+          server.listening.should.be.false();
+          done();
+        });
+      });
+    });
+
+    it('rejects the new processing while closing', function (done) {
+      startProcessing(function () {
+        receiver.close(_.noop);
+
+        supertest(receiver.server)
+          .delete('/api/transactions/5648dc5077ba42ee6b13ff6f')
+          .expect(503)
+          .expect('Connection', 'close')
+          .expect(errorBody('SERVICE_UNAVAILABLE', 'receiver is shutting down'))
+          .end(function (err) {
+            processing[0](null, 200);
+            done(err);
+          });
+      });
+    });
+
+    it('stops the completion worker and the notifier', function (done) {
+      receiver = new PaymentReceiver({}, {
+        completion: true,
+        webhook: { url: 'http://127.0.0.1:1/umai' }
+      });
+
+      sinon.spy(receiver.completion, 'stop');
+      sinon.spy(receiver.notifier, 'stop');
+
+      receiver.close(function (err) {
+        receiver.completion.stop.calledOnce.should.be.true();
+        receiver.notifier.stop.calledOnce.should.be.true();
+        done(err);
+      });
+    });
+
+    it('calls back repeated calls once closed', function (done) {
+      startProcessing(function () {
+        async.parallel([
+          receiver.close.bind(receiver),
+          receiver.close.bind(receiver)
+        ], done);
+
+        processing[0](null, 200);
+      });
+    });
+
+    it('closes on the termination signals with `#closeOnSignals()`', function (done) {
+      var remove = receiver.closeOnSignals({ signals: ['SIGUSR2'], exit: false });
+
+      receiver.once('closed', function () {
+        process.listeners('SIGUSR2').should.have.lengthOf(0);
+        done();
+      });
+
+      process.emit('SIGUSR2');
+      remove.should.be.a.Function();
+    });
   });
 
   describe('http server', function () {
@@ -130,7 +430,20 @@ describe('PaymentReceiverAPI', function () {
 
         requestValidation()
           .expect(400)
-          .expect('missing parameter `requisite`', done);
+          .expect(errorBody('MISSING_PARAMETER', 'missing parameter `requisite`', 'requisite'))
+        .end(done);
+      });
+
+      it('responds [422 "Unprocessable Entity"] if `amount` is given but invalid', function (done) {
+        params.amount = '12.4.5';
+
+        validateStub.yieldsAsync(new Error('expected `#validate` stub to have not been called'));
+
+        requestValidation()
+          .expect(422)
+          .expect(errorBody('INVALID_PARAMETER', 'parameter `amount` must be a positive ' +
+            'decimal number with up to 2 decimal places', 'amount'))
+          .end(done);
       });
 
       it('calls `#validate` implementation', function (done) {
@@ -181,8 +494,9 @@ describe('PaymentReceiverAPI', function () {
               }
 
               try {
-                should.exist(res.text, 'expected response body to have an error message');
-                res.text.should.eql('Error: stubbed validation error');
+                res.body.should.have.properties({
+                  code: 'INTERNAL_ERROR', message: 'internal server error'
+                });
               }
               catch (e) {
                 return done(e);
@@ -248,7 +562,8 @@ describe('PaymentReceiverAPI', function () {
 
         requestProcessing()
           .expect(400)
-          .expect('missing parameter `amount`', done);
+          .expect(errorBody('MISSING_PARAMETER', 'missing parameter `amount`', 'amount'))
+        .end(done);
       });
 
       it('responds [400 "Bad Request"] if `timestamp` is missing', function (done) {
@@ -258,7 +573,8 @@ describe('PaymentReceiverAPI', function () {
 
         requestProcessing()
           .expect(400)
-          .expect('missing parameter `timestamp`', done);
+          .expect(errorBody('MISSING_PARAMETER', 'missing parameter `timestamp`', 'timestamp'))
+        .end(done);
       });
 
       it('responds [422 "Unprocessable Entity"] if `timestamp` is not a valid ISO datetime',
@@ -271,9 +587,163 @@ describe('PaymentReceiverAPI', function () {
 
           requestProcessing()
             .expect(422)
-            .expect('parameter `timestamp` is not a valid ISO datetime', done);
+            .expect(errorBody('INVALID_PARAMETER',
+              'parameter `timestamp` is not a valid ISO datetime', 'timestamp'))
+            .end(done);
+        });
+
+      it('responds [422 "Unprocessable Entity"] if `amount` is not a positive decimal number',
+        function (done) {
+          var amounts = ['abc', -12.45, 0, '0.00', 0.001, '12.451', 1e21, true];
+
+          validateStub.yieldsAsync(new Error(
+            'expected `#validate` stub to have not been called'
+          ));
+
+          async.eachSeries(amounts, function (amount, next) {
+            params.amount = amount;
+
+            requestProcessing()
+              .expect(422)
+              .expect(errorBody('INVALID_PARAMETER', 'parameter `amount` must be a positive ' +
+                'decimal number with up to 2 decimal places', 'amount'))
+              .end(next);
+          }, done);
+        });
+
+      it('responds [422 "Unprocessable Entity"] if `requisite` is not a string', function (done) {
+        var requisites = [996700650835, ['996700650835'], { phone: '996700650835' }];
+
+        validateStub.yieldsAsync(new Error('expected `#validate` stub to have not been called'));
+
+        async.eachSeries(requisites, function (requisite, next) {
+          params.requisite = requisite;
+
+          requestProcessing()
+            .expect(422)
+            .expect(errorBody('INVALID_PARAMETER',
+              'parameter `requisite` must be of type `string`', 'requisite'))
+            .end(next);
+        }, done);
+      });
+
+      it('responds [422 "Unprocessable Entity"] if `id` has an invalid format', function (done) {
+        transactionId = encodeURIComponent('5648dc50 77ba42ee');
+
+        validateStub.yieldsAsync(new Error('expected `#validate` stub to have not been called'));
+
+        requestProcessing()
+          .expect(422)
+          .expect(errorBody('INVALID_PARAMETER', 'parameter `id` has an invalid format', 'id'))
+          .end(done);
+      });
+
+      it('responds [422 "Unprocessable Entity"] if `service` is not a string', function (done) {
+        params.service = 42;
+
+        validateStub.yieldsAsync(new Error('expected `#validate` stub to have not been called'));
+
+        requestProcessing()
+          .expect(422)
+          .expect(errorBody('INVALID_PARAMETER',
+            'parameter `service` must be of type `string`', 'service'))
+          .end(done);
+      });
+
+      it('responds [422 "Unprocessable Entity"] if `amount` exceeds the limits', function (done) {
+        instance = new PaymentReceiver({ validate: validateStub }, {
+          amountLimits: { min: 1, max: '1000.00', services: { topup: { min: '10.00' } } }
         });
 
+        agent = supertest.agent(instance.server);
+
+        validateStub.yieldsAsync(new Error('expected `#validate` stub to have not been called'));
+
+        async.series([
+          function (next) {
+            params.amount = 1000.01;
+
+            requestProcessing()
+              .expect(422)
+              .expect(errorBody('AMOUNT_OUT_OF_LIMITS',
+                'parameter `amount` must not exceed 1000.00', 'amount'))
+              .end(next);
+          },
+          function (next) {
+            params.amount = 0.99;
+
+            requestProcessing()
+              .expect(422)
+              .expect(errorBody('AMOUNT_OUT_OF_LIMITS',
+                'parameter `amount` must not be less than 1.00', 'amount'))
+              .end(next);
+          },
+          function (next) {
+            params.amount = 9.99;
+            params.service = 'topup';
+
+            requestProcessing()
+              .expect(422)
+              .expect(errorBody('AMOUNT_OUT_OF_LIMITS',
+                'parameter `amount` must not be less than 10.00', 'amount'))
+              .end(next);
+          }
+        ], done);
+      });
+
+      it("doesn't limit `amount` unless the limits are given", function (done) {
+        params.amount = 1000000;
+
+        validateStub.yieldsAsync(null, 200);
+        processStub.yieldsAsync(null, 200);
+        getStub.yieldsAsync(null, 200, { id: transactionId, amount: 1000000, status: 'success' });
+
+        requestProcessing()
+          .expect(200)
+          .end(function (err) {
+            if (err) {
+              return done(err);
+            }
+
+            try {
+              processStub.firstCall.args[0].minorAmount.should.eql(100000000);
+            }
+            catch (e) {
+              return done(e);
+            }
+
+            done();
+          });
+      });
+
+      it('passes the exact `minorAmount` along with the normalized `amount`', function (done) {
+        params.amount = '12.450';
+
+        validateStub.yieldsAsync(null, 200);
+        processStub.yieldsAsync(null, 200);
+        getStub.yieldsAsync(null, 200, { id: transactionId, amount: 12.45, status: 'success' });
+
+        requestProcessing()
+          .expect(200)
+          .end(function (err) {
+            if (err) {
+              return done(err);
+            }
+
+            try {
+              processStub.firstCall.args[0].should.have.properties({
+                amount: 12.45,
+                minorAmount: 1245
+              });
+            }
+            catch (e) {
+              return done(e);
+            }
+
+            done();
+          });
+      });
+
       it('calls `#validate` implementation', function (done) {
         validateStub.yieldsAsync(null, 200);
         processStub.yieldsAsync(null, 200);
@@ -333,8 +803,9 @@ describe('PaymentReceiverAPI', function () {
               }
 
               try {
-                should.exist(res.text, 'expected response body to have an error message');
-                res.text.should.eql('Error: stubbed validation error');
+                res.body.should.have.properties({
+                  code: 'INTERNAL_ERROR', message: 'internal server error'
+                });
               }
               catch (e) {
                 return done(e);
@@ -442,8 +913,9 @@ describe('PaymentReceiverAPI', function () {
                 }
 
                 try {
-                  should.exist(res.text, 'expected response body to have an error message');
-                  res.text.should.eql('Error: stubbed processing error');
+                  res.body.should.have.properties({
+                    code: 'INTERNAL_ERROR', message: 'internal server error'
+                  });
                 }
                 catch (e) {
                   return done(e);
@@ -508,8 +980,9 @@ describe('PaymentReceiverAPI', function () {
                   }
 
                   try {
-                    should.exist(res.text, 'expected response body to have an error message');
-                    res.text.should.eql('Error: stubbed getting error');
+                    res.body.should.have.properties({
+                      code: 'INTERNAL_ERROR', message: 'internal server error'
+                    });
                   }
                   catch (e) {
                     return done(e);
@@ -638,8 +1111,9 @@ describe('PaymentReceiverAPI', function () {
               }
 
               try {
-                should.exist(res.text, 'expected response body to have an error message');
-                res.text.should.eql('Error: stubbed getting error');
+                res.body.should.have.properties({
+                  code: 'INTERNAL_ERROR', message: 'internal server error'
+                });
               }
               catch (e) {
                 return done(e);
@@ -650,6 +1124,25 @@ describe('PaymentReceiverAPI', function () {
         });
       });
 
+      describe('if `#get` calls back with an unknown transaction status', function () {
+        // stub invalid transaction
+        beforeEach(function () {
+          getStub.yieldsAsync(null, 200, {
+            id: transactionId,
+            requisite: '996700650835',
+            amount: 12.45,
+            status: 'completed'
+          });
+        });
+
+        it('responds [500 "Internal Server Error"]', function (done) {
+          requestTransaction()
+            .expect(500)
+            .expect(errorBody('INTERNAL_ERROR', 'internal server error'))
+            .end(done);
+        });
+      });
+
       describe('when `#get` calls back with a status and object', function () {
         it('responds with that status and object as a json', function (done) {
           var transaction = {
@@ -668,6 +1161,21 @@ describe('PaymentReceiverAPI', function () {
             .expect(transaction, done);
         });
 
+        it('emits the amount in the format of `0.00`', function (done) {
+          getStub.yieldsAsync(null, 200, {
+            id: transactionId,
+            requisite: '996700650835',
+            amount: 12.5,
+            status: 'success'
+          });
+
+          requestTransaction()
+            .expect(200)
+            .expect('Content-Type', /json/)
+            .expect('{"id":"' + transactionId + '","requisite":"996700650835",' +
+              '"amount":12.50,"status":"success"}', done);
+        });
+
         it('converts transaction timestamp to ISO string', function (done) {
           var transaction = {
             id: transactionId,
@@ -703,6 +1211,17 @@ describe('PaymentReceiverAPI', function () {
         transactionId = '5648dc5077ba42ee6b13ff6f';
       });
 
+      // stub successful transaction to cancel
+      beforeEach(function () {
+        getStub.onFirstCall().yieldsAsync(null, 200, {
+          id: transactionId,
+          requisite: '996700650835',
+          amount: 12.45,
+          status: 'success',
+          internal: { id: 10004 }
+        });
+      });
+
       function requestCancellation() {
         return agent.delete('/api/transactions/' + transactionId);
       }
@@ -758,8 +1277,9 @@ describe('PaymentReceiverAPI', function () {
               }
 
               try {
-                should.exist(res.text, 'expected response body to have an error message');
-                res.text.should.eql('Error: stubbed cancellation error');
+                res.body.should.have.properties({
+                  code: 'INTERNAL_ERROR', message: 'internal server error'
+                });
               }
               catch (e) {
                 return done(e);
@@ -818,11 +1338,12 @@ describe('PaymentReceiverAPI', function () {
                 return done(new Error('expected `#get` stub to have been called'));
               }
 
-              if (!getStub.calledOnce) {
-                return done(new Error('expected `#get` stub to have been called once'));
+              // the first call ensures the transaction can be cancelled
+              if (!getStub.calledTwice) {
+                return done(new Error('expected `#get` stub to have been called twice'));
               }
 
-              var args = getStub.firstCall.args;
+              var args = getStub.secondCall.args;
               if (!args.length) {
                 return done(new Error('expected `#get` to have been called with arguments'));
               }
@@ -853,8 +1374,9 @@ describe('PaymentReceiverAPI', function () {
                 }
 
                 try {
-                  should.exist(res.text, 'expected response body to have an error message');
-                  res.text.should.eql('Error: stubbed getting error');
+                  res.body.should.have.properties({
+                    code: 'INTERNAL_ERROR', message: 'internal server error'
+                  });
                 }
                 catch (e) {
                   return done(e);
@@ -901,53 +1423,144 @@ describe('PaymentReceiverAPI', function () {
           requestCancellation().expect(202, done);
         });
       });
-    });
 
-    describe('GET "/api/transactions" (list)', function () {
-      var query;
+      describe('when the transaction can not be cancelled', function () {
+        // ensure `#cancel` stub to not be called
+        beforeEach(function () {
+          cancelStub.throws(new Error('expected `#cancel` stub to have not been called'));
+        });
 
-      // setup default query
-      beforeEach(function () {
-        query = {
-          begin: '2015-10-31T18:00:00.000Z',
-          end:   '2015-11-30T18:00:00.000Z'
-        };
-      });
+        it("responds `#get` status and message if transaction doesn't exist", function (done) {
+          getStub.onFirstCall().yieldsAsync(null, 404, "transaction doesn't exist");
 
-      function requestListing() {
-        return agent.get('/api/transactions').query(query);
-      }
+          requestCancellation()
+            .expect(404)
+            .expect("transaction doesn't exist", done);
+        });
 
-      it('responds [400 "Bad Request"] if `begin` is missing', function (done) {
-        delete query.begin;
+        it('responds [200 "OK"] and the transaction if it is already cancelled',
+          function (done) {
+            var transaction = {
+              id: transactionId,
+              requisite: '996700650835',
+              amount: 12.45,
+              status: 'cancelled'
+            };
 
-        listStub.yieldsAsync(new Error('expected `#list` stub to have not been called'));
+            getStub.onFirstCall().yieldsAsync(null, 200, transaction);
 
-        requestListing()
-          .expect(400)
-          .expect('missing query parameter `begin`', done);
-      });
+            requestCancellation()
+              .expect(200, transaction, done);
+          });
 
-      it('responds [422 "Unprocessable Entity"] if `begin` is not a valid ISO datetime',
-        function (done) {
-          query.begin = 'abc';
+        it('responds [409 "Conflict"] and emits `error` if it is not successful',
+          function (done) {
+            var listener = sinon.spy();
+            instance.on('error', listener);
 
-          listStub.yieldsAsync(new Error('expected `#list` stub to have not been called'));
+            getStub.onFirstCall().yieldsAsync(null, 200, {
+              id: transactionId,
+              requisite: '996700650835',
+              amount: 12.45,
+              status: 'failure'
+            });
 
-          requestListing()
-            .expect(422)
-            .expect('query parameter `begin` is not a valid ISO datetime', done);
-        });
+            requestCancellation()
+              .expect(409)
+              .expect(errorBody('INVALID_TRANSITION', 'transaction `' + transactionId + '` ' +
+                'can not be changed from `failure` to `cancelled` status'))
+              .end(function (err) {
+                if (err) {
+                  return done(err);
+                }
 
-      it('responds [422 "Unprocessable Entity"] if `end` is not a valid ISO datetime',
-        function (done) {
-          query.end = 'abc';
+                try {
+                  listener.calledOnce.should.be.true();
+                  listener.firstCall.args[0]
+                    .should.be.an.instanceOf(PaymentReceiver.TransactionState.TransitionError);
+                  listener.firstCall.args[1].should.have.properties({
+                    method: 'cancel',
+                    status: 409
+                  });
+                }
+                catch (e) {
+                  return done(e);
+                }
+
+                done();
+              });
+          });
+      });
+
+      describe('when `#cancel` calls back with status [200 "OK"] leaving the transaction ' +
+        'successful', function () {
+        it('responds [500 "Internal Server Error"]', function (done) {
+          cancelStub.yieldsAsync(null, 200);
+          getStub.yieldsAsync(null, 200, {
+            id: transactionId,
+            requisite: '996700650835',
+            amount: 12.45,
+            status: 'success'
+          });
+
+          requestCancellation()
+            .expect(500)
+            .expect(errorBody('INTERNAL_ERROR', 'internal server error'))
+            .end(done);
+        });
+      });
+    });
+
+    describe('GET "/api/transactions" (list)', function () {
+      var query;
+
+      // setup default query
+      beforeEach(function () {
+        query = {
+          begin: '2015-10-31T18:00:00.000Z',
+          end:   '2015-11-30T18:00:00.000Z'
+        };
+      });
+
+      function requestListing() {
+        return agent.get('/api/transactions').query(query);
+      }
+
+      it('responds [400 "Bad Request"] if `begin` is missing', function (done) {
+        delete query.begin;
+
+        listStub.yieldsAsync(new Error('expected `#list` stub to have not been called'));
+
+        requestListing()
+          .expect(400)
+          .expect(errorBody('MISSING_PARAMETER', 'missing query parameter `begin`', 'begin'))
+          .end(done);
+      });
+
+      it('responds [422 "Unprocessable Entity"] if `begin` is not a valid ISO datetime',
+        function (done) {
+          query.begin = 'abc';
+
+          listStub.yieldsAsync(new Error('expected `#list` stub to have not been called'));
+
+          requestListing()
+            .expect(422)
+            .expect(errorBody('INVALID_PARAMETER',
+              'query parameter `begin` is not a valid ISO datetime', 'begin'))
+            .end(done);
+        });
+
+      it('responds [422 "Unprocessable Entity"] if `end` is not a valid ISO datetime',
+        function (done) {
+          query.end = 'abc';
 
           listStub.yieldsAsync(new Error('expected `#list` stub to have not been called'));
 
           requestListing()
             .expect(422)
-            .expect('query parameter `end` is not a valid ISO datetime', done);
+            .expect(errorBody('INVALID_PARAMETER',
+              'query parameter `end` is not a valid ISO datetime', 'end'))
+            .end(done);
         });
 
       it('calls `#list` implementation', function (done) {
@@ -989,6 +1602,332 @@ describe('PaymentReceiverAPI', function () {
           });
       });
 
+      it('responds [422 "Unprocessable Entity"] if `end` is earlier than `begin`',
+        function (done) {
+          query.end = '2015-10-30T18:00:00.000Z';
+
+          listStub.yieldsAsync(new Error('expected `#list` stub to have not been called'));
+
+          requestListing()
+            .expect(422)
+            .expect(errorBody('INVALID_PARAMETER',
+              'query parameter `end` must not be earlier than `begin`', 'end'))
+            .end(done);
+        });
+
+      it('responds [422 "Unprocessable Entity"] if the range exceeds `options.maxListRange`',
+        function (done) {
+          instance = new PaymentReceiver({ list: listStub }, { maxListRange: 86400000 });
+          agent = supertest.agent(instance.server);
+
+          listStub.yieldsAsync(new Error('expected `#list` stub to have not been called'));
+
+          requestListing()
+            .expect(422)
+            .expect(errorBody('RANGE_TOO_LARGE', 'datetime range must not exceed 86400000ms'))
+            .end(done);
+        });
+
+      it('limits the range till latest by `options.maxListRange` as well', function (done) {
+        instance = new PaymentReceiver({ list: listStub }, { maxListRange: 86400000 });
+        agent = supertest.agent(instance.server);
+
+        delete query.end;
+
+        listStub.yieldsAsync(new Error('expected `#list` stub to have not been called'));
+
+        requestListing()
+          .expect(422, done);
+      });
+
+      [
+        ['limit', '0', 'query parameter `limit` must be an integer from 1 to 1000'],
+        ['limit', '1001', 'query parameter `limit` must be an integer from 1 to 1000'],
+        ['limit', '2.5', 'query parameter `limit` must be an integer from 1 to 1000'],
+        ['limit', ['50', '60'], 'query parameter `limit` must be an integer from 1 to 1000'],
+        ['status', 'unknown', 'query parameter `status` must be one of `initialized`, ' +
+          '`pending`, `processing`, `success`, `failure`, `cancelled`'],
+        ['order', 'random', 'query parameter `order` must be either `asc` or `desc`'],
+        ['requisite', ['996700650835', '996555362358'],
+          'query parameter `requisite` must be a non-empty string'],
+        ['cursor', '', 'query parameter `cursor` must be a non-empty string']
+      ].forEach(function (test) {
+        it('responds [422 "Unprocessable Entity"] if `' + test[0] + '` is ' +
+          JSON.stringify(test[1]), function (done) {
+          query[test[0]] = test[1];
+
+          listStub.yieldsAsync(new Error('expected `#list` stub to have not been called'));
+
+          requestListing()
+            .expect(422)
+            .expect(errorBody('INVALID_PARAMETER', test[2], test[0]))
+            .end(done);
+        });
+      });
+
+      it('passes the paging, filtering and sorting parameters to `#list`', function (done) {
+        _.assign(query, {
+          limit: '50',
+          cursor: 'WzE0NDc2MDQxMzEzOTAsMTAwMDRd',
+          status: 'success',
+          requisite: '996700650835',
+          service: 'mobile',
+          order: 'desc'
+        });
+
+        listStub.yieldsAsync(null, 200, []);
+
+        requestListing()
+          .expect(200)
+          .end(function (err) {
+            if (err) {
+              return done(err);
+            }
+
+            try {
+              listStub.firstCall.args[0].should.have.properties({
+                limit: 50,
+                cursor: 'WzE0NDc2MDQxMzEzOTAsMTAwMDRd',
+                status: 'success',
+                requisite: '996700650835',
+                service: 'mobile',
+                order: 'desc'
+              });
+            }
+            catch (e) {
+              return done(e);
+            }
+
+            done();
+          });
+      });
+
+      it('responds the page envelope as is', function (done) {
+        query.limit = '1';
+
+        listStub.yieldsAsync(null, 200, {
+          items: [{ id: '5648dc5077ba42ee6b13ff6f', status: 'success' }],
+          next: 'WzE0NDc2MDQxMzEzOTAsMTAwMDRd'
+        });
+
+        requestListing()
+          .expect(200)
+          .expect('Content-Type', /json/)
+          .expect({
+            items: [{ id: '5648dc5077ba42ee6b13ff6f', status: 'success' }],
+            next: 'WzE0NDc2MDQxMzEzOTAsMTAwMDRd'
+          }, done);
+      });
+
+      describe('when `#list` calls back with a stream', function () {
+        var transactions;
+
+        // stub streaming of transactions
+        beforeEach(function () {
+          transactions = [{
+            id: '5648dc5077ba42ee6b13ff6f',
+            status: 'success',
+            timestamp: new Date('2015-11-15T16:15:31.390Z')
+          }, {
+            id: '564a4fe577ba42ee6b1407c8',
+            status: 'failure'
+          }];
+
+          listStub.yieldsAsync(null, 200, Readable.from(transactions));
+        });
+
+        it('streams the list as a json array', function (done) {
+          requestListing()
+            .expect(200)
+            .expect('Content-Type', 'application/json; charset=utf-8')
+            .expect([{
+              id: '5648dc5077ba42ee6b13ff6f',
+              status: 'success',
+              timestamp: '2015-11-15T16:15:31.390Z'
+            }, {
+              id: '564a4fe577ba42ee6b1407c8',
+              status: 'failure'
+            }], done);
+        });
+
+        it('streams the list as newline-delimited json if requested', function (done) {
+          requestListing()
+            .set('Accept', 'application/x-ndjson')
+            .buffer(true)
+            .parse(function (res, callback) {
+              res.text = '';
+              res.on('data', function (chunk) {
+                res.text += chunk;
+              });
+              res.on('end', callback);
+            })
+            .expect(200)
+            .expect('Content-Type', /^application\/x-ndjson/)
+            .end(function (err, res) {
+              if (err) {
+                return done(err);
+              }
+
+              try {
+                res.text.should.eql(
+                  '{"id":"5648dc5077ba42ee6b13ff6f","status":"success",' +
+                    '"timestamp":"2015-11-15T16:15:31.390Z"}\n' +
+                  '{"id":"564a4fe577ba42ee6b1407c8","status":"failure"}\n'
+                );
+              }
+              catch (e) {
+                return done(e);
+              }
+
+              done();
+            });
+        });
+
+        it('emits `listed` with the number of the streamed transactions', function (done) {
+          instance.on('listed', function (info) {
+            try {
+              info.should.have.properties({ status: 200, count: 2 });
+            }
+            catch (e) {
+              return done(e);
+            }
+
+            done();
+          });
+
+          requestListing().end(function () {});
+        });
+
+        it('destroys the response and emits `error` if the stream fails', function (done) {
+          var stream = new Readable({ objectMode: true, read: function () {} });
+
+          listStub.yieldsAsync(null, 200, stream);
+
+          instance.on('error', function (err, info) {
+            try {
+              err.message.should.eql('stubbed streaming error');
+              info.should.have.property('method', 'list');
+            }
+            catch (e) {
+              return done(e);
+            }
+
+            done();
+          });
+
+          requestListing().end(function () {});
+
+          setTimeout(function () {
+            stream.push(transactions[0]);
+            stream.destroy(new Error('stubbed streaming error'));
+          }, 10);
+        });
+      });
+
+      it('responds an array as newline-delimited json if requested', function (done) {
+        listStub.yieldsAsync(null, 200, {
+          items: [{ id: '5648dc5077ba42ee6b13ff6f', status: 'success' }],
+          next: 'WzE0NDc2MDQxMzEzOTAsMTAwMDRd'
+        });
+
+        requestListing()
+          .set('Accept', 'application/x-ndjson')
+          .buffer(true)
+          .parse(function (res, callback) {
+            res.text = '';
+            res.on('data', function (chunk) {
+              res.text += chunk;
+            });
+            res.on('end', callback);
+          })
+          .expect(200)
+          .expect('Content-Type', /^application\/x-ndjson/)
+          .expect('X-Next-Cursor', 'WzE0NDc2MDQxMzEzOTAsMTAwMDRd')
+          .expect('{"id":"5648dc5077ba42ee6b13ff6f","status":"success"}\n', done);
+      });
+
+      describe('when CSV or TSV export is requested', function () {
+        // stub transaction listing
+        beforeEach(function () {
+          listStub.yieldsAsync(null, 200, [{
+            id: '5648dc5077ba42ee6b13ff6f',
+            requisite: '996700650835',
+            amount: 12.5,
+            status: 'success',
+            timestamp: new Date('2015-11-15T20:15:31.390Z')
+          }]);
+        });
+
+        it('responds the list as a CSV attachment', function (done) {
+          requestListing()
+            .set('Accept', 'text/csv')
+            .expect(200)
+            .expect('Content-Type', 'text/csv; charset=utf-8')
+            .expect('Content-Disposition', 'attachment; filename="transactions.csv"')
+            .expect(
+              'id,requisite,service,amount,status,message,timestamp\r\n' +
+              '5648dc5077ba42ee6b13ff6f,996700650835,,12.50,success,,2015-11-15 20:15:31\r\n',
+              done
+            );
+        });
+
+        it('responds the list as TSV using `options.export`', function (done) {
+          instance = new PaymentReceiver({ list: listStub }, {
+            export: { columns: ['id', 'amount', 'timestamp'], timezone: 'Asia/Bishkek' }
+          });
+
+          agent = supertest.agent(instance.server);
+
+          requestListing()
+            .set('Accept', 'text/tab-separated-values')
+            .expect(200)
+            .expect('Content-Type', 'text/tab-separated-values; charset=utf-8')
+            .expect(
+              'id\tamount\ttimestamp\r\n' +
+              '5648dc5077ba42ee6b13ff6f\t12.50\t2015-11-16 02:15:31\r\n',
+              done
+            );
+        });
+
+        it('destroys the response and emits `error` if a row fails to format', function (done) {
+          instance = new PaymentReceiver({ list: listStub }, {
+            export: { timezone: 'Asia/Bishkek' }
+          });
+
+          agent = supertest.agent(instance.server);
+
+          listStub.yieldsAsync(null, 200, [{ id: '5648dc5077ba42ee6b13ff6f', timestamp: 'x' }]);
+
+          instance.on('error', function (err, info) {
+            try {
+              err.should.be.an.instanceOf(RangeError);
+              info.should.have.property('method', 'list');
+            }
+            catch (e) {
+              return done(e);
+            }
+
+            done();
+          });
+
+          requestListing().set('Accept', 'text/csv').end(function () {});
+        });
+
+        it('validates the query parameters as usual', function (done) {
+          query.end = '2015-10-30T18:00:00.000Z';
+
+          requestListing()
+            .set('Accept', 'text/csv')
+            .expect(422, done);
+        });
+
+        it('throws on the unknown `options.export.timezone`', function () {
+          (function () {
+            new PaymentReceiver({}, { export: { timezone: 'Mars/Olympus_Mons' } });
+          }).should.throw(RangeError);
+        });
+      });
+
       describe('if `#list` calls back with an error', function () {
         // stub listing error
         beforeEach(function () {
@@ -1004,8 +1943,9 @@ describe('PaymentReceiverAPI', function () {
               }
 
               try {
-                should.exist(res.text, 'expected response body to have an error message');
-                res.text.should.eql('Error: stubbed listing error');
+                res.body.should.have.properties({
+                  code: 'INTERNAL_ERROR', message: 'internal server error'
+                });
               }
               catch (e) {
                 return done(e);
@@ -1095,5 +2035,918 @@ describe('PaymentReceiverAPI', function () {
         });
       });
     });
+    describe('lifecycle events', function () {
+      var transaction;
+
+      // setup transaction object
+      beforeEach(function () {
+        transaction = {
+          id: '5648dc5077ba42ee6b13ff6f',
+          requisite: '996700650835',
+          amount: 12.45,
+          status: 'success',
+          timestamp: '2015-11-15T16:15:31.390Z'
+        };
+      });
+
+      /**
+       * Expect the receiver instance to emit an event once a request is completed.
+       * @param {string} event – event name
+       * @param {Object} request – pending superagent request
+       * @param {function(info:Object)} check – emitted info assertions
+       * @param {function(err:Error?)} done
+       */
+      function expectEvent(event, request, check, done) {
+        var listener = sinon.spy();
+        instance.on(event, listener);
+
+        request.end(function (err) {
+          if (err) {
+            return done(err);
+          }
+
+          if (!listener.calledOnce) {
+            return done(new Error('expected `' + event + '` event to have been emitted once'));
+          }
+
+          try {
+            var info = listener.firstCall.args[0];
+            info.should.have.property('duration').which.is.a.Number();
+            check(info);
+          }
+          catch (e) {
+            return done(e);
+          }
+
+          done();
+        });
+      }
+
+      it('emits `validated` with params, status and body', function (done) {
+        validateStub.yieldsAsync(null, 200, 'Stubbed Account Identity');
+
+        expectEvent('validated', agent.post('/api/validate').send({ requisite: '996700650835' }),
+          function (info) {
+            info.should.have.properties({ status: 200, body: 'Stubbed Account Identity' });
+            info.params.should.have.property('requisite', '996700650835');
+          }, done);
+      });
+
+      it('emits `processed` with the resulting transaction', function (done) {
+        validateStub.yieldsAsync(null, 200);
+        processStub.yieldsAsync(null, 200);
+        getStub.yieldsAsync(null, 200, transaction);
+
+        expectEvent('processed', agent.post('/api/transactions/' + transaction.id).send({
+          requisite: '996700650835',
+          amount: 12.45,
+          timestamp: '2015-11-24T17:41:26.691Z'
+        }), function (info) {
+          info.should.have.properties({ status: 200, body: transaction });
+          info.params.should.have.properties({ id: transaction.id, amount: 12.45 });
+        }, done);
+      });
+
+      it('emits `accepted` if `#process` calls back with [202 "Accepted"]', function (done) {
+        validateStub.yieldsAsync(null, 200);
+        processStub.yieldsAsync(null, 202);
+
+        expectEvent('accepted', agent.post('/api/transactions/' + transaction.id).send({
+          requisite: '996700650835',
+          amount: 12.45,
+          timestamp: '2015-11-24T17:41:26.691Z'
+        }), function (info) {
+          info.should.have.properties({ method: 'process', status: 202 });
+          info.params.should.have.property('id', transaction.id);
+        }, done);
+      });
+
+      it('emits `retrieved` with the resulting transaction', function (done) {
+        getStub.yieldsAsync(null, 200, transaction);
+
+        expectEvent('retrieved', agent.get('/api/transactions/' + transaction.id),
+          function (info) {
+            info.should.have.properties({
+              params: { id: transaction.id },
+              status: 200,
+              body: transaction
+            });
+          }, done);
+      });
+
+      it('emits `cancelled` with the resulting transaction', function (done) {
+        transaction.status = 'cancelled';
+
+        cancelStub.yieldsAsync(null, 200);
+        getStub.yieldsAsync(null, 200, transaction);
+
+        expectEvent('cancelled', agent.delete('/api/transactions/' + transaction.id),
+          function (info) {
+            info.should.have.properties({
+              params: { id: transaction.id },
+              status: 200,
+              body: transaction
+            });
+          }, done);
+      });
+
+      it('emits `accepted` if `#cancel` calls back with [202 "Accepted"]', function (done) {
+        cancelStub.yieldsAsync(null, 202);
+        getStub.yieldsAsync(null, 200, transaction);
+
+        expectEvent('accepted', agent.delete('/api/transactions/' + transaction.id),
+          function (info) {
+            info.should.have.properties({
+              method: 'cancel',
+              params: { id: transaction.id },
+              status: 202
+            });
+          }, done);
+      });
+
+      it('emits `listed` with the resulting list', function (done) {
+        listStub.yieldsAsync(null, 200, [transaction]);
+
+        expectEvent('listed',
+          agent.get('/api/transactions').query({ begin: '2015-10-31T18:00:00.000Z' }),
+          function (info) {
+            info.should.have.properties({ status: 200, body: [transaction] });
+            info.params.should.have.property('begin').which.is.instanceOf(Date);
+          }, done);
+      });
+
+      it('emits `error` if an implementation calls back with an error', function (done) {
+        var listener = sinon.spy();
+        instance.on('error', listener);
+
+        getStub.yieldsAsync(new Error('stubbed getting error'));
+
+        agent.get('/api/transactions/' + transaction.id)
+          .expect(500)
+          .end(function (err) {
+            if (err) {
+              return done(err);
+            }
+
+            if (!listener.calledOnce) {
+              return done(new Error('expected `error` event to have been emitted once'));
+            }
+
+            try {
+              listener.firstCall.args[0].should.be.an.Error()
+                .with.property('message', 'stubbed getting error');
+
+              listener.firstCall.args[1].should.have.properties({
+                method: 'get',
+                params: { id: transaction.id }
+              });
+            }
+            catch (e) {
+              return done(e);
+            }
+
+            done();
+          });
+      });
+    });
+  });
+
+  describe('error responses', function () {
+    var validateStub;
+
+    function requestValidation(options, params) {
+      validateStub = sinon.stub().yieldsAsync(new Error('relation "accounts" does not exist'));
+
+      return supertest(new PaymentReceiver({ validate: validateStub }, options).server)
+        .post('/api/validate')
+        .send(params || { requisite: '996700650835' });
+    }
+
+    it('throws if the format is unknown', function () {
+      (function () {
+        return new PaymentReceiver({}, { errorFormat: 'xml' });
+      }).should.throw('error format must be either `json` or `text`, got `xml`');
+    });
+
+    it('hides the internal error details', function (done) {
+      requestValidation()
+        .expect(500)
+        .expect(errorBody('INTERNAL_ERROR', 'internal server error'))
+        .expect(function (res) {
+          res.text.should.not.containEql('accounts');
+        })
+        .end(done);
+    });
+
+    it('exposes the internal error details in the debug mode', function (done) {
+      requestValidation({ debug: true })
+        .expect(500)
+        .expect(function (res) {
+          res.body.details.should.startWith('Error: relation "accounts" does not exist');
+        })
+        .end(done);
+    });
+
+    it('responds plain text in the `text` format', function (done) {
+      async.series([
+        function (next) {
+          requestValidation({ errorFormat: 'text' }, {})
+            .expect(400, 'missing parameter `requisite`', next);
+        },
+        function (next) {
+          requestValidation({ errorFormat: 'text' })
+            .expect(500, 'internal server error', next);
+        },
+        function (next) {
+          requestValidation({ errorFormat: 'text', debug: true })
+            .expect(500, 'Error: relation "accounts" does not exist', next);
+        }
+      ], done);
+    });
+
+    it('responds [400 "Bad Request"] if the body is malformed', function (done) {
+      requestValidation()
+        .type('json')
+        .send('{"requisite":')
+        .expect(400)
+        .expect('Content-Type', /json/)
+        .expect(function (res) {
+          res.body.should.have.properties({ code: 'BAD_REQUEST', field: null });
+          res.body.should.not.have.property('details');
+          res.text.should.not.containEql('    at ');
+          validateStub.called.should.be.false();
+        })
+        .end(done);
+    });
+
+    it('responds [500 "Internal Server Error"] if the implementation throws', function (done) {
+      var instance = new PaymentReceiver({
+        validate: function () {
+          throw new Error('db password=secret');
+        }
+      });
+
+      supertest(instance.server)
+        .post('/api/validate')
+        .send({ requisite: '996700650835' })
+        .expect(500)
+        .expect('Content-Type', /json/)
+        .expect(errorBody('INTERNAL_ERROR', 'internal server error'))
+        .expect(function (res) {
+          res.text.should.not.containEql('secret');
+          res.text.should.not.containEql('    at ');
+        })
+        .end(done);
+    });
+
+    it('emits `error` if the implementation throws after another call', function (done) {
+      var instance = new PaymentReceiver({
+        get: function (id, callback) {
+          setImmediate(function () {
+            callback(null, 200, { id: id, status: 'success' });
+          });
+        },
+        cancel: function () {
+          throw new Error('db password=secret');
+        }
+      });
+
+      var errorSpy = sinon.spy();
+
+      instance.on('error', errorSpy);
+
+      supertest(instance.server)
+        .delete('/api/transactions/abc')
+        .expect(500)
+        .expect(errorBody('INTERNAL_ERROR', 'internal server error'))
+        .expect(function (res) {
+          res.text.should.not.containEql('secret');
+          errorSpy.calledOnce.should.be.true();
+          errorSpy.firstCall.args[0].message.should.eql('db password=secret');
+          errorSpy.firstCall.args[1].should.have.properties({ method: 'cancel' });
+        })
+        .end(done);
+    });
+
+    it('responds [404 "Not Found"] to the unknown routes', function (done) {
+      supertest(new PaymentReceiver().server)
+        .get('/api/transactions/5648dc5077ba42ee6b13ff6f/refunds')
+        .expect(404)
+        .expect('Content-Type', /json/)
+        .expect(errorBody('NOT_FOUND',
+          'unknown route `GET /api/transactions/5648dc5077ba42ee6b13ff6f/refunds`'))
+        .end(done);
+    });
+
+    it('responds the request id as sent', function (done) {
+      requestValidation({}, {})
+        .set('X-Request-Id', '3f2a9c1e-umai')
+        .expect('X-Request-Id', '3f2a9c1e-umai')
+        .expect(function (res) {
+          res.body.requestId.should.eql('3f2a9c1e-umai');
+        })
+        .end(done);
+    });
+  });
+
+  describe('request signature verification', function () {
+    var agent,
+        instance,
+        validateStub;
+
+    var body = { requisite: '996700650835' };
+
+    /**
+     * Create a signed request to the validation.
+     * @param {string} secret – shared secret to sign with
+     * @param {number} [timestamp] – request unix time (now by default)
+     */
+    function requestValidation(secret, timestamp) {
+      timestamp = timestamp || Math.floor(Date.now() / 1000);
+
+      return agent.post('/api/validate')
+        .set('X-UMAI-Timestamp', String(timestamp))
+        .set('X-UMAI-Signature', signature.sign(secret, {
+          timestamp: timestamp,
+          method: 'POST',
+          url: '/api/validate',
+          body: JSON.stringify(body)
+        }))
+        .type('json')
+        .send(JSON.stringify(body));
+    }
+
+    // create receiver verifying signatures with rotated secrets
+    beforeEach(function () {
+      instance = new PaymentReceiver({
+        validate: (validateStub = sinon.stub())
+      }, {
+        signature: { secret: ['umai-next-secret', 'umai-secret'] }
+      });
+
+      validateStub.yieldsAsync(null, 200, 'Stubbed Account Identity');
+    });
+
+    // initialize superagent client
+    beforeEach(function () {
+      agent = supertest.agent(instance.server);
+    });
+
+    it('passes requests signed with any of the active secrets', function (done) {
+      requestValidation('umai-secret')
+        .expect(200)
+        .expect('Stubbed Account Identity', function (err) {
+          if (err) {
+            return done(err);
+          }
+
+          requestValidation('umai-next-secret')
+            .expect(200, done);
+        });
+    });
+
+    it('responds [403 "Forbidden"] if the signature is missing', function (done) {
+      agent.post('/api/validate')
+        .send(body)
+        .expect(403)
+        .expect(errorBody('INVALID_SIGNATURE', 'missing request signature'))
+        .end(done);
+    });
+
+    it('responds [403 "Forbidden"] if the signature is invalid', function (done) {
+      requestValidation('revoked-secret')
+        .expect(403)
+        .expect(errorBody('INVALID_SIGNATURE', 'invalid request signature'))
+        .end(function (err) {
+          if (err) {
+            return done(err);
+          }
+
+          if (validateStub.called) {
+            return done(new Error('expected `#validate` stub to have not been called'));
+          }
+
+          done();
+        });
+    });
+
+    it('responds [403 "Forbidden"] if the timestamp is expired', function (done) {
+      requestValidation('umai-secret', Math.floor(Date.now() / 1000) - 301)
+        .expect(403)
+        .expect(errorBody('INVALID_SIGNATURE', 'request timestamp is out of the tolerance window'))
+        .end(done);
+    });
+  });
+
+  describe('address allowlist', function () {
+    var agent,
+        instance,
+        validateStub;
+
+    /**
+     * Create receiver with a given options and superagent client.
+     * @param {Object} options – receiver options
+     */
+    function createReceiver(options) {
+      instance = new PaymentReceiver({
+        validate: (validateStub = sinon.stub())
+      }, options);
+
+      validateStub.yieldsAsync(null, 200, 'Stubbed Account Identity');
+
+      agent = supertest.agent(instance.server);
+    }
+
+    function requestValidation() {
+      return agent.post('/api/validate').send({ requisite: '996700650835' });
+    }
+
+    it('passes requests from the allowed addresses', function (done) {
+      createReceiver({ allowlist: ['10.0.0.0/8', '127.0.0.0/8', '::1'] });
+
+      requestValidation()
+        .expect(200)
+        .expect('Stubbed Account Identity', done);
+    });
+
+    it('responds [403 "Forbidden"] for requests from other addresses', function (done) {
+      createReceiver({ allowlist: ['10.0.0.0/8'] });
+
+      requestValidation()
+        .expect(403)
+        .expect(function (res) {
+          res.body.code.should.eql('ADDRESS_NOT_ALLOWED');
+          res.body.message.should.match(/is not allowed$/);
+        })
+        .end(function (err) {
+          if (err) {
+            return done(err);
+          }
+
+          if (validateStub.called) {
+            return done(new Error('expected `#validate` stub to have not been called'));
+          }
+
+          done();
+        });
+    });
+
+    it('ignores `X-Forwarded-For` unless the proxy is trusted', function (done) {
+      createReceiver({ allowlist: ['10.0.0.0/8'] });
+
+      requestValidation()
+        .set('X-Forwarded-For', '10.1.2.3')
+        .expect(403, done);
+    });
+
+    describe('behind the trusted proxy', function () {
+      // trust loopback as a proxy
+      beforeEach(function () {
+        createReceiver({
+          allowlist: ['10.0.0.0/8', '2001:db8::/32'],
+          trustedProxies: ['loopback', '192.168.0.0/16']
+        });
+      });
+
+      it('checks the forwarded IPv4 client address', function (done) {
+        requestValidation()
+          .set('X-Forwarded-For', '10.1.2.3')
+          .expect(200, done);
+      });
+
+      it('checks the forwarded IPv6 client address', function (done) {
+        requestValidation()
+          .set('X-Forwarded-For', '2001:db8::15')
+          .expect(200, done);
+      });
+
+      it('skips the trusted proxies in the chain', function (done) {
+        requestValidation()
+          .set('X-Forwarded-For', '10.1.2.3, 192.168.1.1')
+          .expect(200, done);
+      });
+
+      it('takes the nearest untrusted address as the client one', function (done) {
+        requestValidation()
+          .set('X-Forwarded-For', '10.1.2.3, 172.16.0.1')
+          .expect(403, done);
+      });
+    });
+
+    describe('GET "/api/about"', function () {
+      it('responds [403 "Forbidden"] by default', function (done) {
+        createReceiver({ allowlist: ['10.0.0.0/8'] });
+        agent.get('/api/about').expect(403, done);
+      });
+
+      it('remains public if `publicAbout` option is set', function (done) {
+        createReceiver({ allowlist: ['10.0.0.0/8'], publicAbout: true });
+        agent.get('/api/about').expect(200, done);
+      });
+    });
+  });
+
+  describe('transactions processing idempotency', function () {
+    var agent,
+        instance,
+        params,
+        transaction;
+
+    var validateStub,
+        processStub,
+        getStub;
+
+    function requestProcessing(body) {
+      return agent.post('/api/transactions/' + transaction.id).send(body || params);
+    }
+
+    // setup transaction params and object
+    beforeEach(function () {
+      params = {
+        requisite: '996700650835',
+        amount: 12.45,
+        timestamp: '2015-11-24T17:41:26.691Z'
+      };
+
+      transaction = {
+        id: '5648dc5077ba42ee6b13ff6f',
+        requisite: '996700650835',
+        amount: 12.45,
+        status: 'success',
+        timestamp: '2015-11-24T17:41:27.015Z'
+      };
+    });
+
+    // create receiver with the in-memory idempotency store
+    beforeEach(function () {
+      instance = new PaymentReceiver({
+        validate: (validateStub = sinon.stub()),
+        process:  (processStub  = sinon.stub()),
+        get:      (getStub      = sinon.stub())
+      }, {
+        idempotency: true
+      });
+
+      validateStub.yieldsAsync(null, 200);
+      getStub.yieldsAsync(null, 200, transaction);
+    });
+
+    // initialize superagent client
+    beforeEach(function () {
+      agent = supertest.agent(instance.server);
+    });
+
+    it('responds a processed transaction through `#get` without processing again',
+      function (done) {
+        processStub.yieldsAsync(null, 200);
+
+        requestProcessing().expect(200, transaction, function (err) {
+          if (err) {
+            return done(err);
+          }
+
+          requestProcessing().expect(200, transaction, function (err) {
+            if (err) {
+              return done(err);
+            }
+
+            try {
+              processStub.callCount.should.eql(1, 'expected `#process` to have been called once');
+              getStub.callCount.should.eql(2, 'expected `#get` to have been called twice');
+            }
+            catch (e) {
+              return done(e);
+            }
+
+            done();
+          });
+        });
+      });
+
+    it('responds [409 "Conflict"] if the same id comes with a different payload',
+      function (done) {
+        processStub.yieldsAsync(null, 200);
+
+        requestProcessing().expect(200, function (err) {
+          if (err) {
+            return done(err);
+          }
+
+          params.amount = 124.5;
+
+          requestProcessing()
+            .expect(409)
+            .expect(errorBody('IDEMPOTENCY_CONFLICT', 'transaction `' + transaction.id + '` ' +
+              'has been received with different parameters', 'id'))
+            .end(done);
+        });
+      });
+
+    it('processes concurrent duplicate requests only once', function (done) {
+      processStub.yields(null, 200); // completes with delay below
+
+      instance.process = sinon.spy(function (params, callback) {
+        setTimeout(function () {
+          processStub(params, callback);
+        }, 50);
+      });
+
+      async.times(3, function (n, next) {
+        requestProcessing().end(function (err, res) {
+          next(err, res && res.status);
+        });
+      }, function (err, statuses) {
+        if (err) {
+          return done(err);
+        }
+
+        try {
+          instance.process.callCount.should.eql(1, 'expected `#process` to have been called once');
+          statuses.sort().should.eql([200, 202, 202]);
+        }
+        catch (e) {
+          return done(e);
+        }
+
+        done();
+      });
+    });
+
+    it('allows to retry a transaction if processing has failed', function (done) {
+      processStub.onFirstCall().yieldsAsync(new Error('stubbed processing error'));
+      processStub.onSecondCall().yieldsAsync(null, 200);
+
+      requestProcessing().expect(500, function (err) {
+        if (err) {
+          return done(err);
+        }
+
+        requestProcessing().expect(200, transaction, function (err) {
+          if (err) {
+            return done(err);
+          }
+
+          try {
+            processStub.callCount.should.eql(2, 'expected `#process` to have been called twice');
+          }
+          catch (e) {
+            return done(e);
+          }
+
+          done();
+        });
+      });
+    });
+
+    it('allows to retry a transaction if validation has not succeeded', function (done) {
+      validateStub.onFirstCall().yieldsAsync(null, 403, 'Please activate your account');
+      processStub.yieldsAsync(null, 200);
+
+      requestProcessing().expect(403, function (err) {
+        if (err) {
+          return done(err);
+        }
+
+        requestProcessing().expect(200, transaction, done);
+      });
+    });
+
+    it('keeps an accepted transaction from being processed again', function (done) {
+      processStub.yieldsAsync(null, 202);
+
+      requestProcessing().expect(202, function (err) {
+        if (err) {
+          return done(err);
+        }
+
+        requestProcessing().expect(200, transaction, function (err) {
+          if (err) {
+            return done(err);
+          }
+
+          try {
+            processStub.callCount.should.eql(1, 'expected `#process` to have been called once');
+          }
+          catch (e) {
+            return done(e);
+          }
+
+          done();
+        });
+      });
+    });
+  });
+
+  describe('promise-based implementation', function () {
+    var agent,
+        instance,
+        transaction;
+
+    /**
+     * Create an implementation method that resolves with a given status and body.
+     * @param {number} status
+     * @param {*} [body]
+     */
+    function resolves(status, body) {
+      return sinon.spy(function () {
+        return Promise.resolve({ status: status, body: body });
+      });
+    }
+
+    /**
+     * Create an implementation method that rejects with an error of a given message.
+     * @param {string} message
+     */
+    function rejects(message) {
+      return sinon.spy(function () {
+        return Promise.reject(new Error(message));
+      });
+    }
+
+    // setup transaction object
+    beforeEach(function () {
+      transaction = {
+        id: '5648dc5077ba42ee6b13ff6f',
+        requisite: '996700650835',
+        amount: 12.45,
+        status: 'success',
+        timestamp: '2015-11-15T16:15:31.390Z',
+        internal: { id: 10004 }
+      };
+    });
+
+    // create receiver implementation
+    beforeEach(function () {
+      instance = new PaymentReceiver({
+        validate: resolves(200, 'Stubbed Account Identity'),
+        process:  resolves(200),
+        get:      resolves(200, transaction),
+        cancel:   resolves(200),
+        list:     resolves(200, [transaction])
+      });
+    });
+
+    // initialize superagent client
+    beforeEach(function () {
+      agent = supertest.agent(instance.server);
+    });
+
+    describe('POST "/api/validate" (validate)', function () {
+      function requestValidation() {
+        return agent.post('/api/validate').send({ requisite: '996700650835' });
+      }
+
+      it('responds with the resolved status and body', function (done) {
+        requestValidation()
+          .expect(200)
+          .expect('Stubbed Account Identity', done);
+      });
+
+      it('responds [500 "Internal Server Error"] if `#validate` rejects', function (done) {
+        instance.validate = rejects('stubbed validation error');
+
+        requestValidation()
+          .expect(500)
+          .expect(errorBody('INTERNAL_ERROR', 'internal server error'))
+          .end(done);
+      });
+    });
+
+    describe('POST "/api/transactions/:id" (process)', function () {
+      function requestProcessing() {
+        return agent.post('/api/transactions/' + transaction.id).send({
+          requisite: '996700650835',
+          amount: 12.45,
+          timestamp: '2015-11-24T17:41:26.691Z'
+        });
+      }
+
+      it('responds with the transaction resolved by `#get`', function (done) {
+        requestProcessing()
+          .expect(200)
+          .expect('Content-Type', /json/)
+          .expect(transaction, function (err) {
+            if (err) {
+              return done(err);
+            }
+
+            if (!instance.process.calledOnce) {
+              return done(new Error('expected `#process` to have been called once'));
+            }
+
+            done();
+          });
+      });
+
+      it('responds [202 "Accepted"] immediately if `#process` resolves so', function (done) {
+        instance.process = resolves(202);
+        instance.get = rejects('expected `#get` to have not been called');
+
+        requestProcessing().expect(202, done);
+      });
+
+      it('responds a failed validation status without processing', function (done) {
+        instance.validate = resolves(404, "account doesn't exist");
+        instance.process = rejects('expected `#process` to have not been called');
+
+        requestProcessing()
+          .expect(404)
+          .expect("account doesn't exist", done);
+      });
+
+      it('responds [500 "Internal Server Error"] if `#process` rejects', function (done) {
+        instance.process = rejects('stubbed processing error');
+
+        requestProcessing()
+          .expect(500)
+          .expect(errorBody('INTERNAL_ERROR', 'internal server error'))
+          .end(done);
+      });
+    });
+
+    describe('GET "/api/transactions/:id" (get)', function () {
+      function requestTransaction() {
+        return agent.get('/api/transactions/' + transaction.id);
+      }
+
+      it('responds with the resolved status and transaction', function (done) {
+        requestTransaction()
+          .expect(200)
+          .expect('Content-Type', /json/)
+          .expect(transaction, done);
+      });
+
+      it('responds [500 "Internal Server Error"] if `#get` rejects', function (done) {
+        instance.get = rejects('stubbed getting error');
+
+        requestTransaction()
+          .expect(500)
+          .expect(errorBody('INTERNAL_ERROR', 'internal server error'))
+          .end(done);
+      });
+    });
+
+    describe('DELETE "/api/transactions/:id" (cancel)', function () {
+      function requestCancellation() {
+        return agent.delete('/api/transactions/' + transaction.id);
+      }
+
+      it('responds with the transaction resolved by `#get`', function (done) {
+        transaction.status = 'cancelled';
+
+        requestCancellation()
+          .expect(200)
+          .expect('Content-Type', /json/)
+          .expect(transaction, done);
+      });
+
+      it('responds [202 "Accepted"] immediately if `#cancel` resolves so', function (done) {
+        instance.cancel = resolves(202);
+
+        requestCancellation().expect(202, function (err) {
+          if (err) {
+            return done(err);
+          }
+
+          // the only call ensures the transaction can be cancelled
+          if (!instance.get.calledOnce) {
+            return done(new Error('expected `#get` to have been called once'));
+          }
+
+          done();
+        });
+      });
+
+      it('responds [500 "Internal Server Error"] if `#cancel` rejects', function (done) {
+        instance.cancel = rejects('stubbed cancellation error');
+
+        requestCancellation()
+          .expect(500)
+          .expect(errorBody('INTERNAL_ERROR', 'internal server error'))
+          .end(done);
+      });
+    });
+
+    describe('GET "/api/transactions" (list)', function () {
+      function requestListing() {
+        return agent.get('/api/transactions').query({ begin: '2015-10-31T18:00:00.000Z' });
+      }
+
+      it('responds with the resolved status and list', function (done) {
+        requestListing()
+          .expect(200)
+          .expect('Content-Type', /json/)
+          .expect([transaction], done);
+      });
+
+      it('responds [500 "Internal Server Error"] if `#list` rejects', function (done) {
+        instance.list = rejects('stubbed listing error');
+
+        requestListing()
+          .expect(500)
+          .expect(errorBody('INTERNAL_ERROR', 'internal server error'))
+          .end(done);
+      });
+    });
   });
 });
@@ -0,0 +1,201 @@
+/**
+ * Reconciliation command line interface.
+ */
+
+'use strict';
+
+var fs = require('fs'),
+    path = require('path'),
+    format = require('util').format;
+
+var reconciliation = require('./reconciliation');
+
+/** @const {string} usage help */
+var USAGE = [
+  'Usage: umai-reconcile --receiver <module> --registry <file> [options]',
+  '',
+  'Reconciles the UMAI registry against the transactions listed by the receiver.',
+  '',
+  'Options:',
+  '  --receiver <module>  module exporting the payment receiver instance (not listening)',
+  '  --registry <file>    UMAI registry file (CSV or JSON)',
+  '  --format <format>    registry format: csv|json (detected by the file extension)',
+  '  --begin <datetime>   range beginning (the earliest registry timestamp by default)',
+  '  --end <datetime>     range end, exclusive (after the latest registry timestamp by default)',
+  '  --repair             plan the repairs of the discrepancies (dry run)',
+  '  --apply              perform the planned repairs (requires --repair)',
+  '  --json               print the report as JSON',
+  '  --help               print this help',
+  '',
+  'Exits with 0 if there are no discrepancies, 1 if there are, and 2 on errors.'
+].join('\n');
+
+/** @const {string[]} options that don't take a value */
+var FLAGS = ['repair', 'apply', 'json', 'help'];
+
+/**
+ * Parse the command line arguments.
+ * @param {string[]} argv – arguments (without the node and script paths)
+ * @returns {Object}
+ * @throws {Error} on unknown or incomplete arguments
+ */
+function parseArgs(argv) {
+  var args = {};
+
+  for (var i = 0; i < argv.length; i++) {
+    var match = /^--([a-z]+)(?:=(.*))?$/.exec(argv[i]);
+
+    if (!match) {
+      throw new Error('unexpected argument `' + argv[i] + '`');
+    }
+
+    var name = match[1];
+
+    if (FLAGS.indexOf(name) !== -1) {
+      args[name] = true;
+    }
+    else if (['receiver', 'registry', 'format', 'begin', 'end'].indexOf(name) !== -1) {
+      var value = (typeof match[2] === 'string') ? match[2] : argv[++i];
+
+      if (typeof value === 'undefined') {
+        throw new Error('option `--' + name + '` requires a value');
+      }
+
+      args[name] = value;
+    }
+    else {
+      throw new Error('unknown option `--' + name + '`');
+    }
+  }
+
+  return args;
+}
+
+/**
+ * Parse the datetime argument.
+ * @param {Object} args – parsed arguments
+ * @param {string} name – argument name
+ * @returns {Date?}
+ * @throws {Error} if datetime is invalid
+ */
+function parseDate(args, name) {
+  if (!args[name]) {
+    return null;
+  }
+
+  var date = new Date(args[name]);
+
+  if (isNaN(date.getTime())) {
+    throw new Error('option `--' + name + '` is not a valid ISO datetime');
+  }
+
+  return date;
+}
+
+/**
+ * Format the human readable report summary.
+ * @param {Object} report – reconciliation report
+ * @returns {string}
+ */
+function summary(report) {
+  var lines = [
+    format('Reconciliation from %s till %s', report.begin.toISOString(), report.end.toISOString()),
+    format('  matched: %d', report.matched.length)
+  ];
+
+  function transaction(item) {
+    return format('    %s  %s  %s  %s', item.id, item.requisite || '-', item.amount, item.status);
+  }
+
+  function mismatch(field) {
+    return function (item) {
+      return format('    %s  UMAI: %s, ours: %s', item.id, item.registry[field], item.local[field]);
+    };
+  }
+
+  [
+    ['missing on our side', report.missingLocal, transaction],
+    ['missing on UMAI side', report.missingRemote, transaction],
+    ['amount mismatches', report.amountMismatches, mismatch('amount')],
+    ['status mismatches', report.statusMismatches, mismatch('status')]
+  ].forEach(function (section) {
+    lines.push(format('  %s: %d', section[0], section[1].length));
+    lines.push.apply(lines, section[1].map(section[2]));
+  });
+
+  if (report.repairs.length) {
+    lines.push(format('  repairs%s:', report.repairs[0].dryRun ? ' (dry run)' : ''));
+
+    report.repairs.forEach(function (repair) {
+      var result = repair.dryRun ? '' :
+        (repair.error ? ' failed: ' + repair.error : ' responded ' + repair.status);
+
+      lines.push(format('    %s %s%s', repair.action, repair.id, result));
+    });
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Run the reconciliation command.
+ * @param {string[]} argv – arguments (without the node and script paths)
+ * @param {Object} output – writable streams to print to (`{ stdout, stderr }`)
+ * @param {function(code:number)} callback – calls back with the exit code
+ */
+function run(argv, output, callback) {
+  var args, receiver, registry;
+
+  function exit(err) {
+    output.stderr.write('umai-reconcile: ' + err.message + '\n');
+    callback(2);
+  }
+
+  try {
+    args = parseArgs(argv);
+
+    if (args.help) {
+      output.stdout.write(USAGE + '\n');
+      return callback(0);
+    }
+
+    if (!args.receiver || !args.registry) {
+      throw new Error('options `--receiver` and `--registry` are required (see --help)');
+    }
+
+    if (args.apply && !args.repair) {
+      throw new Error('option `--apply` requires `--repair` (see --help)');
+    }
+
+    var registryFormat = args.format ||
+      (path.extname(args.registry).toLowerCase() === '.json' ? 'json' : 'csv');
+
+    registry = reconciliation.parseRegistry(fs.readFileSync(args.registry), registryFormat);
+    receiver = require(path.resolve(args.receiver));
+
+    var options = {
+      begin: parseDate(args, 'begin'),
+      end: parseDate(args, 'end'),
+      repair: !!args.repair,
+      dryRun: !args.apply
+    };
+  }
+  catch (e) {
+    return exit(e);
+  }
+
+  reconciliation.reconcile(receiver, registry, options, function (err, report) {
+    if (err) {
+      return exit(err);
+    }
+
+    output.stdout.write(args.json ? JSON.stringify(report, null, 2) + '\n' : summary(report));
+
+    callback(reconciliation.hasDiscrepancies(report) ? 1 : 0);
+  });
+}
+
+exports.USAGE = USAGE;
+exports.parseArgs = parseArgs;
+exports.summary = summary;
+exports.run = run;
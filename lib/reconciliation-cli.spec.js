@@ -0,0 +1,128 @@
+'use strict';
+
+var fs = require('fs'),
+    os = require('os'),
+    path = require('path');
+
+require('should');
+
+var cli = require('./reconciliation-cli');
+
+describe('reconciliation CLI', function () {
+  var dir, output;
+
+  /**
+   * Create a writable stream stub collecting the written text.
+   * @returns {Object}
+   */
+  function collector() {
+    return {
+      text: '',
+      write: function (chunk) {
+        this.text += chunk;
+      }
+    };
+  }
+
+  // setup the receiver module and the registry files
+  before(function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'umai-reconcile-'));
+
+    fs.writeFileSync(path.join(dir, 'receiver.js'), [
+      "var PaymentReceiver = require(" + JSON.stringify(path.join(__dirname, '..')) + ");",
+      "var adapter = new PaymentReceiver.MemoryAdapter({",
+      "  accounts: [{ requisite: '996700650835', name: 'Dan Kerimdzhanov' }]",
+      "});",
+      "adapter.credit({ id: '5648dc5077ba42ee6b13ff6f', requisite: '996700650835', " +
+        "amount: 12.45 }, function () {});",
+      "module.exports = new PaymentReceiver.AdapterReceiver(adapter);"
+    ].join('\n'));
+
+    fs.writeFileSync(path.join(dir, 'registry.csv'),
+      'id,requisite,amount,status,timestamp\n' +
+      '5648dc5077ba42ee6b13ff6f,996700650835,12.45,success,' + new Date().toISOString() + '\n');
+  });
+
+  after(function () {
+    delete require.cache[path.join(dir, 'receiver.js')];
+
+    fs.readdirSync(dir).forEach(function (file) {
+      fs.unlinkSync(path.join(dir, file));
+    });
+
+    fs.rmdirSync(dir);
+  });
+
+  beforeEach(function () {
+    output = { stdout: collector(), stderr: collector() };
+  });
+
+  it('prints the usage help', function (done) {
+    cli.run(['--help'], output, function (code) {
+      code.should.eql(0);
+      output.stdout.text.should.eql(cli.USAGE + '\n');
+      done();
+    });
+  });
+
+  it('exits with 2 on invalid arguments', function (done) {
+    cli.run(['--registry'], output, function (code) {
+      code.should.eql(2);
+      output.stderr.text.should.eql('umai-reconcile: option `--registry` requires a value\n');
+      done();
+    });
+  });
+
+  it('exits with 2 if the repairs are applied without planning them', function (done) {
+    cli.run([
+      '--receiver', path.join(dir, 'receiver.js'),
+      '--registry', path.join(dir, 'registry.csv'),
+      '--apply'
+    ], output, function (code) {
+      code.should.eql(2);
+      output.stderr.text.should.eql(
+        'umai-reconcile: option `--apply` requires `--repair` (see --help)\n');
+      done();
+    });
+  });
+
+  it('prints the summary and exits with 0 if there are no discrepancies', function (done) {
+    cli.run([
+      '--receiver', path.join(dir, 'receiver.js'),
+      '--registry=' + path.join(dir, 'registry.csv'),
+      '--begin', new Date(Date.now() - 60000).toISOString(),
+      '--end', new Date(Date.now() + 60000).toISOString()
+    ], output, function (code) {
+      code.should.eql(0);
+      output.stdout.text.should.match(/^Reconciliation from .+\n {2}matched: 1\n/);
+      done();
+    });
+  });
+
+  it('prints the JSON report and exits with 1 if there are discrepancies', function (done) {
+    fs.writeFileSync(path.join(dir, 'registry.json'), JSON.stringify([{
+      id: '565c1e9177ba42ee6b140a1e',
+      requisite: '996700650835',
+      amount: 50,
+      status: 'success',
+      timestamp: new Date()
+    }]));
+
+    cli.run([
+      '--receiver', path.join(dir, 'receiver.js'),
+      '--registry', path.join(dir, 'registry.json'),
+      '--begin', new Date(Date.now() - 60000).toISOString(),
+      '--repair',
+      '--json'
+    ], output, function (code) {
+      code.should.eql(1);
+
+      var report = JSON.parse(output.stdout.text);
+      report.missingLocal.should.have.lengthOf(1);
+      report.missingRemote.should.have.lengthOf(1);
+      report.repairs.should.have.lengthOf(1);
+      report.repairs[0].should.have.properties({ action: 'process', dryRun: true });
+      done();
+    });
+  });
+});
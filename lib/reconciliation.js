@@ -0,0 +1,446 @@
+/**
+ * Reconciliation of transactions against UMAI registries.
+ */
+
+'use strict';
+
+var async = require('async'),
+    _ = require('lodash');
+
+var STATUS = require('./status-map');
+var TransactionState = require('./transaction-state');
+var listStream = require('./list-stream');
+var invoke = require('./invoke');
+var idempotency = require('./idempotency');
+var errors = require('./errors');
+var money = require('./money');
+
+/** @const {string[]} registry fields that must be present */
+var REQUIRED_FIELDS = ['id', 'amount', 'status'];
+
+/**
+ * Parse CSV text into rows (RFC 4180: quoted fields may contain delimiters, quotes and newlines).
+ * @param {string} text
+ * @param {string} [delimiter=',']
+ * @returns {Array.<string[]>}
+ */
+function parseCSV(text, delimiter) {
+  delimiter = delimiter || ',';
+
+  var rows = [],
+      row = [],
+      field = '',
+      quoted = false;
+
+  for (var i = 0; i < text.length; i++) {
+    var character = text[i];
+
+    if (quoted) {
+      if (character === '"' && text[i + 1] === '"') { // escaped quote
+        field += '"';
+        i++;
+      }
+      else if (character === '"') {
+        quoted = false;
+      }
+      else {
+        field += character;
+      }
+    }
+    else if (character === '"') {
+      quoted = true;
+    }
+    else if (character === delimiter) {
+      row.push(field);
+      field = '';
+    }
+    else if (character === '\n' || character === '\r') {
+      if (character === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    }
+    else {
+      field += character;
+    }
+  }
+
+  if (field || row.length) { // the last line without a trailing newline
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(function (row) { // skip the empty lines
+    return row.length > 1 || row[0];
+  });
+}
+
+/**
+ * Normalize a registry entry.
+ * @param {Object} entry – raw registry entry
+ * @param {number} line – entry line (or index) number for the error messages
+ * @returns {Object}
+ * @throws {Error} if the entry is invalid
+ */
+function normalizeEntry(entry, line) {
+  REQUIRED_FIELDS.forEach(function (field) {
+    if (entry[field] === null || typeof entry[field] === 'undefined' || entry[field] === '') {
+      throw new Error('registry entry #' + line + ' is missing `' + field + '`');
+    }
+  });
+
+  var normalized = {
+    id: String(entry.id),
+    requisite: entry.requisite ? String(entry.requisite) : null,
+    amount: Number(entry.amount),
+    status: String(entry.status).toLowerCase(),
+    service: entry.service || null,
+    timestamp: entry.timestamp ? new Date(entry.timestamp) : null
+  };
+
+  if (!isFinite(normalized.amount) || normalized.amount <= 0) {
+    throw new Error('registry entry #' + line + ' has an invalid amount `' + entry.amount + '`');
+  }
+
+  if (normalized.timestamp && isNaN(normalized.timestamp.getTime())) {
+    throw new Error('registry entry #' + line +
+      ' has an invalid timestamp `' + entry.timestamp + '`');
+  }
+
+  if (!TransactionState.isValid(normalized.status)) {
+    throw new Error('registry entry #' + line + ' has an unknown status `' + entry.status + '`');
+  }
+
+  return normalized;
+}
+
+/**
+ * Parse UMAI registry file contents.
+ * CSV registries must have a header row naming the `id`, `amount`, `status`
+ * and optional `requisite`, `service` and `timestamp` columns.
+ * JSON registries are arrays of transactions (or objects with the `items` array).
+ * @param {(string|Buffer)} contents – registry file contents
+ * @param {string} [format] – `csv|json` (detected by the contents if omitted)
+ * @returns {Object[]} registry entries (`{ id, requisite, amount, status, service, timestamp }`)
+ * @throws {Error} if the registry is malformed
+ */
+function parseRegistry(contents, format) {
+  var text = String(contents).replace(/^\uFEFF/, ''); // strip the byte order mark
+
+  if (!format) {
+    format = /^\s*[\[{]/.test(text) ? 'json' : 'csv';
+  }
+
+  if (format === 'json') {
+    var entries = JSON.parse(text);
+
+    if (!_.isArray(entries)) {
+      entries = entries && entries.items;
+    }
+
+    if (!_.isArray(entries)) {
+      throw new Error('JSON registry must be an array of transactions');
+    }
+
+    return entries.map(function (entry, index) {
+      return normalizeEntry(entry, index + 1);
+    });
+  }
+
+  var rows = parseCSV(text),
+      header = (rows.shift() || []).map(function (name) {
+        return name.trim().toLowerCase();
+      });
+
+  REQUIRED_FIELDS.forEach(function (field) {
+    if (header.indexOf(field) === -1) {
+      throw new Error('CSV registry header is missing the `' + field + '` column');
+    }
+  });
+
+  return rows.map(function (row, index) {
+    return normalizeEntry(_.zipObject(header, row), index + 2); // the header is the 1st line
+  });
+}
+
+/**
+ * Get the whole transactions list through the receiver's `#list` implementation
+ * (following the page cursors and reading the streams).
+ * @param {PaymentReceiver} receiver
+ * @param {Object} query – `{ begin, end }`
+ * @param {function(err:Error, transactions:Object[]?)} callback
+ */
+function listAll(receiver, query, callback) {
+  var transactions = [];
+
+  (function next(query) {
+    invoke(receiver, 'list', query, function (err, status, list) {
+      if (!err && status !== STATUS.OK) {
+        err = new Error('`#list` has called back with status ' + status +
+          (typeof list === 'string' ? ' "' + list + '"' : ''));
+      }
+
+      if (err) {
+        return callback(err);
+      }
+
+      if (listStream.isStream(list)) {
+        return list
+          .on('data', function (transaction) {
+            transactions.push(transaction);
+          })
+          .on('error', callback)
+          .on('end', function () {
+            callback(null, transactions);
+          });
+      }
+
+      if (list && !_.isArray(list)) { // the page envelope
+        transactions.push.apply(transactions, list.items || []);
+
+        if (list.next) {
+          return next(_.assign({}, query, { cursor: list.next }));
+        }
+
+        return callback(null, transactions);
+      }
+
+      callback(null, transactions.concat(list || []));
+    });
+  })(query);
+}
+
+/**
+ * Plan the repairs of the discrepancies that can be repaired on our side.
+ * @param {Object} report – reconciliation report
+ * @returns {Object[]} repairs (`{ action, id, params? }`)
+ */
+function planRepairs(report) {
+  var repairs = [];
+
+  report.missingLocal.forEach(function (entry) {
+    if (entry.status !== TransactionState.STATUS.SUCCESS || !entry.requisite) {
+      return; // either nothing to process, or it can't be processed without the requisite
+    }
+
+    repairs.push({
+      action: 'process',
+      id: entry.id,
+      params: _.omit({
+        id: entry.id,
+        requisite: entry.requisite,
+        amount: entry.amount,
+        timestamp: entry.timestamp || new Date(),
+        service: entry.service
+      }, _.isNull)
+    });
+  });
+
+  report.statusMismatches.forEach(function (mismatch) {
+    if (mismatch.registry.status === TransactionState.STATUS.CANCELLED &&
+        TransactionState.isCancellable(mismatch.local.status)) {
+      repairs.push({ action: 'cancel', id: mismatch.id });
+    }
+  });
+
+  return repairs;
+}
+
+/**
+ * Perform a planned repair through the receiver's implementation just like the API does:
+ * the parameters are prepared by `#prepare()`, guarded by the idempotency store (if any),
+ * and processing passes through `#validate` first.
+ * @param {PaymentReceiver} receiver
+ * @param {Object} repair – planned repair (`{ action, id, params? }`)
+ * @param {function(err:Error, status:number?, body:*?)} callback
+ */
+function performRepair(receiver, repair, callback) {
+  if (repair.action === 'cancel') {
+    return invoke(receiver, 'cancel', repair.id, callback);
+  }
+
+  // the planned ones are reported as is, the performed ones are serialized like the API ones
+  var params = JSON.parse(JSON.stringify(repair.params)),
+      failure = receiver.prepare('process', params),
+      store = receiver.options.idempotency;
+
+  if (failure) {
+    return process.nextTick(function () {
+      callback(null, failure.status, failure.error);
+    });
+  }
+
+  function processTransaction(callback) {
+    invoke(receiver, 'validate', params, function (err, status, body) {
+      if (err || status !== STATUS.OK) {
+        return callback(err, status, body);
+      }
+
+      invoke(receiver, 'process', params, callback);
+    });
+  }
+
+  if (!store) {
+    return processTransaction(callback);
+  }
+
+  store.reserve(params.id, idempotency.fingerprint(params), function (err, record) {
+    if (err) {
+      return callback(err);
+    }
+
+    if (record) { // has been received through the API meanwhile
+      return callback(null, STATUS.CONFLICT, errors.invalid('id',
+        'transaction `' + params.id + '` has already been received',
+        errors.CODES.IDEMPOTENCY_CONFLICT));
+    }
+
+    processTransaction(function (err, status, body) {
+      var processed = !err && (status === STATUS.OK || status === STATUS.ACCEPTED);
+
+      store[processed ? 'commit' : 'release'](params.id, function (settleErr) {
+        callback(err || settleErr || null, status, body);
+      });
+    });
+  });
+}
+
+/**
+ * Reconcile the registry against the transactions listed by the receiver for the same range.
+ *
+ * The report contains:
+ *  * `matched` – ids of the transactions that are the same on both sides;
+ *  * `missingLocal` – registry entries that are missing on our side;
+ *  * `missingRemote` – our transactions that are missing in the registry (on UMAI side);
+ *  * `amountMismatches` and `statusMismatches` – `{ id, registry, local }` of the differing ones;
+ *  * `repairs` – repairs that are planned (or performed) if `options.repair` is set.
+ *
+ * Missing successful transactions are repaired through `#validate` and `#process`,
+ * our successful transactions that are cancelled by UMAI are repaired through `#cancel`,
+ * the others are left for manual investigation.
+ *
+ * @param {PaymentReceiver} receiver – payment receiver implementation
+ * @param {Object[]} registry – registry entries (see `parseRegistry()`)
+ * @param {Object} [options]
+ * @param {Date} [options.begin] – range beginning (the earliest registry timestamp by default)
+ * @param {Date} [options.end] – range end, exclusive (after the latest registry timestamp)
+ * @param {boolean} [options.repair=false] – plan the repairs of the discrepancies
+ * @param {boolean} [options.dryRun=true] – only plan the repairs without performing them
+ * @param {function(err:Error, report:Object?)} callback
+ */
+function reconcile(receiver, registry, options, callback) {
+  if (typeof options === 'function') {
+    callback = options;
+    options = {};
+  }
+
+  options = options || {};
+
+  var timestamps = _.compact(_.pluck(registry, 'timestamp')),
+      begin = options.begin || _.min(timestamps),
+      end = options.end || (timestamps.length && new Date(_.max(timestamps).getTime() + 1));
+
+  if (!_.isDate(begin) || !_.isDate(end)) {
+    return process.nextTick(function () {
+      callback(new Error('reconciliation range is required for the registry without timestamps'));
+    });
+  }
+
+  listAll(receiver, { begin: begin, end: end }, function (err, transactions) {
+    if (err) {
+      return callback(err);
+    }
+
+    var local = _.indexBy(transactions, 'id'),
+        remote = _.indexBy(registry, 'id');
+
+    var report = {
+      begin: begin,
+      end: end,
+      matched: [],
+      missingLocal: [],
+      missingRemote: [],
+      amountMismatches: [],
+      statusMismatches: [],
+      repairs: []
+    };
+
+    registry.forEach(function (entry) {
+      var transaction = local[entry.id];
+
+      if (!transaction) {
+        return report.missingLocal.push(entry);
+      }
+
+      var mismatch = { id: entry.id, registry: entry, local: transaction },
+          matched = true;
+
+      if (money.toMinor(transaction.amount) !== money.toMinor(entry.amount)) { // exactly
+        report.amountMismatches.push(mismatch);
+        matched = false;
+      }
+
+      if (transaction.status !== entry.status) {
+        report.statusMismatches.push(mismatch);
+        matched = false;
+      }
+
+      if (matched) {
+        report.matched.push(entry.id);
+      }
+    });
+
+    report.missingRemote = transactions.filter(function (transaction) {
+      return !remote[transaction.id];
+    });
+
+    if (!options.repair) {
+      return callback(null, report);
+    }
+
+    var dryRun = (options.dryRun !== false);
+
+    report.repairs = planRepairs(report);
+
+    async.eachSeries(report.repairs, function (repair, next) {
+      repair.dryRun = dryRun;
+
+      if (dryRun) {
+        return next();
+      }
+
+      performRepair(receiver, repair, function (err, status, body) {
+        if (err) {
+          repair.error = err.message;
+        }
+        else {
+          repair.status = status;
+          repair.body = body;
+        }
+
+        next(); // keep on repairing the others
+      });
+    }, function () {
+      callback(null, report);
+    });
+  });
+}
+
+/**
+ * Check whether the report has any discrepancies.
+ * @param {Object} report – reconciliation report
+ * @returns {boolean}
+ */
+function hasDiscrepancies(report) {
+  return !!(report.missingLocal.length || report.missingRemote.length ||
+    report.amountMismatches.length || report.statusMismatches.length);
+}
+
+exports.parseCSV = parseCSV;
+exports.parseRegistry = parseRegistry;
+exports.reconcile = reconcile;
+exports.hasDiscrepancies = hasDiscrepancies;
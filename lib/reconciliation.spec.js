@@ -0,0 +1,333 @@
+'use strict';
+
+var Readable = require('stream').Readable;
+
+var _ = require('lodash'),
+    async = require('async'),
+    should = require('should'),
+    sinon = require('sinon');
+
+var AdapterReceiver = require('./adapter-receiver');
+var MemoryAdapter = require('./memory-adapter');
+var reconciliation = require('./reconciliation');
+
+describe('reconciliation', function () {
+  describe('.parseCSV()', function () {
+    it('parses quoted fields with delimiters, quotes and newlines', function () {
+      reconciliation.parseCSV('id,message\r\n1,"Stubbed ""Error"", see\nbelow"\n\n2,\n')
+        .should.eql([['id', 'message'], ['1', 'Stubbed "Error", see\nbelow'], ['2', '']]);
+    });
+  });
+
+  describe('.parseRegistry()', function () {
+    it('parses CSV registry by the header row', function () {
+      var registry = reconciliation.parseRegistry(
+        '\uFEFFStatus,ID,Amount,Requisite,Timestamp\n' +
+        'success,5648dc5077ba42ee6b13ff6f,12.45,996700650835,2015-11-15T16:15:31.390Z\n'
+      );
+
+      registry.should.eql([{
+        id: '5648dc5077ba42ee6b13ff6f',
+        requisite: '996700650835',
+        amount: 12.45,
+        status: 'success',
+        service: null,
+        timestamp: new Date('2015-11-15T16:15:31.390Z')
+      }]);
+    });
+
+    it('parses JSON registry', function () {
+      var registry = reconciliation.parseRegistry(JSON.stringify({
+        items: [{ id: '5648dc5077ba42ee6b13ff6f', amount: '12.45', status: 'cancelled' }]
+      }));
+
+      registry.should.have.lengthOf(1);
+      registry[0].should.have.properties({ amount: 12.45, status: 'cancelled', timestamp: null });
+    });
+
+    it('throws if a required column is missing', function () {
+      (function () {
+        reconciliation.parseRegistry('id,amount\n5648dc5077ba42ee6b13ff6f,12.45\n');
+      }).should.throw('CSV registry header is missing the `status` column');
+    });
+
+    it('throws on invalid entries pointing to the line', function () {
+      (function () {
+        reconciliation.parseRegistry('id,amount,status\n5648dc5077ba42ee6b13ff6f,abc,success\n');
+      }).should.throw('registry entry #2 has an invalid amount `abc`');
+
+      (function () {
+        reconciliation.parseRegistry(JSON.stringify([
+          { id: '5648dc5077ba42ee6b13ff6f', amount: 1, status: 'ok' }
+        ]));
+      }).should.throw('registry entry #1 has an unknown status `ok`');
+    });
+  });
+
+  describe('.reconcile()', function () {
+    var adapter, receiver, registry, begin;
+
+    // setup the receiver with some transactions and the registry
+    beforeEach(function (done) {
+      begin = new Date(Date.now() - 1000);
+
+      adapter = new MemoryAdapter({
+        accounts: [{ requisite: '996700650835', name: 'Dan Kerimdzhanov', balance: 100 }]
+      });
+
+      receiver = new AdapterReceiver(adapter);
+
+      async.eachSeries([
+        ['5648dc5077ba42ee6b13ff6f', 12.45], // matched
+        ['564a4fe577ba42ee6b1407c8', 37.8], // amount mismatch
+        ['564a50cb77ba42ee6b1407ca', 25.6], // cancelled by UMAI
+        ['564a4ff477ba42ee6b1407c9', 10] // missing on UMAI side
+      ], function (transaction, next) {
+        adapter.credit({
+          id: transaction[0],
+          requisite: '996700650835',
+          amount: transaction[1]
+        }, next);
+      }, function (err) {
+        registry = [
+          ['5648dc5077ba42ee6b13ff6f', 12.45, 'success'],
+          ['564a4fe577ba42ee6b1407c8', 37.9, 'success'],
+          ['564a50cb77ba42ee6b1407ca', 25.6, 'cancelled'],
+          ['565c1e9177ba42ee6b140a1e', 50, 'success'] // missing on our side
+        ].map(function (entry) {
+          return {
+            id: entry[0],
+            requisite: '996700650835',
+            amount: entry[1],
+            status: entry[2],
+            service: null,
+            timestamp: new Date()
+          };
+        });
+
+        done(err);
+      });
+    });
+
+    function reconcile(options, check, done) {
+      options = _.assign({ begin: begin, end: new Date(Date.now() + 1000) }, options);
+
+      reconciliation.reconcile(receiver, registry, options, function (err, report) {
+        if (err) {
+          return done(err);
+        }
+
+        try {
+          check(report);
+        }
+        catch (e) {
+          return done(e);
+        }
+
+        done();
+      });
+    }
+
+    it('reports the matched transactions and discrepancies', function (done) {
+      reconcile({}, function (report) {
+        report.matched.should.eql(['5648dc5077ba42ee6b13ff6f']);
+        _.pluck(report.missingLocal, 'id').should.eql(['565c1e9177ba42ee6b140a1e']);
+        _.pluck(report.missingRemote, 'id').should.eql(['564a4ff477ba42ee6b1407c9']);
+        _.pluck(report.amountMismatches, 'id').should.eql(['564a4fe577ba42ee6b1407c8']);
+        _.pluck(report.statusMismatches, 'id').should.eql(['564a50cb77ba42ee6b1407ca']);
+        report.repairs.should.be.empty();
+
+        reconciliation.hasDiscrepancies(report).should.be.true();
+      }, done);
+    });
+
+    it('compares the amounts exactly', function (done) {
+      registry[0].amount = '12.450';
+      registry[1].amount = '37.80';
+
+      reconcile({}, function (report) {
+        report.matched.should.eql(['5648dc5077ba42ee6b13ff6f', '564a4fe577ba42ee6b1407c8']);
+        report.amountMismatches.should.be.empty();
+      }, done);
+    });
+
+    it('plans the repairs without performing them in the dry-run mode', function (done) {
+      reconcile({ repair: true }, function (report) {
+        report.repairs.should.eql([{
+          action: 'process',
+          id: '565c1e9177ba42ee6b140a1e',
+          params: {
+            id: '565c1e9177ba42ee6b140a1e',
+            requisite: '996700650835',
+            amount: 50,
+            timestamp: registry[3].timestamp
+          },
+          dryRun: true
+        }, {
+          action: 'cancel',
+          id: '564a50cb77ba42ee6b1407ca',
+          dryRun: true
+        }]);
+
+        should(adapter.transactions['565c1e9177ba42ee6b140a1e']).be.undefined();
+        adapter.transactions['564a50cb77ba42ee6b1407ca'].status.should.eql('success');
+      }, done);
+    });
+
+    it('performs the repairs unless dry run', function (done) {
+      reconcile({ repair: true, dryRun: false }, function (report) {
+        report.repairs.should.have.lengthOf(2);
+        report.repairs[0].should.have.properties({ dryRun: false, status: 200 });
+        report.repairs[1].should.have.properties({ dryRun: false, status: 200 });
+
+        adapter.transactions['565c1e9177ba42ee6b140a1e'].status.should.eql('success');
+        adapter.transactions['564a50cb77ba42ee6b1407ca'].status.should.eql('cancelled');
+      }, done);
+    });
+
+    it('guards the repairs by the idempotency store', function (done) {
+      receiver = new AdapterReceiver(adapter, { idempotency: true });
+
+      var records = receiver.options.idempotency.records;
+
+      reconcile({ repair: true, dryRun: false }, function (report) {
+        report.repairs[0].should.have.properties({ status: 200 });
+        records['565c1e9177ba42ee6b140a1e'].state.should.eql('processed');
+      }, function (err) {
+        if (err) {
+          return done(err);
+        }
+
+        delete adapter.transactions['565c1e9177ba42ee6b140a1e']; // missing again
+
+        reconcile({ repair: true, dryRun: false }, function (report) {
+          report.repairs[0].should.have.properties({ status: 409 });
+          report.repairs[0].body.should.have.properties({ code: 'IDEMPOTENCY_CONFLICT' });
+          should(adapter.transactions['565c1e9177ba42ee6b140a1e']).be.undefined();
+        }, done);
+      });
+    });
+
+    it('parses the amounts of the repairs and checks their limits', function (done) {
+      receiver = new AdapterReceiver(adapter, { amountLimits: { max: '40.00' } });
+
+      var process = sinon.spy(receiver, 'process');
+
+      registry.push(_.assign({}, registry[3], { id: '565c1e9177ba42ee6b140a1f', amount: '25.60' }));
+
+      reconcile({ repair: true, dryRun: false }, function (report) {
+        report.repairs[0].should.have.properties({ id: '565c1e9177ba42ee6b140a1e', status: 422 });
+        report.repairs[0].body.should.have.properties({
+          code: 'AMOUNT_OUT_OF_LIMITS',
+          field: 'amount'
+        });
+
+        report.repairs[1].should.have.properties({ id: '565c1e9177ba42ee6b140a1f', status: 200 });
+        process.calledOnce.should.be.true();
+        process.firstCall.args[0].should.have.properties({ amount: 25.6, minorAmount: 2560 });
+
+        should(adapter.transactions['565c1e9177ba42ee6b140a1e']).be.undefined();
+      }, done);
+    });
+
+    it('validates the repairs against the route schema', function (done) {
+      receiver = new AdapterReceiver(adapter, { requisites: { '*': 'phone' } });
+
+      registry[3].requisite = 'jon@snow.kg';
+
+      reconcile({ repair: true, dryRun: false }, function (report) {
+        report.repairs[0].should.have.properties({ id: '565c1e9177ba42ee6b140a1e', status: 422 });
+        report.repairs[0].body.should.have.properties({
+          code: 'INVALID_PARAMETER',
+          field: 'requisite'
+        });
+
+        should(adapter.transactions['565c1e9177ba42ee6b140a1e']).be.undefined();
+      }, done);
+    });
+
+    it('normalizes the requisites of the repairs', function (done) {
+      receiver = new AdapterReceiver(adapter, { normalizers: { '*': 'phone' } });
+
+      registry[3].requisite = '0700 650 835';
+
+      reconcile({ repair: true, dryRun: false }, function (report) {
+        report.repairs[0].should.have.properties({ id: '565c1e9177ba42ee6b140a1e', status: 200 });
+        report.repairs[0].params.requisite.should.eql('0700 650 835'); // reported as planned
+
+        adapter.transactions['565c1e9177ba42ee6b140a1e'].should.have.properties({
+          requisite: '996700650835',
+          originalRequisite: '0700 650 835'
+        });
+      }, done);
+    });
+
+    it('derives the range from the registry timestamps', function (done) {
+      reconciliation.reconcile(receiver, registry, function (err, report) {
+        if (err) {
+          return done(err);
+        }
+
+        report.begin.should.eql(registry[0].timestamp);
+        report.end.getTime().should.eql(registry[3].timestamp.getTime() + 1);
+        done();
+      });
+    });
+
+    it('calls back with an error if the range is unknown', function (done) {
+      registry.forEach(function (entry) {
+        entry.timestamp = null;
+      });
+
+      reconciliation.reconcile(receiver, registry, {}, function (err) {
+        should(err).be.an.instanceOf(Error);
+        done();
+      });
+    });
+
+    it('reads the streamed and paged lists', function (done) {
+      var pages = {
+        first: { items: [{ id: '5648dc5077ba42ee6b13ff6f', amount: 12.45, status: 'success' }],
+                 next: 'second' },
+        second: { items: [], next: null }
+      };
+
+      receiver = {
+        list: function (query, callback) {
+          callback(null, 200, pages[query.cursor || 'first']);
+        }
+      };
+
+      registry = registry.slice(0, 1);
+
+      reconcile({}, function (report) {
+        report.matched.should.eql(['5648dc5077ba42ee6b13ff6f']);
+      }, function (err) {
+        if (err) {
+          return done(err);
+        }
+
+        receiver.list = function (query, callback) {
+          callback(null, 200, Readable.from(pages.first.items));
+        };
+
+        reconcile({}, function (report) {
+          report.matched.should.eql(['5648dc5077ba42ee6b13ff6f']);
+          reconciliation.hasDiscrepancies(report).should.be.false();
+        }, done);
+      });
+    });
+
+    it('calls back with an error if `#list` does not succeed', function (done) {
+      receiver.list = function (query, callback) {
+        callback(null, 501);
+      };
+
+      reconciliation.reconcile(receiver, registry, { begin: begin }, function (err) {
+        should(err).be.an.instanceOf(Error);
+        err.message.should.eql('`#list` has called back with status 501');
+        done();
+      });
+    });
+  });
+});
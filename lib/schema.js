@@ -0,0 +1,366 @@
+/**
+ * Declarative request schemas (a subset of JSON Schema) and requisite validators.
+ */
+
+'use strict';
+
+var _ = require('lodash');
+
+var TransactionState = require('./transaction-state');
+var money = require('./money');
+
+/** @const {RegExp} default transaction id format */
+var ID_PATTERN = /^[\w.:\-]{1,128}$/;
+
+/** @const {Object.<string, Array>} formats as `[test, description]` */
+var FORMATS = {
+  'date-time': [function (value) {
+    return !isNaN(new Date(value).getTime());
+  }, 'a valid ISO datetime'],
+  amount: [function (value) {
+    var minor = money.toMinor(value);
+    return !isNaN(minor) && minor > 0;
+  }, 'a positive decimal number with up to ' + money.SCALE + ' decimal places'],
+  phone: [/^\+?\d{9,15}$/, 'a valid phone number'],
+  account: [/^[A-Za-z0-9][\w.\-]{0,63}$/, 'a valid account id'],
+  email: [/^[^\s@]+@[^\s@.]+(?:\.[^\s@.]+)+$/, 'a valid email address']
+};
+
+/** @const {string[]} supported keywords */
+var KEYWORDS = [
+  'type', 'required', 'properties', 'items', 'enum', 'pattern', 'format',
+  'minLength', 'maxLength', 'minimum', 'maximum', 'message'
+];
+
+/**
+ * Resolve the JSON type of the value.
+ * @param {*} value
+ * @returns {string} `null|array|integer|number|string|boolean|object`
+ */
+function typeOf(value) {
+  if (value === null) {
+    return 'null';
+  }
+
+  if (_.isArray(value)) {
+    return 'array';
+  }
+
+  if (typeof value === 'number') {
+    return (value % 1 === 0) ? 'integer' : 'number';
+  }
+
+  return typeof value;
+}
+
+/**
+ * Check whether the value is of any of the types.
+ * @param {*} value
+ * @param {string[]} types
+ * @returns {boolean}
+ */
+function isOfType(value, types) {
+  var type = typeOf(value);
+
+  return types.indexOf(type) !== -1 || (type === 'integer' && types.indexOf('number') !== -1);
+}
+
+/**
+ * Check whether the value is absent (the required one is missing then).
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isAbsent(value) {
+  return value === undefined || value === null || value === '';
+}
+
+/**
+ * Ensure the schema is supported (recursively).
+ * @param {Object} schema
+ * @param {string} [path]
+ * @returns {Object} the schema
+ * @throws {Error} if any keyword or format is unknown
+ */
+function compile(schema, path) {
+  var where = path ? ' of `' + path + '`' : '';
+
+  _.keys(schema).forEach(function (keyword) {
+    if (KEYWORDS.indexOf(keyword) === -1) {
+      throw new Error('unknown schema keyword `' + keyword + '`' + where);
+    }
+  });
+
+  if (schema.format && !FORMATS[schema.format]) {
+    throw new Error('unknown schema format `' + schema.format + '`' + where);
+  }
+
+  _.forEach(schema.properties, function (property, name) {
+    compile(property, path ? path + '.' + name : name);
+  });
+
+  if (schema.items) {
+    compile(schema.items, (path || '') + '[]');
+  }
+
+  return schema;
+}
+
+/**
+ * Validate the value against the schema.
+ * @param {Object} schema
+ * @param {*} value
+ * @param {string?} field – path of the value
+ * @param {string} kind – parameter kind (for the messages)
+ * @returns {Object?} failure
+ */
+function check(schema, value, field, kind) {
+  function fail(keyword, message) {
+    return {
+      field: field,
+      keyword: keyword,
+      message: (field ? kind + ' `' + field + '`' : 'value') + ' ' + (schema.message || message)
+    };
+  }
+
+  var types = schema.type && [].concat(schema.type);
+
+  if (types && !isOfType(value, types)) {
+    return fail('type', 'must be of type `' + types.join('` or `') + '`');
+  }
+
+  if (schema.enum && schema.enum.indexOf(value) === -1) {
+    return fail('enum', 'must be one of `' + schema.enum.join('`, `') + '`');
+  }
+
+  if (typeof value === 'string') {
+    if (value.length < (schema.minLength || 0)) {
+      return fail('minLength', (schema.minLength === 1) ? 'must not be empty' :
+        'must be at least ' + schema.minLength + ' characters long');
+    }
+
+    if (_.has(schema, 'maxLength') && value.length > schema.maxLength) {
+      return fail('maxLength', 'must be at most ' + schema.maxLength + ' characters long');
+    }
+
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      return fail('pattern', 'has an invalid format');
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (_.has(schema, 'minimum') && value < schema.minimum) {
+      return fail('minimum', 'must not be less than ' + schema.minimum);
+    }
+
+    if (_.has(schema, 'maximum') && value > schema.maximum) {
+      return fail('maximum', 'must not exceed ' + schema.maximum);
+    }
+  }
+
+  if (schema.format) {
+    var format = FORMATS[schema.format],
+        valid = (typeof format[0] === 'function') ? format[0](value) :
+          (typeof value === 'string' && format[0].test(value));
+
+    if (!valid) {
+      return fail('format', 'must be ' + format[1]);
+    }
+  }
+
+  if (schema.properties && typeOf(value) === 'object') {
+    var required = schema.required || [],
+        names = _.keys(schema.properties);
+
+    for (var n = 0; n < names.length; n++) {
+      var name = names[n],
+          path = field ? field + '.' + name : name,
+          failure = null;
+
+      if (required.indexOf(name) !== -1 && isAbsent(value[name])) {
+        failure = {
+          field: path,
+          keyword: 'required',
+          message: 'missing ' + kind + ' `' + path + '`'
+        };
+      }
+      else if (value[name] !== undefined) { // `null` and `''` are validated if optional
+        failure = check(schema.properties[name], value[name], path, kind);
+      }
+
+      if (failure) {
+        return failure;
+      }
+    }
+  }
+
+  if (schema.items && _.isArray(value)) {
+    for (var i = 0; i < value.length; i++) {
+      var itemFailure = check(schema.items, value[i], (field || '') + '[' + i + ']', kind);
+
+      if (itemFailure) {
+        return itemFailure;
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Validate the value against the schema (without coercing it).
+ *
+ * Supports the `type` (`null`, `boolean`, `object`, `array`, `number`, `integer`, `string`
+ * or an array of them), `required`, `properties`, `items`, `enum`, `pattern`, `format`
+ * (see `FORMATS`), `minLength`, `maxLength`, `minimum` and `maximum` keywords,
+ * along with the `message` one that overrides the failure messages (except for the missing ones).
+ * Properties are validated in the order of the schema, the `required` ones are missing
+ * if `undefined`, `null` or an empty string.
+ *
+ * @param {Object} schema
+ * @param {*} value
+ * @param {Object} [options]
+ * @param {string} [options.field] – name of the value
+ * @param {boolean} [options.query=false] – whether it's the query (for the messages)
+ * @returns {Object?} the first failure `{ field, keyword, message }` (the `required` one
+ *                    is the missing parameter, see `errors.missing()`), or `null` if valid
+ */
+function validate(schema, value, options) {
+  options = options || {};
+
+  return check(schema, value, options.field || null,
+    options.query ? 'query parameter' : 'parameter');
+}
+
+/**
+ * Create the schemas of the API routes (`validate`, `process`, `get`, `cancel` and `list`).
+ * @param {Object} [options]
+ * @param {(RegExp|string)} [options.idPattern=ID_PATTERN] – transaction id format
+ * @param {number} [options.maxListLimit=1000] – maximum `limit` query parameter
+ * @returns {Object.<string, Object>} schemas by the route names
+ */
+function routes(options) {
+  options = options || {};
+
+  var maxListLimit = options.maxListLimit || 1000;
+
+  var id = { type: 'string', pattern: options.idPattern || ID_PATTERN },
+      requisite = { type: 'string' },
+      amount = {
+        type: ['number', 'string'],
+        format: 'amount',
+        message: 'must be ' + FORMATS.amount[1]
+      },
+      service = { type: 'string' };
+
+  function datetime() {
+    return { type: 'string', format: 'date-time', message: 'is not a valid ISO datetime' };
+  }
+
+  function filter(schema) {
+    return _.assign({ type: 'string', minLength: 1, message: 'must be a non-empty string' },
+      schema);
+  }
+
+  var transaction = { type: 'object', required: ['id'], properties: { id: id } };
+
+  return {
+    validate: {
+      type: 'object',
+      required: ['requisite'],
+      properties: { requisite: requisite, amount: amount, service: service }
+    },
+    process: {
+      type: 'object',
+      required: ['id', 'requisite', 'amount', 'timestamp'],
+      properties: {
+        id: id,
+        requisite: requisite,
+        amount: amount,
+        timestamp: datetime(),
+        service: service
+      }
+    },
+    get: transaction,
+    cancel: transaction,
+    list: {
+      type: 'object',
+      required: ['begin'],
+      properties: {
+        begin: datetime(),
+        end: datetime(),
+        limit: {
+          type: 'integer',
+          minimum: 1,
+          maximum: maxListLimit,
+          message: 'must be an integer from 1 to ' + maxListLimit
+        },
+        cursor: filter(),
+        status: filter({
+          enum: _.values(TransactionState.STATUS),
+          message: 'must be one of `' + _.values(TransactionState.STATUS).join('`, `') + '`'
+        }),
+        requisite: filter(),
+        service: filter(),
+        order: filter({ enum: ['asc', 'desc'], message: 'must be either `asc` or `desc`' })
+      }
+    }
+  };
+}
+
+/**
+ * Create the validator of the requisites by the services.
+ *
+ * Every validator is either a format name (`phone`, `account` or `email`), a regular expression,
+ * a schema of the requisite (see `validate()`), or a `function (requisite, params)`
+ * that returns `true` if the requisite is valid.
+ *
+ * @param {Object.<string, (string|RegExp|Object|function)>} [validators] – requisite validators
+ *        by the service identifiers (`*` for any other service)
+ * @param {string} [defaultService] – identifier of the service if `params.service` is not given
+ * @returns {function(params:Object):Object?} calls back with the failure (see `validate()`)
+ * @throws {Error} if any format is unknown
+ */
+function requisites(validators, defaultService) {
+  validators = _.mapValues(validators || {}, function (validator, service) {
+    if (typeof validator === 'function') {
+      return validator;
+    }
+
+    if (_.isRegExp(validator)) {
+      return { type: 'string', pattern: validator };
+    }
+
+    if (typeof validator === 'string') {
+      validator = { format: validator };
+    }
+
+    return compile(_.assign({ type: 'string' }, validator), 'requisites.' + service);
+  });
+
+  return function (params) {
+    var service = params.service || defaultService,
+        validator = (service && validators[service]) || validators['*'];
+
+    if (!validator || isAbsent(params.requisite)) {
+      return null;
+    }
+
+    if (typeof validator !== 'function') {
+      return validate(validator, params.requisite, { field: 'requisite' });
+    }
+
+    return validator(params.requisite, params) ? null : {
+      field: 'requisite',
+      keyword: 'validator',
+      message: 'parameter `requisite` is not valid' +
+        (service ? ' for service `' + service + '`' : '')
+    };
+  };
+}
+
+exports.ID_PATTERN = ID_PATTERN;
+exports.FORMATS = FORMATS;
+exports.compile = compile;
+exports.validate = validate;
+exports.routes = routes;
+exports.requisites = requisites;
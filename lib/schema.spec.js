@@ -0,0 +1,219 @@
+'use strict';
+
+var async = require('async');
+
+var should = require('should'),
+    sinon = require('sinon'),
+    supertest = require('supertest');
+
+var PaymentReceiver = require('./receiver');
+var schema = require('./schema');
+
+describe('schema', function () {
+  describe('.compile()', function () {
+    it('throws if any keyword or format is unknown', function () {
+      (function () {
+        schema.compile({ properties: { requisite: { oneOf: [] } } });
+      }).should.throw('unknown schema keyword `oneOf` of `requisite`');
+
+      (function () {
+        schema.compile({ format: 'iban' });
+      }).should.throw('unknown schema format `iban`');
+    });
+  });
+
+  describe('.validate()', function () {
+    var transaction = {
+      type: 'object',
+      required: ['id', 'amount'],
+      properties: {
+        id: { type: 'string', pattern: '^\\d+$' },
+        amount: { type: ['number', 'string'], format: 'amount' },
+        tags: { type: 'array', items: { type: 'string', maxLength: 3 } },
+        payer: {
+          type: 'object',
+          required: ['email'],
+          properties: { email: { type: 'string', format: 'email' } }
+        }
+      }
+    };
+
+    it('returns `null` if the value is valid', function () {
+      should(schema.validate(transaction, {
+        id: '42',
+        amount: 12.5,
+        tags: ['vip'],
+        payer: { email: 'jon@snow.kg' }
+      })).be.null();
+    });
+
+    it('identifies the missing parameters', function () {
+      schema.validate(transaction, { id: '', amount: 12.5 }).should.eql({
+        field: 'id',
+        keyword: 'required',
+        message: 'missing parameter `id`'
+      });
+
+      schema.validate(transaction, { id: '42', amount: 1, payer: {} }, { query: true })
+        .should.have.properties({
+          field: 'payer.email',
+          message: 'missing query parameter `payer.email`'
+        });
+    });
+
+    it('identifies the first invalid parameter', function () {
+      [
+        [{ id: 42, amount: 1 }, 'id', 'type', 'parameter `id` must be of type `string`'],
+        [{ id: 'x', amount: 1 }, 'id', 'pattern', 'parameter `id` has an invalid format'],
+        [{ id: '42', amount: '1.001' }, 'amount', 'format',
+          'parameter `amount` must be a positive decimal number with up to 2 decimal places'],
+        [{ id: '42', amount: 1, tags: ['a', 'long'] }, 'tags[1]', 'maxLength',
+          'parameter `tags[1]` must be at most 3 characters long'],
+        [{ id: '42', amount: 1, payer: { email: 'jon@snow' } }, 'payer.email', 'format',
+          'parameter `payer.email` must be a valid email address']
+      ].forEach(function (test) {
+        schema.validate(transaction, test[0]).should.eql({
+          field: test[1],
+          keyword: test[2],
+          message: test[3]
+        });
+      });
+    });
+
+    it('validates the empty optional parameters', function () {
+      schema.validate({
+        properties: { cursor: { type: 'string', minLength: 1 } }
+      }, { cursor: '' }).message.should.eql('parameter `cursor` must not be empty');
+    });
+
+    it('overrides the failure messages', function () {
+      schema.validate({ type: 'integer', minimum: 1, message: 'must be a positive integer' }, 0, {
+        field: 'limit',
+        query: true
+      }).message.should.eql('query parameter `limit` must be a positive integer');
+    });
+  });
+
+  describe('.requisites()', function () {
+    var check;
+
+    beforeEach(function () {
+      check = schema.requisites({
+        mobile: 'phone',
+        internet: /^\d{8}$/,
+        wallet: { format: 'email', message: 'must be a wallet email' },
+        bills: function (requisite, params) {
+          return requisite.indexOf(params.service) === 0;
+        },
+        '*': 'account'
+      }, 'mobile');
+    });
+
+    it('validates the requisites by the service', function () {
+      should(check({ requisite: '+996700650835' })).be.null();
+      should(check({ requisite: '12345678', service: 'internet' })).be.null();
+      should(check({ requisite: 'bills-42', service: 'bills' })).be.null();
+      should(check({ requisite: 'LS-0042', service: 'gas' })).be.null();
+
+      check({ requisite: '0700' }).should.eql({
+        field: 'requisite',
+        keyword: 'format',
+        message: 'parameter `requisite` must be a valid phone number'
+      });
+
+      check({ requisite: '1234', service: 'internet' })
+        .should.have.properties({ message: 'parameter `requisite` has an invalid format' });
+
+      check({ requisite: 'jon', service: 'wallet' })
+        .should.have.properties({ message: 'parameter `requisite` must be a wallet email' });
+
+      check({ requisite: '42', service: 'bills' })
+        .message.should.eql('parameter `requisite` is not valid for service `bills`');
+
+      check({ requisite: 'LS 0042', service: 'gas' })
+        .should.have.properties({ message: 'parameter `requisite` must be a valid account id' });
+    });
+
+    it('throws if the format is unknown', function () {
+      (function () {
+        schema.requisites({ mobile: 'msisdn' });
+      }).should.throw('unknown schema format `msisdn` of `requisites.mobile`');
+    });
+  });
+
+  describe('route schemas', function () {
+    var agent, validateStub;
+
+    beforeEach(function () {
+      var receiver = new PaymentReceiver({
+        validate: (validateStub = sinon.stub().yieldsAsync(null, 200)),
+        get: sinon.stub().yieldsAsync(null, 404)
+      }, { requisites: { mobile: 'phone' }, idPattern: /^[0-9a-f]{24}$/ });
+
+      agent = supertest(receiver.server);
+    });
+
+    it('responds [422 "Unprocessable Entity"] if the parameter type is wrong', function (done) {
+      agent.post('/api/validate')
+        .send({ requisite: ['996700650835'] })
+        .expect(422)
+        .expect(function (res) {
+          res.body.should.have.properties({
+            code: 'INVALID_PARAMETER',
+            message: 'parameter `requisite` must be of type `string`',
+            field: 'requisite'
+          });
+
+          validateStub.called.should.be.false();
+        })
+        .end(done);
+    });
+
+    it('responds [422 "Unprocessable Entity"] if the requisite is invalid', function (done) {
+      async.series([
+        function (next) {
+          agent.post('/api/validate')
+            .send({ requisite: 'jon@snow.kg', service: 'mobile' })
+            .expect(422)
+            .expect(function (res) {
+              res.body.should.have.properties({
+                message: 'parameter `requisite` must be a valid phone number',
+                field: 'requisite'
+              });
+            })
+            .end(next);
+        },
+        function (next) { // the other services are not validated
+          agent.post('/api/validate')
+            .send({ requisite: 'jon@snow.kg', service: 'wallet' })
+            .expect(200, next);
+        }
+      ], done);
+    });
+
+    it('responds [422 "Unprocessable Entity"] if the id is of another format', function (done) {
+      async.series([
+        function (next) {
+          agent.get('/api/transactions/x1')
+            .expect(422)
+            .expect(function (res) {
+              res.body.should.have.properties({
+                message: 'parameter `id` has an invalid format',
+                field: 'id'
+              });
+            })
+            .end(next);
+        },
+        function (next) {
+          agent.get('/api/transactions/5648dc5077ba42ee6b13ff6f').expect(404, next);
+        }
+      ], done);
+    });
+
+    it('throws if the requisite format is unknown', function () {
+      (function () {
+        return new PaymentReceiver({}, { requisites: { mobile: 'msisdn' } });
+      }).should.throw(/unknown schema format `msisdn`/);
+    });
+  });
+});
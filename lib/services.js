@@ -0,0 +1,525 @@
+/**
+ * Dispatch to the service implementations by the service identifier.
+ */
+
+'use strict';
+
+var stream = require('stream'),
+    inherits = require('util').inherits;
+
+var _ = require('lodash'),
+    async = require('async');
+
+var STATUS = require('./status-map');
+var invoke = require('./invoke');
+var listStream = require('./list-stream');
+
+/** @const {string[]} methods that are dispatched to the service owning the transaction */
+var OWNED_METHODS = ['cancel', 'complete', 'fail'];
+
+/**
+ * Call the service implementation method (responding `STATUS.NOT_IMPLEMENTED` if it's missing).
+ * @param {Object} implementation – service implementation (or receiver)
+ * @param {string} method
+ * @param {*} arg – method argument (params, id or query)
+ * @param {function(err:Error, status:number?, body:*?)} callback
+ */
+function call(implementation, method, arg, callback) {
+  if (typeof implementation[method] !== 'function') {
+    return process.nextTick(function () {
+      callback(null, STATUS.NOT_IMPLEMENTED);
+    });
+  }
+
+  invoke(implementation, method, arg, callback);
+}
+
+/**
+ * Create a comparator of the transactions by the completion datetime.
+ * @param {string} [order='asc'] – `asc|desc`
+ * @returns {function(a:Object, b:Object):number}
+ */
+function comparator(order) {
+  var sign = (order === 'desc') ? -1 : 1;
+
+  function time(transaction) {
+    return (transaction && transaction.timestamp) ?
+      new Date(transaction.timestamp).getTime() || 0 : 0;
+  }
+
+  return function (a, b) {
+    return sign * (time(a) - time(b));
+  };
+}
+
+/**
+ * Encode the cursor of the next page of every service.
+ * @param {Object.<string, Array>} positions – `[cursor, skip]` by the service identifiers
+ * @returns {string}
+ */
+function encodeCursor(positions) {
+  return Buffer.from(JSON.stringify(positions)).toString('base64');
+}
+
+/**
+ * Decode the cursor of the next page of every service.
+ * @param {string} cursor
+ * @param {Object} services – service implementations by the identifiers
+ * @returns {Object.<string, Array>?} `[cursor, skip]` by the service identifiers,
+ *                                    or `null` if the cursor is invalid
+ */
+function decodeCursor(cursor, services) {
+  var positions;
+
+  try {
+    positions = JSON.parse(Buffer.from(cursor, 'base64').toString());
+  }
+  catch (e) {
+    return null;
+  }
+
+  var valid = _.isPlainObject(positions) && _.every(positions, function (position, service) {
+    return _.has(services, service) && Array.isArray(position) && position.length === 2 &&
+      (position[0] === null || typeof position[0] === 'string') &&
+      typeof position[1] === 'number' && position[1] >= 0 && position[1] % 1 === 0;
+  });
+
+  return valid ? positions : null;
+}
+
+/**
+ * Readable object stream that pages through the service list by the `next` cursors.
+ * @constructor
+ * @param {Object} implementation – service implementation
+ * @param {Object} query – listing query
+ * @param {Object} page – the first page (`{ items, next }`)
+ */
+function PageStream(implementation, query, page) {
+  stream.Readable.call(this, { objectMode: true });
+
+  this.implementation = implementation;
+  this.query = query;
+  this.page = page; // `null` while the next page is being fetched
+}
+
+inherits(PageStream, stream.Readable);
+
+PageStream.prototype._read = function () {
+  var self = this,
+      page = this.page;
+
+  if (!page) { // the next page is being fetched, it'll be pushed once fetched
+    return;
+  }
+
+  this.page = null;
+
+  page.items.forEach(function (item) {
+    self.push(item);
+  });
+
+  if (!page.next) {
+    return this.push(null);
+  }
+
+  call(this.implementation, 'list', _.assign({}, this.query, { cursor: page.next }),
+    function (err, status, page) {
+      if (!err && (status !== STATUS.OK || !page || !Array.isArray(page.items))) {
+        err = new Error('service list has responded with status ' + status);
+      }
+
+      if (err) {
+        return self.destroy(err);
+      }
+
+      self.page = page;
+      self._read();
+    });
+};
+
+/**
+ * Readable object stream that merges the ordered streams of transactions into a single one.
+ * @constructor
+ * @param {stream.Readable[]} sources – readable object streams
+ * @param {function(a:Object, b:Object):number} compare – comparator of the transactions
+ */
+function MergeStream(sources, compare) {
+  stream.Readable.call(this, { objectMode: true });
+
+  var self = this;
+
+  this.compare = compare;
+  this.reading = false;
+
+  this.sources = sources.map(function (source) {
+    var state = { stream: source, head: null, ended: false };
+
+    source.on('readable', function () {
+      self.merge();
+    });
+
+    source.on('end', function () {
+      state.ended = true;
+      self.merge();
+    });
+
+    source.on('error', function (err) {
+      self.destroy(err);
+    });
+
+    return state;
+  });
+}
+
+inherits(MergeStream, stream.Readable);
+
+MergeStream.prototype._read = function () {
+  this.reading = true;
+  this.merge();
+};
+
+MergeStream.prototype._destroy = function (err, callback) {
+  this.sources.forEach(function (source) {
+    source.stream.destroy();
+  });
+
+  callback(err);
+};
+
+/**
+ * Push the earliest of the sources heads while there's a head of every source that isn't ended.
+ */
+MergeStream.prototype.merge = function () {
+  while (this.reading) {
+    var earliest = null;
+
+    for (var i = 0; i < this.sources.length; i++) {
+      var source = this.sources[i];
+
+      if (source.head === null && !source.ended) {
+        source.head = source.stream.read();
+
+        if (source.head === null) { // wait for the source to be readable or ended
+          return;
+        }
+      }
+
+      if (source.head !== null && (!earliest || this.compare(source.head, earliest.head) < 0)) {
+        earliest = source;
+      }
+    }
+
+    if (!earliest) {
+      this.reading = false;
+      return this.push(null);
+    }
+
+    var item = earliest.head;
+
+    earliest.head = null;
+    this.reading = this.push(item);
+  }
+};
+
+/**
+ * Collect the listed transactions into a page.
+ * @param {(Object[]|stream.Readable|Object)} list – array, stream or page envelope
+ * @param {function(err:Error, page:Object?)} callback – calls back with `{ items, next }`
+ */
+function collect(list, callback) {
+  if (!listStream.isStream(list)) {
+    return process.nextTick(function () {
+      callback(null, Array.isArray(list) || !list ?
+        { items: list || [], next: null } : { items: list.items, next: list.next || null });
+    });
+  }
+
+  var items = [];
+
+  list.on('data', function (item) {
+    items.push(item);
+  });
+
+  list.once('error', callback);
+  list.once('end', function () {
+    callback(null, { items: items, next: null });
+  });
+}
+
+/**
+ * Create the implementation methods that dispatch to the service implementations:
+ *  * `validate` and `process` – to the service of `params.service` (or the default one),
+ *    responding `STATUS.NOT_FOUND` if the service is unknown;
+ *  * `get` – to every service in turn (starting with the default one) until one of them
+ *    doesn't respond `STATUS.NOT_FOUND` (or `STATUS.NOT_IMPLEMENTED`);
+ *  * `cancel`, `complete` and `fail` – to the service that responds the transaction on `get`;
+ *  * `list` – to every service (or the one of `params.service`), merging the transactions
+ *    by the completion datetime, paging them by the cursor of every service's next page.
+ *
+ * The service implementations are objects of the implementation methods
+ * (or `PaymentReceiver` instances), the missing ones respond `STATUS.NOT_IMPLEMENTED`.
+ *
+ * @param {Object.<string, Object>} services – service implementations by the identifiers
+ * @param {string} [defaultService] – identifier of the service to dispatch to
+ *                                    if `params.service` is not given
+ * @returns {Object.<string, function>} implementation methods
+ * @throws {Error} if there are no services or the default one is unknown
+ */
+function dispatcher(services, defaultService) {
+  var ids = _.keys(services);
+
+  if (!ids.length) {
+    throw new Error('`services` must contain at least one service implementation');
+  }
+
+  if (defaultService) {
+    if (!_.has(services, defaultService)) {
+      throw new Error('default service `' + defaultService + '` is not found');
+    }
+
+    ids = [defaultService].concat(_.without(ids, defaultService));
+  }
+
+  function route(method) {
+    return function (params, callback) {
+      var service = params.service || defaultService;
+
+      if (!service) {
+        return callback(null, STATUS.BAD_REQUEST, 'missing parameter `service`');
+      }
+
+      if (typeof service !== 'string' || !_.has(services, service)) {
+        return callback(null, STATUS.NOT_FOUND, 'service `' + service + '` is not found');
+      }
+
+      call(services[service], method, params, callback);
+    };
+  }
+
+  // find the service that responds the transaction
+  function locate(id, callback) {
+    var status = STATUS.NOT_IMPLEMENTED,
+        index = 0;
+
+    (function next() {
+      if (index === ids.length) {
+        return callback(null, null, status);
+      }
+
+      var service = ids[index++];
+
+      call(services[service], 'get', id, function (err, result, transaction) {
+        if (err) {
+          return callback(err);
+        }
+
+        if (result === STATUS.NOT_FOUND || result === STATUS.NOT_IMPLEMENTED) {
+          status = Math.min(status, result); // not found by any of the services implementing it
+          return next();
+        }
+
+        callback(null, service, result, transaction);
+      });
+    })();
+  }
+
+  // list every service's page, merging them into a single one
+  function listPage(selected, query, callback) {
+    var positions = _.zipObject(selected, selected.map(function () {
+      return [null, 0];
+    }));
+
+    if (query.cursor) {
+      positions = decodeCursor(query.cursor, services);
+
+      if (!positions) {
+        return callback(null, STATUS.UNPROCESSABLE_ENTITY, 'query parameter `cursor` is invalid');
+      }
+    }
+
+    selected = _.filter(selected, _.has.bind(_, positions));
+
+    async.map(selected, function (service, done) {
+      var position = positions[service],
+          params = _.omit(query, 'cursor');
+
+      if (position[0] !== null) {
+        params.cursor = position[0];
+      }
+
+      if (query.limit) { // the skipped transactions were listed on the previous pages already
+        params.limit = query.limit + position[1];
+      }
+
+      call(services[service], 'list', params, function (err, status, list) {
+        if (err || status !== STATUS.OK) {
+          return done(err, { status: status, body: list });
+        }
+
+        collect(list, function (err, page) {
+          if (err) {
+            return done(err);
+          }
+
+          page.items = page.items.slice(position[1]);
+          done(null, { status: status, page: page });
+        });
+      });
+    }, function (err, results) {
+      if (err) {
+        return callback(err);
+      }
+
+      var failed = _.find(results, function (result) {
+        return result.status !== STATUS.OK && result.status !== STATUS.NOT_IMPLEMENTED;
+      });
+
+      if (failed) {
+        return callback(null, failed.status, failed.body);
+      }
+
+      var compare = comparator(query.order),
+          entries = [];
+
+      results.forEach(function (result, index) {
+        if (result.page) {
+          result.page.items.forEach(function (transaction) {
+            entries.push({ service: selected[index], transaction: transaction });
+          });
+        }
+      });
+
+      entries.sort(function (a, b) { // stable, keeps the services order on ties
+        return compare(a.transaction, b.transaction);
+      });
+
+      if (query.limit) {
+        entries = entries.slice(0, query.limit);
+      }
+
+      var consumed = _.countBy(entries, 'service'),
+          next = {};
+
+      results.forEach(function (result, index) {
+        var service = selected[index],
+            page = result.page,
+            count = consumed[service] || 0;
+
+        if (!page) {
+          return;
+        }
+
+        if (count < page.items.length) { // list the same page, skipping the consumed ones
+          next[service] = [positions[service][0], positions[service][1] + count];
+        }
+        else if (page.next) {
+          next[service] = [page.next, 0];
+        }
+      });
+
+      callback(null, STATUS.OK, {
+        items: _.pluck(entries, 'transaction'),
+        next: _.isEmpty(next) ? null : encodeCursor(next)
+      });
+    });
+  }
+
+  // list every service's transactions, merging them into a single array or stream
+  function listAll(selected, query, callback) {
+    async.map(selected, function (service, done) {
+      call(services[service], 'list', query, function (err, status, list) {
+        done(err, { service: service, status: status, body: list });
+      });
+    }, function (err, results) {
+      var sources = _.filter(results, function (result) {
+        return result && result.status === STATUS.OK;
+      });
+
+      var failed = _.find(results, function (result) {
+        return result && result.status !== STATUS.OK && result.status !== STATUS.NOT_IMPLEMENTED;
+      });
+
+      if (err || failed) { // release the listed streams
+        sources.forEach(function (result) {
+          if (listStream.isStream(result.body)) {
+            result.body.destroy();
+          }
+        });
+
+        return err ? callback(err) : callback(null, failed.status, failed.body);
+      }
+
+      var compare = comparator(query.order);
+
+      var lists = sources.map(function (result) {
+        var list = result.body;
+
+        if (list && !Array.isArray(list) && !listStream.isStream(list)) { // the page envelope
+          return list.next ? new PageStream(services[result.service], query, list) : list.items;
+        }
+
+        return list || [];
+      });
+
+      if (_.every(lists, Array.isArray)) {
+        return callback(null, STATUS.OK, _.flatten(lists).sort(compare));
+      }
+
+      callback(null, STATUS.OK, new MergeStream(lists.map(function (list) {
+        return Array.isArray(list) ? stream.Readable.from(list) : list;
+      }), compare));
+    });
+  }
+
+  var methods = {
+    validate: route('validate'),
+    process: route('process'),
+
+    get: function (id, callback) {
+      locate(id, function (err, service, status, transaction) {
+        callback(err, status, transaction);
+      });
+    },
+
+    list: function (query, callback) {
+      var selected = ids;
+
+      if (query.service) {
+        if (!_.has(services, query.service)) {
+          return callback(null, STATUS.NOT_FOUND, 'service `' + query.service + '` is not found');
+        }
+
+        selected = [query.service];
+      }
+
+      if (selected.length === 1) { // responded as is (with the service's own cursors)
+        return call(services[selected[0]], 'list', query, callback);
+      }
+
+      if (_.has(query, 'limit') || _.has(query, 'cursor')) {
+        return listPage(selected, query, callback);
+      }
+
+      listAll(selected, query, callback);
+    }
+  };
+
+  OWNED_METHODS.forEach(function (method) {
+    methods[method] = function (id, callback) {
+      locate(id, function (err, service, status) {
+        if (err || !service) {
+          return callback(err, status);
+        }
+
+        call(services[service], method, id, callback);
+      });
+    };
+  });
+
+  return methods;
+}
+
+exports.comparator = comparator;
+exports.MergeStream = MergeStream;
+exports.PageStream = PageStream;
+exports.dispatcher = dispatcher;
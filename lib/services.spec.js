@@ -0,0 +1,311 @@
+'use strict';
+
+var Readable = require('stream').Readable;
+
+var _ = require('lodash'),
+    async = require('async');
+
+var should = require('should'),
+    supertest = require('supertest');
+
+var PaymentReceiver = require('./receiver');
+var services = require('./services');
+
+describe('services', function () {
+  var STATUS = PaymentReceiver.STATUS;
+
+  // service implementation keeping its transactions in memory
+  function service(name, transactions) {
+    return {
+      transactions: transactions,
+
+      validate: function (params, callback) {
+        callback(null, STATUS.OK, name);
+      },
+
+      process: function (params, callback) {
+        this.transactions.push({
+          id: params.id,
+          requisite: params.requisite,
+          amount: params.amount,
+          status: 'success',
+          timestamp: new Date()
+        });
+
+        callback(null, STATUS.OK);
+      },
+
+      get: function (id, callback) {
+        var transaction = _.find(this.transactions, { id: id });
+        callback(null, transaction ? STATUS.OK : STATUS.NOT_FOUND, transaction);
+      },
+
+      cancel: function (id, callback) {
+        _.find(this.transactions, { id: id }).status = 'cancelled';
+        callback(null, STATUS.OK);
+      },
+
+      // pages by the offset (as the cursor)
+      list: function (query, callback) {
+        var items = _.sortBy(this.transactions, 'timestamp');
+
+        if (query.order === 'desc') {
+          items.reverse();
+        }
+
+        if (!_.has(query, 'limit') && !_.has(query, 'cursor')) {
+          return callback(null, STATUS.OK, items);
+        }
+
+        var offset = Number(query.cursor || 0),
+            end = query.limit ? offset + query.limit : items.length;
+
+        callback(null, STATUS.OK, {
+          items: items.slice(offset, end),
+          next: (end < items.length) ? String(end) : null
+        });
+      }
+    };
+  }
+
+  function transaction(id, minute) {
+    return {
+      id: id,
+      requisite: '996700650835',
+      amount: 10,
+      status: 'success',
+      timestamp: new Date(Date.UTC(2015, 10, 24, 0, minute))
+    };
+  }
+
+  var topup, bills, receiver, agent;
+
+  beforeEach(function () {
+    topup = service('topup', [transaction('t1', 1), transaction('t2', 4), transaction('t3', 5)]);
+    bills = service('bills', [transaction('b1', 2), transaction('b2', 3), transaction('b3', 6)]);
+
+    receiver = new PaymentReceiver(null, {
+      services: { topup: topup, bills: bills },
+      defaultService: 'topup'
+    });
+
+    agent = supertest.agent(receiver.server);
+  });
+
+  describe('.dispatcher()', function () {
+    it('throws if there are no services', function () {
+      (function () {
+        services.dispatcher({});
+      }).should.throw('`services` must contain at least one service implementation');
+    });
+
+    it('throws if the default service is unknown', function () {
+      (function () {
+        services.dispatcher({ topup: topup }, 'bills');
+      }).should.throw('default service `bills` is not found');
+    });
+  });
+
+  describe('validate and process', function () {
+    it('dispatches by `params.service`', function (done) {
+      agent.post('/api/validate')
+        .send({ requisite: '996700650835', service: 'bills' })
+        .expect(200, 'bills', done);
+    });
+
+    it('dispatches to the default service', function (done) {
+      agent.post('/api/validate')
+        .send({ requisite: '996700650835' })
+        .expect(200, 'topup', done);
+    });
+
+    it('responds [404 "Not Found"] for the unknown services', function (done) {
+      agent.post('/api/validate')
+        .send({ requisite: '996700650835', service: 'gas' })
+        .expect(404, 'service `gas` is not found', done);
+    });
+
+    it('responds [400 "Bad Request"] if there is no service to dispatch to', function (done) {
+      receiver = new PaymentReceiver(null, { services: { topup: topup, bills: bills } });
+
+      supertest(receiver.server).post('/api/validate')
+        .send({ requisite: '996700650835' })
+        .expect(400, 'missing parameter `service`', done);
+    });
+
+    it('processes by the service implementation', function (done) {
+      agent.post('/api/transactions/5648dc5077ba42ee6b13ff6f')
+        .send({
+          requisite: '996700650835',
+          amount: 12.45,
+          timestamp: '2015-11-24T00:00:00.000Z',
+          service: 'bills'
+        })
+        .expect(200, function (err) {
+          if (err) {
+            return done(err);
+          }
+
+          bills.transactions.should.have.lengthOf(4);
+          topup.transactions.should.have.lengthOf(3);
+          done();
+        });
+    });
+  });
+
+  describe('get and cancel', function () {
+    it('gets the transaction of any service', function (done) {
+      agent.get('/api/transactions/b2')
+        .expect(200, function (err, res) {
+          if (err) {
+            return done(err);
+          }
+
+          res.body.id.should.eql('b2');
+          done();
+        });
+    });
+
+    it('responds [404 "Not Found"] if no service has the transaction', function (done) {
+      agent.get('/api/transactions/x1').expect(404, done);
+    });
+
+    it('cancels by the service owning the transaction', function (done) {
+      topup.cancel = function () {
+        throw new Error('expected `topup#cancel` to have not been called');
+      };
+
+      agent.delete('/api/transactions/b1')
+        .expect(200, function (err, res) {
+          if (err) {
+            return done(err);
+          }
+
+          res.body.status.should.eql('cancelled');
+          done();
+        });
+    });
+  });
+
+  describe('list', function () {
+    var query = { begin: '2015-11-24T00:00:00.000Z' };
+
+    function ids(res) {
+      return _.pluck(res.body.items || res.body, 'id');
+    }
+
+    it('merges the transactions of every service', function (done) {
+      agent.get('/api/transactions')
+        .query(query)
+        .expect(200, function (err, res) {
+          if (err) {
+            return done(err);
+          }
+
+          ids(res).should.eql(['t1', 'b1', 'b2', 't2', 't3', 'b3']);
+          done();
+        });
+    });
+
+    it('merges them in the descending order', function (done) {
+      agent.get('/api/transactions')
+        .query(_.assign({ order: 'desc' }, query))
+        .expect(200, function (err, res) {
+          if (err) {
+            return done(err);
+          }
+
+          ids(res).should.eql(['b3', 't3', 't2', 'b2', 'b1', 't1']);
+          done();
+        });
+    });
+
+    it('merges the streamed transactions', function (done) {
+      bills.list = function (query, callback) {
+        callback(null, STATUS.OK, Readable.from(this.transactions));
+      };
+
+      agent.get('/api/transactions')
+        .query(query)
+        .expect(200, function (err, res) {
+          if (err) {
+            return done(err);
+          }
+
+          ids(res).should.eql(['t1', 'b1', 'b2', 't2', 't3', 'b3']);
+          done();
+        });
+    });
+
+    it('pages through the merged transactions', function (done) {
+      var pages = [],
+          cursor;
+
+      async.doWhilst(function (next) {
+        agent.get('/api/transactions')
+          .query(_.assign({ limit: 2 }, query, cursor ? { cursor: cursor } : {}))
+          .expect(200, function (err, res) {
+            if (err) {
+              return next(err);
+            }
+
+            pages.push(ids(res));
+            cursor = res.body.next;
+            next();
+          });
+      }, function () {
+        return !!cursor;
+      }, function (err) {
+        if (err) {
+          return done(err);
+        }
+
+        pages.should.eql([['t1', 'b1'], ['b2', 't2'], ['t3', 'b3']]);
+        done();
+      });
+    });
+
+    it('lists the service of `params.service` as is', function (done) {
+      agent.get('/api/transactions')
+        .query(_.assign({ service: 'bills', limit: 2 }, query))
+        .expect(200, function (err, res) {
+          if (err) {
+            return done(err);
+          }
+
+          res.body.should.eql({
+            items: JSON.parse(JSON.stringify(bills.transactions.slice(0, 2))),
+            next: '2'
+          });
+          done();
+        });
+    });
+
+    it('responds [404 "Not Found"] for the unknown services', function (done) {
+      agent.get('/api/transactions')
+        .query(_.assign({ service: 'gas' }, query))
+        .expect(404, 'service `gas` is not found', done);
+    });
+
+    it('responds [422 "Unprocessable Entity"] for the invalid cursors', function (done) {
+      agent.get('/api/transactions')
+        .query(_.assign({ cursor: 'invalid' }, query))
+        .expect(422, 'query parameter `cursor` is invalid', done);
+    });
+
+    it('skips the services that don\'t implement listing', function (done) {
+      delete bills.list;
+
+      agent.get('/api/transactions')
+        .query(query)
+        .expect(200, function (err, res) {
+          if (err) {
+            return done(err);
+          }
+
+          should(ids(res)).eql(['t1', 't2', 't3']);
+          done();
+        });
+    });
+  });
+});
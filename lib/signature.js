@@ -0,0 +1,146 @@
+/**
+ * UMAI request signature (HMAC) utilities.
+ */
+
+'use strict';
+
+var crypto = require('crypto');
+
+var _ = require('lodash');
+
+var STATUS = require('./status-map');
+var errors = require('./errors');
+
+/** @const {Object} default signature verification options */
+var DEFAULTS = {
+  algorithm: 'sha256',
+  header: 'X-UMAI-Signature',
+  timestampHeader: 'X-UMAI-Timestamp',
+  tolerance: 300 // seconds
+};
+
+/**
+ * Compare two strings in a constant time (regardless of the matching prefix length).
+ * The strings of different lengths are unequal (that reveals the lengths only).
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean}
+ */
+function safeEqual(a, b) {
+  a = Buffer.from(a, 'utf8');
+  b = Buffer.from(b, 'utf8');
+
+  // `crypto.timingSafeEqual()` throws on the buffers of different lengths
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Compose the string to sign:
+ *   timestamp, upper-cased http method, request url (path and query) and raw body,
+ *   delimited by the new line character.
+ * @param {Object} request
+ * @param {(string|number)} request.timestamp – unix time (in seconds) of the request
+ * @param {string} request.method – http method
+ * @param {string} request.url – request path including the query string
+ * @param {(string|Buffer)} [request.body] – raw request body
+ * @returns {string}
+ */
+function payload(request) {
+  return [
+    String(request.timestamp),
+    request.method.toUpperCase(),
+    request.url,
+    (request.body || '').toString()
+  ].join('\n');
+}
+
+/**
+ * Calculate the request signature.
+ * @param {string} secret – shared secret
+ * @param {Object} request – request to sign (see `payload()`)
+ * @param {string} [algorithm='sha256'] – HMAC digest algorithm
+ * @returns {string} hex encoded signature
+ */
+function sign(secret, request, algorithm) {
+  return crypto.createHmac(algorithm || DEFAULTS.algorithm, secret)
+    .update(payload(request))
+    .digest('hex');
+}
+
+/**
+ * Verify the request signature against any of the given secrets
+ * (that allows to rotate secrets keeping a previous one active).
+ * @param {string[]} secrets – active shared secrets
+ * @param {Object} request – signed request (see `payload()`)
+ * @param {string} signature – hex encoded signature to verify
+ * @param {string} [algorithm='sha256'] – HMAC digest algorithm
+ * @returns {boolean}
+ */
+function verify(secrets, request, signature, algorithm) {
+  signature = String(signature).toLowerCase();
+
+  return secrets.reduce(function (valid, secret) {
+    // check every secret not to reveal which one has matched through timing
+    return safeEqual(sign(secret, request, algorithm), signature) || valid;
+  }, false);
+}
+
+/**
+ * Create an express.js middleware that rejects requests with missing, expired
+ * or invalid signature responding [403 "Forbidden"] (see `errors.send()`).
+ * Requires `req.rawBody` to be assigned by the body parser.
+ * @param {Object} options
+ * @param {(string|string[])} options.secret – shared secret(s) that are currently active
+ * @param {string} [options.algorithm='sha256'] – HMAC digest algorithm
+ * @param {string} [options.header='X-UMAI-Signature'] – signature header name
+ * @param {string} [options.timestampHeader='X-UMAI-Timestamp'] – timestamp header name
+ * @param {number} [options.tolerance=300] – max request age (in seconds)
+ * @returns {function(req:Object, res:Object, next:function)}
+ */
+function middleware(options) {
+  options = _.assign({}, DEFAULTS, options);
+
+  var secrets = [].concat(options.secret).filter(Boolean);
+
+  if (!secrets.length) {
+    throw new Error('at least one signature `secret` is required');
+  }
+
+  return function verifySignature(req, res, next) {
+    var signature = req.get(options.header),
+        timestamp = req.get(options.timestampHeader);
+
+    if (!signature || !timestamp) {
+      return errors.send(res, STATUS.FORBIDDEN,
+        { code: errors.CODES.INVALID_SIGNATURE, message: 'missing request signature' });
+    }
+
+    var age = Math.abs(Date.now() / 1000 - Number(timestamp));
+
+    if (!/^\d+$/.test(timestamp) || age > options.tolerance) {
+      return errors.send(res, STATUS.FORBIDDEN, {
+        code: errors.CODES.INVALID_SIGNATURE,
+        message: 'request timestamp is out of the tolerance window'
+      });
+    }
+
+    var request = {
+      timestamp: timestamp,
+      method: req.method,
+      url: req.originalUrl,
+      body: req.rawBody
+    };
+
+    if (!verify(secrets, request, signature, options.algorithm)) {
+      return errors.send(res, STATUS.FORBIDDEN,
+        { code: errors.CODES.INVALID_SIGNATURE, message: 'invalid request signature' });
+    }
+
+    next();
+  };
+}
+
+exports.DEFAULTS = DEFAULTS;
+exports.sign = sign;
+exports.verify = verify;
+exports.middleware = middleware;
@@ -0,0 +1,101 @@
+'use strict';
+
+var should = require('should');
+
+var signature = require('./signature');
+
+describe('signature', function () {
+  var request;
+
+  // setup signed request
+  beforeEach(function () {
+    request = {
+      timestamp: 1448386886,
+      method: 'POST',
+      url: '/api/transactions/5648dc5077ba42ee6b13ff6f',
+      body: '{"requisite":"996700650835","amount":12.45,"timestamp":"2015-11-24T17:41:26.691Z"}'
+    };
+  });
+
+  describe('.sign()', function () {
+    // test vectors are calculated with an independent HMAC implementation
+    it('signs a request with a body using "sha256" by default', function () {
+      signature.sign('umai-secret', request)
+        .should.eql('a4bf4bfb57165c4425a7dc29838a6a68eba1e8869a8f19f08f41d609db31ed9e');
+    });
+
+    it('signs a request with a query string and without a body', function () {
+      signature.sign('umai-secret', {
+        timestamp: '1448386886',
+        method: 'get',
+        url: '/api/transactions?begin=2015-10-31T18%3A00%3A00.000Z'
+      }).should.eql('44080706f676b749c24a882a72ae50d9da6db440fa8bb50c1ae4a7d3eae404f1');
+    });
+
+    it('signs a request using a given algorithm', function () {
+      signature.sign('umai-secret', {
+        timestamp: 1448386886,
+        method: 'DELETE',
+        url: '/api/transactions/5648dc5077ba42ee6b13ff6f'
+      }, 'sha512').should.eql(
+        '9e7e41b209f966108d03d4b10041b4a6c5e72177965715abd9da967ef77a3b08' +
+        '5b980824fa865512cbe7c09d1ea145c40d3e3d5824a1210cdc47248e3516df85'
+      );
+    });
+
+    it('accepts a raw body buffer', function () {
+      request.body = Buffer.from(request.body);
+
+      signature.sign('umai-secret', request)
+        .should.eql('a4bf4bfb57165c4425a7dc29838a6a68eba1e8869a8f19f08f41d609db31ed9e');
+    });
+  });
+
+  describe('.verify()', function () {
+    var valid;
+
+    // setup valid signature
+    beforeEach(function () {
+      valid = 'a4bf4bfb57165c4425a7dc29838a6a68eba1e8869a8f19f08f41d609db31ed9e';
+    });
+
+    it('returns `true` for a valid signature', function () {
+      signature.verify(['umai-secret'], request, valid).should.be.true();
+    });
+
+    it('ignores the signature case', function () {
+      signature.verify(['umai-secret'], request, valid.toUpperCase()).should.be.true();
+    });
+
+    it('returns `true` if any of the rotated secrets matches', function () {
+      signature.verify(['umai-next-secret', 'umai-secret'], request, valid).should.be.true();
+    });
+
+    it('returns `false` if none of the secrets matches', function () {
+      signature.verify(['umai-next-secret', 'other-secret'], request, valid).should.be.false();
+    });
+
+    it('returns `false` if the body is tampered', function () {
+      request.body = request.body.replace('12.45', '1245');
+      signature.verify(['umai-secret'], request, valid).should.be.false();
+    });
+
+    it('returns `false` if the url is tampered', function () {
+      request.url = '/api/transactions/564a4fe577ba42ee6b1407c8';
+      signature.verify(['umai-secret'], request, valid).should.be.false();
+    });
+
+    it('returns `false` for a malformed signature', function () {
+      signature.verify(['umai-secret'], request, 'abc').should.be.false();
+      signature.verify(['umai-secret'], request, valid.slice(0, -1) + 'é').should.be.false();
+    });
+  });
+
+  describe('.middleware()', function () {
+    it('throws if no secret is given', function () {
+      should.throws(function () {
+        signature.middleware({});
+      }, /secret/);
+    });
+  });
+});
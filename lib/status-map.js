@@ -9,8 +9,10 @@ module.exports = {
   FORBIDDEN: 403,
   NOT_FOUND: 404,
   METHOD_NOT_ALLOWED: 405,
+  CONFLICT: 409,
   UNPROCESSABLE_ENTITY: 422,
   TOO_MANY_REQUESTS: 429,
   INTERNAL_SERVER_ERROR: 500,
-  NOT_IMPLEMENTED: 501
+  NOT_IMPLEMENTED: 501,
+  SERVICE_UNAVAILABLE: 503
 };
@@ -0,0 +1,111 @@
+/**
+ * Transaction state machine.
+ */
+
+'use strict';
+
+var inherits = require('util').inherits;
+
+/** @const {Object.<string, string>} transaction statuses */
+var STATUS = {
+  INITIALIZED: 'initialized',
+  PENDING: 'pending',
+  PROCESSING: 'processing',
+  SUCCESS: 'success',
+  FAILURE: 'failure',
+  CANCELLED: 'cancelled'
+};
+
+/** @const {Object.<string, string[]>} allowed transitions by the current status */
+var TRANSITIONS = {
+  initialized: ['pending', 'processing', 'success', 'failure'],
+  pending: ['processing', 'success', 'failure'],
+  processing: ['success', 'failure', 'cancelled'],
+  success: ['processing', 'cancelled'], // cancellation (immediate or asynchronous)
+  failure: [],
+  cancelled: []
+};
+
+/** @const {string[]} completion statuses */
+var COMPLETED = ['success', 'failure', 'cancelled'];
+
+/**
+ * Error of the transaction status transition that is not allowed.
+ * @constructor
+ * @param {string} from – current transaction status
+ * @param {string} to – requested transaction status
+ * @param {string} [id] – transaction unique identifier
+ */
+function TransitionError(from, to, id) {
+  Error.call(this);
+  Error.captureStackTrace(this, TransitionError);
+
+  this.name = 'TransitionError';
+  this.message = (id ? 'transaction `' + id + '`' : 'transaction') +
+    ' can not be changed from `' + from + '` to `' + to + '` status';
+
+  this.from = from;
+  this.to = to;
+}
+
+inherits(TransitionError, Error);
+
+/**
+ * Check whether a given status is known.
+ * @param {string} status
+ * @returns {boolean}
+ */
+function isValid(status) {
+  return TRANSITIONS.hasOwnProperty(status);
+}
+
+/**
+ * Check whether a given status is the completion one (`success|failure|cancelled`).
+ * @param {string} status
+ * @returns {boolean}
+ */
+function isCompleted(status) {
+  return COMPLETED.indexOf(status) !== -1;
+}
+
+/**
+ * Check whether a transaction can be changed from one status to another.
+ * @param {string} from – current transaction status
+ * @param {string} to – requested transaction status
+ * @returns {boolean}
+ */
+function canTransition(from, to) {
+  return isValid(from) && TRANSITIONS[from].indexOf(to) !== -1;
+}
+
+/**
+ * Check whether a transaction can be cancelled
+ * (only completed transactions that can be changed to `cancelled`, i.e. successful ones).
+ * @param {string} status – current transaction status
+ * @returns {boolean}
+ */
+function isCancellable(status) {
+  return isCompleted(status) && canTransition(status, STATUS.CANCELLED);
+}
+
+/**
+ * Ensure a transaction can be changed from one status to another.
+ * @param {string} from – current transaction status
+ * @param {string} to – requested transaction status
+ * @param {string} [id] – transaction unique identifier (for the error message)
+ * @throws {TransitionError} if the transition is not allowed
+ */
+function assertTransition(from, to, id) {
+  if (!canTransition(from, to)) {
+    throw new TransitionError(from, to, id);
+  }
+}
+
+exports.STATUS = STATUS;
+exports.TRANSITIONS = TRANSITIONS;
+exports.TransitionError = TransitionError;
+exports.isValid = isValid;
+exports.isCompleted = isCompleted;
+exports.canTransition = canTransition;
+exports.isCancellable = isCancellable;
+exports.assertTransition = assertTransition;
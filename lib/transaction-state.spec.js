@@ -0,0 +1,116 @@
+'use strict';
+
+var should = require('should');
+
+var TransactionState = require('./transaction-state');
+
+describe('TransactionState', function () {
+  describe('.STATUS', function () {
+    it('lists all the transaction statuses', function () {
+      TransactionState.STATUS.should.eql({
+        INITIALIZED: 'initialized',
+        PENDING: 'pending',
+        PROCESSING: 'processing',
+        SUCCESS: 'success',
+        FAILURE: 'failure',
+        CANCELLED: 'cancelled'
+      });
+    });
+  });
+
+  describe('.isValid()', function () {
+    it('returns `true` for the known statuses', function () {
+      TransactionState.isValid('processing').should.be.true();
+      TransactionState.isValid('cancelled').should.be.true();
+    });
+
+    it('returns `false` for unknown statuses', function () {
+      TransactionState.isValid('completed').should.be.false();
+      TransactionState.isValid('hasOwnProperty').should.be.false();
+      TransactionState.isValid(undefined).should.be.false();
+    });
+  });
+
+  describe('.isCompleted()', function () {
+    it('returns `true` for the completion statuses', function () {
+      ['success', 'failure', 'cancelled'].forEach(function (status) {
+        TransactionState.isCompleted(status).should.be.true(status);
+      });
+    });
+
+    it('returns `false` for the intermediate statuses', function () {
+      ['initialized', 'pending', 'processing'].forEach(function (status) {
+        TransactionState.isCompleted(status).should.be.false(status);
+      });
+    });
+  });
+
+  describe('.canTransition()', function () {
+    it('allows to complete an initialized transaction', function () {
+      TransactionState.canTransition('initialized', 'processing').should.be.true();
+      TransactionState.canTransition('initialized', 'success').should.be.true();
+      TransactionState.canTransition('processing', 'failure').should.be.true();
+    });
+
+    it('allows to cancel a successful transaction', function () {
+      TransactionState.canTransition('success', 'cancelled').should.be.true();
+      TransactionState.canTransition('success', 'processing').should.be.true();
+      TransactionState.canTransition('processing', 'cancelled').should.be.true();
+    });
+
+    it("doesn't allow to change failed and cancelled transactions", function () {
+      TransactionState.canTransition('failure', 'cancelled').should.be.false();
+      TransactionState.canTransition('failure', 'success').should.be.false();
+      TransactionState.canTransition('cancelled', 'success').should.be.false();
+    });
+
+    it("doesn't allow to initialize a transaction again", function () {
+      TransactionState.canTransition('success', 'initialized').should.be.false();
+    });
+
+    it("doesn't allow unknown statuses", function () {
+      TransactionState.canTransition('unknown', 'success').should.be.false();
+      TransactionState.canTransition('success', 'unknown').should.be.false();
+    });
+  });
+
+  describe('.isCancellable()', function () {
+    it('returns `true` for successful transactions', function () {
+      TransactionState.isCancellable('success').should.be.true();
+    });
+
+    it('returns `false` for other transactions', function () {
+      ['initialized', 'pending', 'processing', 'failure', 'cancelled'].forEach(function (status) {
+        TransactionState.isCancellable(status).should.be.false(status);
+      });
+    });
+  });
+
+  describe('.assertTransition()', function () {
+    it("doesn't throw for an allowed transition", function () {
+      TransactionState.assertTransition('success', 'cancelled');
+    });
+
+    it('throws `TransitionError` for a transition that is not allowed', function () {
+      try {
+        TransactionState.assertTransition('failure', 'cancelled', '5648dc5077ba42ee6b13ff6f');
+      }
+      catch (e) {
+        e.should.be.an.instanceOf(TransactionState.TransitionError)
+          .and.an.instanceOf(Error)
+          .with.properties({
+            name: 'TransitionError',
+            from: 'failure',
+            to: 'cancelled',
+            message: 'transaction `5648dc5077ba42ee6b13ff6f` ' +
+              'can not be changed from `failure` to `cancelled` status'
+          });
+
+        should.exist(e.stack);
+        return;
+      }
+
+      throw new Error('expected `TransitionError` to have been thrown');
+    });
+  });
+});